@@ -3,8 +3,9 @@
  * Pure business logic for cost calculations, offer filtering, and consumption estimation
  */
 
-import { VAT, DAYS_PER_MONTH, AUDIOVISUAL_TAX, DEFAULT_POWER } from './config.js';
+import { VAT, DAYS_PER_MONTH, AUDIOVISUAL_TAX, DEFAULT_POWER, TARIFF_CHANGE_MIN_SAVINGS, POWER_STEPS, POWER_PEAK_FACTOR, NIGHT_PEAK_SHARE, SEASONAL_PROFILES, LOCK_IN_DEFAULT_MONTHS, LOCK_IN_EXPECTED_EXIT_SHARE, SOCIAL_TARIFF_DISCOUNT, SOCIAL_TARIFF_MAX_POWER, ESTIMATE_RANGE_QUANTILES } from './config.js';
 import { detectCycleType } from './utils.js';
+import { averageShift } from './market-prices.js';
 
 // Constants from DATA_MODEL.mdc
 const IEC_KWH = 0.001; // Special consumption tax (€/kWh)
@@ -21,16 +22,47 @@ const TRI_HORARIA = {
   ponta: 0.20       // peak hours
 };
 
+// Ano de referência (não bissexto) para os dias de cada mês no perfil sazonal
+const PROFILE_YEAR = 2025;
+
 /**
- * Estimate consumption (kWh) from monthly bill amount
- * Uses data-driven median price from loaded offers if available
+ * Value at a given position of a sorted list (0.5 = median)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} share - Position between 0 and 1
+ * @returns {number|undefined} Value, undefined for an empty list
+ */
+function pickQuantile(sorted, share) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+}
+
+/**
+ * Reverse calculation: monthlyBill = (fixedTerm + variableTerm + taxes) * VAT
+ * @param {number} monthlyBill - Monthly bill amount in euros
+ * @param {number} fixedTerm - Fixed term per month (€, before VAT)
+ * @param {number} pricePerKwh - Price per kWh including fixed term share (€, before VAT)
+ * @returns {number} Consumption in kWh, clamped to 50-5000
+ */
+function consumptionFromBill(monthlyBill, fixedTerm, pricePerKwh) {
+  const withoutVAT = monthlyBill / VAT;
+  const withoutFixed = withoutVAT - fixedTerm - AUDIOVISUAL_TAX;
+  const consumption = withoutFixed / pricePerKwh;
+  
+  // Clamp to reasonable bounds
+  return Math.max(50, Math.min(5000, Math.round(consumption)));
+}
+
+/**
+ * Estimate a plausible consumption range (kWh) from monthly bill amount
+ * The same bill buys fewer kWh on a dearer contract: the low end uses the upper
+ * quartile of TF and TV across offers, the high end the lower quartile
+ * (ESTIMATE_RANGE_QUANTILES). Without offers the range collapses to the default
  * @param {number} monthlyBill - Monthly bill amount in euros
  * @param {Array<Object>} offers - Optional: loaded offers for data-driven estimation
- * @returns {number} Estimated consumption in kWh
+ * @returns {Object} { expected, low, high } in kWh
  */
-export function estimateConsumption(monthlyBill, offers = null) {
-  // Data-driven: compute median price from offers if available
-  let avgPricePerKwh = 0.18; // Fallback default
+export function estimateConsumptionRange(monthlyBill, offers = null) {
+  let pricesPerKwh = [0.18]; // Fallback default
+  let fixedTerms = [0.25 * DAYS_PER_MONTH]; // Default fallback
   
   if (offers && offers.length > 0) {
     // Filter for simple tariff, default power, valid offers
@@ -42,69 +74,95 @@ export function estimateConsumption(monthlyBill, offers = null) {
     );
     
     if (relevant.length > 0) {
-      // Compute median of TF + TV for default power
-      const prices = relevant.map(o => {
+      // TF + TV per kWh for default power
+      pricesPerKwh = relevant.map(o => {
         const tfPerMonth = o.TF * DAYS_PER_MONTH;
         const tv = o['TV|TVFV|TVP'];
         // Estimate: assume 200 kWh/month average for price calculation
-        const totalPerKwh = (tfPerMonth / 200) + tv;
-        return totalPerKwh;
+        return (tfPerMonth / 200) + tv;
       }).sort((a, b) => a - b);
-      
-      const medianIndex = Math.floor(prices.length / 2);
-      avgPricePerKwh = prices[medianIndex] || 0.18;
     }
-  }
-  
-  // Reverse calculation: monthlyBill = (fixedTerm + variableTerm + taxes) * VAT
-  const withoutVAT = monthlyBill / VAT;
-  
-  // Estimate fixed term (using median from data if available, else default)
-  let avgFixedTerm = 0.25 * DAYS_PER_MONTH; // Default fallback
-  if (offers && offers.length > 0) {
-    const relevant = offers.filter(o => 
+    
+    // Fixed term from data (any tariff type at default power)
+    const withFixedTerm = offers.filter(o => 
       o.Pot_Cont === DEFAULT_POWER &&
       o.TF > 0
     );
-    if (relevant.length > 0) {
-      const fixedTerms = relevant.map(o => o.TF * DAYS_PER_MONTH).sort((a, b) => a - b);
-      const medianIndex = Math.floor(fixedTerms.length / 2);
-      avgFixedTerm = fixedTerms[medianIndex] || avgFixedTerm;
+    if (withFixedTerm.length > 0) {
+      fixedTerms = withFixedTerm.map(o => o.TF * DAYS_PER_MONTH).sort((a, b) => a - b);
     }
   }
   
-  const withoutFixed = withoutVAT - avgFixedTerm - AUDIOVISUAL_TAX;
-  const consumption = withoutFixed / avgPricePerKwh;
+  const [lowerQuantile, upperQuantile] = ESTIMATE_RANGE_QUANTILES;
+  const atQuantile = share => consumptionFromBill(monthlyBill, pickQuantile(fixedTerms, share), pickQuantile(pricesPerKwh, share));
   
-  // Clamp to reasonable bounds
-  return Math.max(50, Math.min(5000, Math.round(consumption)));
+  return {
+    expected: atQuantile(0.5),
+    low: atQuantile(upperQuantile),
+    high: atQuantile(lowerQuantile)
+  };
 }
 
 /**
- * Calculate monthly cost for an offer
- * Implements full calculation with IEC, proper tariff splitting, and VAT
+ * Estimate consumption (kWh) from monthly bill amount
+ * Uses data-driven median price from loaded offers if available
+ * @param {number} monthlyBill - Monthly bill amount in euros
+ * @param {Array<Object>} offers - Optional: loaded offers for data-driven estimation
+ * @returns {number} Estimated consumption in kWh
+ */
+export function estimateConsumption(monthlyBill, offers = null) {
+  return estimateConsumptionRange(monthlyBill, offers).expected;
+}
+
+/**
+ * Get number of days in a billing period (both dates inclusive)
+ * "12 ago 2025 a 11 set 2025" → 31 days
+ * @param {Object|null} billingPeriod - Billing period with start/end ISO dates (YYYY-MM-DD)
+ * @returns {number} Number of days, DAYS_PER_MONTH if period is missing or invalid
+ */
+export function getBillingDays(billingPeriod) {
+  if (!billingPeriod || !billingPeriod.start || !billingPeriod.end) return DAYS_PER_MONTH;
+  
+  // Usar UTC para evitar desvios de hora de verão
+  const [startYear, startMonth, startDay] = billingPeriod.start.split('-').map(Number);
+  const [endYear, endMonth, endDay] = billingPeriod.end.split('-').map(Number);
+  const start = Date.UTC(startYear, startMonth - 1, startDay);
+  const end = Date.UTC(endYear, endMonth - 1, endDay);
+  const days = Math.round((end - start) / 86400000) + 1;
+  
+  return days > 0 && isFinite(days) ? days : DAYS_PER_MONTH;
+}
+
+/**
+ * Calculate fixed and variable terms (before taxes and VAT)
+ * Indexed offers with a market shift (market-prices.js) have every energy price
+ * moved by offer.marketShift (€/kWh)
  * @param {Object} offer - Offer object from CSV/JSON
  * @param {number} consumption - Consumption in kWh
- * @param {number} power - Power in kVA
  * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
- * @returns {number} Monthly cost in euros (with VAT)
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @returns {Object} Object with fixedTerm and variableTerm in euros (without VAT)
  */
-export function calculateMonthlyCost(offer, consumption, power, distribution = null) {
+function calculateTerms(offer, consumption, distribution = null, billingPeriod = null) {
   const tariffType = offer.Contagem || 1;
-  const fixedTerm = (offer.TF || 0) * DAYS_PER_MONTH;
+  const fixedTerm = (offer.TF || 0) * getBillingDays(billingPeriod);
+  
+  // Indexadas: preço OMIE simulado em vez do preço de referência publicado
+  const shift = offer.marketShift || 0;
+  const energyPrice = price => (price > 0 && shift ? Math.max(0, price + shift) : price);
   
   // Variable term depends on tariff type
   let variableTerm = 0;
   
   if (tariffType === 1) {
     // Simple: single price
-    const tv = offer['TV|TVFV|TVP'] || offer.TV || 0;
+    const tv = energyPrice(offer['TV|TVFV|TVP'] || offer.TV || 0);
     variableTerm = consumption * tv;
   } else if (tariffType === 2) {
     // Bi-hourly: valley (vazio) + off-valley (fora vazio)
     const dist = distribution || BI_HORARIA;
-    const tvv = offer['TVV|TVC'] || offer.TVV || 0; // Valley price
-    const tvfv = offer['TV|TVFV|TVP'] || offer.TVFV || 0; // Off-valley price
+    const tvv = energyPrice(offer['TVV|TVC'] || offer.TVV || 0); // Valley price
+    const tvfv = energyPrice(offer['TV|TVFV|TVP'] || offer.TVFV || 0); // Off-valley price
     
     variableTerm = 
       consumption * dist.vazio * tvv +
@@ -112,9 +170,9 @@ export function calculateMonthlyCost(offer, consumption, power, distribution = n
   } else if (tariffType === 3) {
     // Tri-hourly: valley (vazio) + mid (cheias) + peak (ponta)
     const dist = distribution || TRI_HORARIA;
-    const tvvz = offer.TVVz || 0; // Super-valley price
-    const tvc = offer['TVV|TVC'] || offer.TVC || 0; // Mid price
-    const tvp = offer['TV|TVFV|TVP'] || offer.TVP || 0; // Peak price
+    const tvvz = energyPrice(offer.TVVz || 0); // Super-valley price
+    const tvc = energyPrice(offer['TVV|TVC'] || offer.TVC || 0); // Mid price
+    const tvp = energyPrice(offer['TV|TVFV|TVP'] || offer.TVP || 0); // Peak price
     
     variableTerm = 
       consumption * dist.vazio * tvvz +
@@ -122,16 +180,94 @@ export function calculateMonthlyCost(offer, consumption, power, distribution = n
       consumption * dist.ponta * tvp;
   } else {
     // Fallback: treat as simple
-    const tv = offer['TV|TVFV|TVP'] || offer.TV || 0;
+    const tv = energyPrice(offer['TV|TVFV|TVP'] || offer.TV || 0);
     variableTerm = consumption * tv;
   }
   
+  return { fixedTerm, variableTerm };
+}
+
+/**
+ * Calculate monthly cost breakdown for an offer
+ * Mandatory add-on services (requiresServices) are spread over 12 months;
+ * serviceCostAnnual already includes VAT
+ * @param {Object} offer - Offer object from CSV/JSON
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
+ * @returns {Object} Object with fixedTerm, energyTerm, taxes (IEC + CAV), vat, services and total (monthly, euros)
+ */
+export function calculateCostBreakdown(offer, consumption, power, distribution = null, billingPeriod = null) {
+  const { fixedTerm, variableTerm } = calculateTerms(offer, consumption, distribution, billingPeriod);
+  
   // Taxes
   const iec = consumption * IEC_KWH;
   const subtotal = fixedTerm + variableTerm + iec + AUDIOVISUAL_TAX;
-  const total = subtotal * VAT;
   
-  return total;
+  // Serviços adicionais obrigatórios
+  const services = offer.requiresServices ? (offer.serviceCostAnnual || 0) / 12 : 0;
+  
+  return {
+    fixedTerm,
+    energyTerm: variableTerm,
+    taxes: iec + AUDIOVISUAL_TAX,
+    vat: subtotal * (VAT - 1),
+    services,
+    total: subtotal * VAT + services
+  };
+}
+
+/**
+ * Calculate monthly cost for an offer
+ * Implements full calculation with IEC, proper tariff splitting, VAT and mandatory services
+ * @param {Object} offer - Offer object from CSV/JSON
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
+ * @returns {number} Monthly cost in euros (with VAT)
+ */
+export function calculateMonthlyCost(offer, consumption, power, distribution = null, billingPeriod = null) {
+  return calculateCostBreakdown(offer, consumption, power, distribution, billingPeriod).total;
+}
+
+/**
+ * Calculate monthly cost with new-customer discounts and refunds applied (opt-in)
+ * Uses the structured CondComerciais columns carried by offers.json
+ * (newCustomerDiscount, refunds); percentages are fractions (0.02 = 2%)
+ * and annual amounts already include VAT. Offers without these fields
+ * return the base cost.
+ * @param {Object} offer - Offer object with newCustomerDiscount/refunds metadata
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
+ * @returns {number} Monthly cost in euros (with VAT) after discounts, never below 0
+ */
+export function calculateMonthlyCostWithDiscounts(offer, consumption, power, distribution = null, billingPeriod = null) {
+  const { fixedTerm, variableTerm } = calculateTerms(offer, consumption, distribution, billingPeriod);
+  const newCustomer = offer.newCustomerDiscount || {};
+  const refunds = offer.refunds || {};
+  
+  // Descontos percentuais sobre termo fixo e termo de energia
+  const fixedTermPct = Math.min(1, (newCustomer.fixedTermPct || 0) + (refunds.fixedTermPct || 0));
+  const energyTermPct = Math.min(1, (newCustomer.energyTermPct || 0) + (refunds.energyTermPct || 0));
+  const energyEuroKwh = (newCustomer.energyEuroKwh || 0) + (refunds.energyEuroKwh || 0);
+  
+  const discountedFixed = fixedTerm * (1 - fixedTermPct);
+  const discountedVariable = Math.max(0, variableTerm * (1 - energyTermPct) - consumption * energyEuroKwh);
+  
+  // Taxes
+  const iec = consumption * IEC_KWH;
+  const subtotal = discountedFixed + discountedVariable + iec + AUDIOVISUAL_TAX;
+  
+  // Valores anuais fixos (já com IVA) repartidos pelos 12 meses
+  const annualEuro = (newCustomer.annualEuro || 0) + (refunds.annualEuro || 0);
+  const services = offer.requiresServices ? (offer.serviceCostAnnual || 0) / 12 : 0;
+  const total = subtotal * VAT + services - annualEuro / 12;
+  
+  return Math.max(0, total);
 }
 
 /**
@@ -141,10 +277,11 @@ export function calculateMonthlyCost(offer, consumption, power, distribution = n
  * @param {number} consumption - Consumption in kWh
  * @param {number} power - Power in kVA
  * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
  * @returns {Object} Object with monthlyCostBase, monthlyCostPromo, and promotionApplied
  */
-export function calculateMonthlyCostWithPromotion(offer, consumption, power, distribution = null) {
-  const monthlyCostBase = calculateMonthlyCost(offer, consumption, power, distribution);
+export function calculateMonthlyCostWithPromotion(offer, consumption, power, distribution = null, billingPeriod = null) {
+  const monthlyCostBase = calculateMonthlyCost(offer, consumption, power, distribution, billingPeriod);
   
   // Promotions are NOT applied to calculations (metadata only)
   // This ensures we don't make speculative savings claims
@@ -155,32 +292,247 @@ export function calculateMonthlyCostWithPromotion(offer, consumption, power, dis
   };
 }
 
+/**
+ * Monthly cost change since the previous price snapshot (offers.json previousPrices)
+ * Same consumption and power on both sides, so only the price change counts
+ * @param {Object} offer - Offer object (previousPrices: { date, TF, TV... } when prices changed)
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @returns {Object|null} { since (YYYY-MM-DD), monthlyDifference (€, positive = dearer) } or null if unchanged
+ */
+export function calculatePriceChange(offer, consumption, power, distribution = null, billingPeriod = null) {
+  if (!offer.previousPrices) return null;
+  
+  const { date, ...previousPrices } = offer.previousPrices;
+  const current = calculateMonthlyCost(offer, consumption, power, distribution, billingPeriod);
+  const previous = calculateMonthlyCost({ ...offer, ...previousPrices }, consumption, power, distribution, billingPeriod);
+  
+  return { since: date, monthlyDifference: current - previous };
+}
+
+/**
+ * Get the calendar period of a month in the reference year
+ * @param {number} monthIndex - Month (0=janeiro ... 11=dezembro)
+ * @returns {Object} Billing period { start, end } as ISO dates
+ */
+export function getMonthPeriod(monthIndex) {
+  const toISO = date => date.toISOString().slice(0, 10);
+  return {
+    start: toISO(new Date(Date.UTC(PROFILE_YEAR, monthIndex, 1))),
+    end: toISO(new Date(Date.UTC(PROFILE_YEAR, monthIndex + 1, 0)))
+  };
+}
+
+/**
+ * Build 12-month consumption (kWh) from a seasonal profile
+ * Accepts annual consumption, a typical month, or known months (e.g. from invoices):
+ * known months keep their real value and the others follow the profile shape
+ * @param {Object} input - { annualKwh } | { monthlyKwh } | { months: [{ month, kwh }] }
+ * @param {string} profile - Key of SEASONAL_PROFILES ('default', 'heating', 'cooling')
+ * @returns {Array<number>|null} kWh per month (jan-dez) or null if input is empty
+ */
+export function buildMonthlyConsumption(input, profile = 'default') {
+  const weights = SEASONAL_PROFILES[profile] || SEASONAL_PROFILES.default;
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const shape = weights.map(w => (w * 12) / weightSum); // média 1
+  
+  if (input.annualKwh > 0) {
+    return shape.map(factor => (input.annualKwh / 12) * factor);
+  }
+  
+  if (input.monthlyKwh > 0) {
+    return shape.map(factor => input.monthlyKwh * factor);
+  }
+  
+  const known = (input.months || []).filter(m => m.kwh > 0 && m.month >= 0 && m.month < 12);
+  if (known.length === 0) return null;
+  
+  // Mês "médio" que melhor explica os meses conhecidos segundo o perfil
+  const base = known.reduce((sum, m) => sum + m.kwh, 0) / known.reduce((sum, m) => sum + shape[m.month], 0);
+  const monthly = shape.map(factor => base * factor);
+  known.forEach(m => {
+    monthly[m.month] = m.kwh;
+  });
+  
+  return monthly;
+}
+
+/**
+ * Calculate the cost of each calendar month for a 12-month consumption
+ * Uses real month lengths for the fixed term (365 days in total); indexed offers
+ * use the OMIE scenario of each calendar month (market-prices.js)
+ * @param {Object} offer - Offer object from CSV/JSON
+ * @param {Array<number>} monthlyConsumption - kWh per month (jan-dez)
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {string} scenario - Market scenario for indexed offers ('expected' | 'min' | 'max')
+ * @returns {Array<number>} Cost per month in euros (with VAT)
+ */
+export function calculateMonthlyCosts(offer, monthlyConsumption, power, distribution = null, scenario = 'expected') {
+  const shifts = offer.marketScenarios?.[scenario];
+  return monthlyConsumption.map((kwh, monthIndex) => {
+    const monthOffer = shifts ? { ...offer, marketShift: shifts[monthIndex] } : offer;
+    return calculateMonthlyCost(monthOffer, kwh, power, distribution, getMonthPeriod(monthIndex));
+  });
+}
+
+/**
+ * Annual cost band of an indexed offer under the lowest and highest OMIE months on record
+ * @param {Object} offer - Offer with marketScenarios (market-prices.js)
+ * @param {number} consumption - Consumption in kWh (for the billing period, if given)
+ * @param {number} power - Power in kVA
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end }
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez)
+ * @returns {Object|null} { min, max } annual cost in euros, or null for fixed-price offers
+ */
+export function calculateMarketRange(offer, consumption, power, distribution = null, billingPeriod = null, monthlyConsumption = null) {
+  if (!offer.marketScenarios) return null;
+  
+  const annualFor = scenario => (monthlyConsumption
+    ? calculateMonthlyCosts(offer, monthlyConsumption, power, distribution, scenario).reduce((sum, cost) => sum + cost, 0)
+    : calculateAnnualEffectiveCost({ ...offer, marketShift: averageShift(offer.marketScenarios[scenario]) }, consumption, power, distribution, billingPeriod));
+  
+  return { min: annualFor('min'), max: annualFor('max') };
+}
+
 /**
  * Calculate annual effective cost (12-month horizon)
  * NOTE: Promotions are NOT applied - uses base costs only for conservative pricing
+ * Mandatory add-on services are included via calculateMonthlyCost
+ * With a billing period, the day-based part (fixed term, energy, IEC) is scaled to
+ * 365 days; the audiovisual contribution and services stay at 12 per year
  * @param {Object} offer - Offer object with promotion metadata
- * @param {number} consumption - Consumption in kWh
+ * @param {number} consumption - Consumption in kWh (for the billing period, if given)
  * @param {number} power - Power in kVA
  * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
  * @returns {number} Annual cost in euros (base cost only, no promotions)
  */
-export function calculateAnnualEffectiveCost(offer, consumption, power, distribution = null) {
-  const monthlyCostBase = calculateMonthlyCost(offer, consumption, power, distribution);
-  
+export function calculateAnnualEffectiveCost(offer, consumption, power, distribution = null, billingPeriod = null) {
   // Promotions are NOT applied - use base cost only for conservative, trustworthy pricing
-  return monthlyCostBase * 12;
+  const breakdown = calculateCostBreakdown(offer, consumption, power, distribution, billingPeriod);
+  if (!billingPeriod) return breakdown.total * 12;
+  
+  // CAV e serviços são valores mensais: 12 por ano, seja qual for a duração da fatura
+  const monthlyItems = AUDIOVISUAL_TAX * VAT + breakdown.services;
+  return (breakdown.total - monthlyItems) * 365 / getBillingDays(billingPeriod) + monthlyItems * 12;
+}
+
+// Preços sujeitos ao desconto da tarifa social (potência e energia, todos os períodos)
+const SOCIAL_TARIFF_PRICE_FIELDS = ['TF', 'TV|TVFV|TVP', 'TVV|TVC', 'TVVz'];
+
+/**
+ * Social tariff deductions for a power and tariff type (€/day and €/kWh, before taxes)
+ * SOCIAL_TARIFF_DISCOUNT of the regulated tariffs, the same for every supplier
+ * @param {number} power - Contracted power in kVA
+ * @param {Object|null} regulatedPrices - Regulated (TUR) prices at this power and tariff type (offer.regulatedPrices, see loadOffers)
+ * @returns {Object|null} Deduction per price field (TF, TV|TVFV|TVP, TVV|TVC, TVVz), or null above SOCIAL_TARIFF_MAX_POWER or without regulated prices
+ */
+export function getSocialTariffDeductions(power, regulatedPrices) {
+  if (!regulatedPrices || !(power <= SOCIAL_TARIFF_MAX_POWER + 0.01)) return null;
+  
+  return Object.fromEntries(SOCIAL_TARIFF_PRICE_FIELDS.map(field => [field, (regulatedPrices[field] || 0) * SOCIAL_TARIFF_DISCOUNT]));
+}
+
+/**
+ * Subtract social tariff deductions from a set of prices (unused price fields stay 0)
+ * @param {Object} prices - Object with TF/TV price fields
+ * @param {Object} deductions - From getSocialTariffDeductions
+ * @returns {Object} Copy of prices with the deductions applied, never below 0
+ */
+function deductSocialTariff(prices, deductions) {
+  const discounted = { ...prices };
+  SOCIAL_TARIFF_PRICE_FIELDS.forEach(field => {
+    if (typeof prices[field] === 'number' && prices[field] > 0) {
+      discounted[field] = Math.max(0, prices[field] - deductions[field]);
+    }
+  });
+  return discounted;
+}
+
+/**
+ * Apply the regulated social tariff discount to offers that support it
+ * The discount is deducted from the access tariffs, so every offer gets the same
+ * €/day and €/kWh off (getSocialTariffDeductions), not a share of its own price.
+ * It only exists up to SOCIAL_TARIFF_MAX_POWER; other offers, and offers without
+ * regulated prices (CSV fallback), keep their prices
+ * @param {Array<Object>} offers - Array of offer objects (regulatedPrices from loadOffers)
+ * @returns {Array<Object>} Offers; discounted ones have lower TF/TV and socialTariffApplied: true
+ */
+export function applySocialTariff(offers) {
+  return offers.map(o => {
+    const potCont = typeof o.Pot_Cont === 'number' ? o.Pot_Cont : parseFloat(String(o.Pot_Cont || '').replace(',', '.'));
+    const deductions = o.acceptsSocialTariff === false ? null : getSocialTariffDeductions(potCont, o.regulatedPrices);
+    if (!deductions) return o;
+    
+    const discounted = { ...deductSocialTariff(o, deductions), socialTariffApplied: true };
+    // Preços do snapshot anterior com o mesmo desconto, para comparar com os atuais
+    if (o.previousPrices) {
+      discounted.previousPrices = deductSocialTariff(o.previousPrices, deductions);
+    }
+    return discounted;
+  });
+}
+
+/**
+ * Remove offers the user cannot or will not accept (preferences panel)
+ * Offers without eligibility fields (CSV fallback) are always kept; with the social
+ * tariff, the remaining offers also get the regulated discount (applySocialTariff)
+ * @param {Array<Object>} offers - Array of offer objects (eligibility fields from build-offers.js)
+ * @param {Object|null} preferences - { excludeDirectDebitOnly, excludeEBillOnly, excludeOnlineSignupOnly, excludeNewCustomerOnly, excludeRestricted, requirePhoneSupport, socialTariff }
+ * @returns {Array<Object>} Offers compatible with the preferences
+ */
+export function filterOffersByPreferences(offers, preferences = null) {
+  if (!preferences) return offers;
+  
+  const eligible = offers.filter(o => {
+    if (preferences.excludeDirectDebitOnly && o.requiresDirectDebit === true) return false;
+    if (preferences.excludeEBillOnly && o.requiresEBill === true) return false;
+    if (preferences.excludeOnlineSignupOnly && o.requiresOnlineSignup === true) return false;
+    if (preferences.excludeNewCustomerOnly && o.newCustomerOnly === true) return false;
+    if (preferences.excludeRestricted && o.hasRestrictions === true) return false;
+    if (preferences.requirePhoneSupport && o.hasPhoneSupport === false) return false;
+    // Tarifa social: só ofertas que a aplicam (FiltroTarifaSocial=S)
+    if (preferences.socialTariff && o.acceptsSocialTariff === false) return false;
+    return true;
+  });
+  
+  return preferences.socialTariff ? applySocialTariff(eligible) : eligible;
+}
+
+/**
+ * Check whether an annual consumption falls inside the offer's consumption band
+ * Bands are published as whole kWh per month × 12 (0–1188, 1200–3588, ...), so the
+ * consumption is rounded the same way to avoid falling in the gap between bands
+ * @param {Object} offer - Offer object (consumptionBand from build-offers.js)
+ * @param {number} annualKwh - Annual consumption in kWh
+ * @returns {boolean} True if the supplier accepts this consumption (or the offer has no band)
+ */
+export function fitsConsumptionBand(offer, annualKwh) {
+  const band = offer.consumptionBand;
+  if (!band) return true;
+  
+  const roundedKwh = Math.round(annualKwh / 12) * 12;
+  if (band.minKwh !== null && roundedKwh < band.minKwh) return false;
+  if (band.maxKwh !== null && roundedKwh > band.maxKwh) return false;
+  return true;
 }
 
 /**
  * Find best offer for simple tariff (Contagem=1)
- * Excludes lock-in offers by default and uses annual effective cost for ranking
+ * Excludes lock-in offers by default (and offers whose consumption band does not fit),
+ * uses annual effective cost for ranking
  * @param {Array<Object>} offers - Array of offer objects
  * @param {number} consumption - Consumption in kWh
  * @param {number} power - Power in kVA
+ * @param {boolean} includeLockIn - Optional: also consider offers with lock-in (fidelização)
  * @returns {Object} Best offer object with monthlyCost and annualCostEffective properties
  * @throws {Error} If no valid offers found
  */
-export function findBestOffer(offers, consumption, power) {
+export function findBestOffer(offers, consumption, power, includeLockIn = false) {
   // Filtrar ofertas válidas (exclude lock-in by default)
   const valid = offers.filter(o => {
     const tvField = o['TV|TVFV|TVP'] || o.TV || 0;
@@ -189,7 +541,8 @@ export function findBestOffer(offers, consumption, power) {
            tvField > 0 && 
            potCont === power &&
            o.Contagem === 1 && // tarifa simples
-           o.hasLockIn !== true; // Exclude lock-in offers
+           (includeLockIn || o.hasLockIn !== true) && // Exclude lock-in offers unless opted in
+           fitsConsumptionBand(o, consumption * 12);
   });
   
   if (valid.length === 0) {
@@ -243,23 +596,72 @@ export function findBestOffer(offers, consumption, power) {
 }
 
 /**
- * Find best offer for specific tariff type
+ * Estimate the early-exit penalty of a lock-in offer (worst case, in euros)
+ * Uses the penalty type parsed from TxTFidelização at build time
+ * @param {Object} offer - Ranked offer (lockInPenalty, TF, costs with and without discounts)
+ * @param {number} months - Commitment length in months
+ * @returns {number|null} Maximum penalty in euros, or null if the terms cannot be modelled
+ */
+export function estimateExitPenalty(offer, months) {
+  switch (offer.lockInPenalty?.type) {
+    case 'fixedTerm':
+      // Termo de potência mensal × meses que faltam (máximo: sair logo no início)
+      return (offer.TF || 0) * DAYS_PER_MONTH * VAT * months;
+    case 'services':
+      return ((offer.serviceCostAnnual || 0) / 12) * months;
+    case 'benefits': {
+      // Devolução dos descontos recebidos (máximo: sair no fim do período)
+      const monthlyDiscount = (offer.monthlyCost || 0) - (offer.monthlyCostWithDiscounts ?? offer.monthlyCost ?? 0);
+      return monthlyDiscount > 0 ? monthlyDiscount * months : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Expected early-exit penalty of a lock-in offer, used in the lock-in ranking
+ * Assumes an exit LOCK_IN_EXPECTED_EXIT_SHARE into the commitment; terms that
+ * cannot be modelled are costed like a fixed-term penalty rather than as free
+ * @param {Object} offer - Ranked offer (lockInPenalty, TF, costs with and without discounts)
+ * @param {number} months - Commitment length in months
+ * @returns {number} Expected penalty in euros
+ */
+export function estimateExpectedExitPenalty(offer, months) {
+  const elapsedMonths = months * LOCK_IN_EXPECTED_EXIT_SHARE;
+  const remainingMonths = months - elapsedMonths;
+  // Devolução de benefícios cresce com os meses já passados; as outras penalizações com os que faltam
+  const penaltyMonths = offer.lockInPenalty?.type === 'benefits' ? elapsedMonths : remainingMonths;
+  return estimateExitPenalty(offer, penaltyMonths)
+    ?? estimateExitPenalty({ ...offer, lockInPenalty: { type: 'fixedTerm' } }, remainingMonths);
+}
+
+/**
+ * Rank all valid offers for a specific tariff type
  * Excludes lock-in offers by default and uses annual effective cost for ranking
+ * Offers limited to a consumption band the household is outside of are left out
+ * Each ranked offer carries its position and the gap to the winner, so the UI
+ * can show how close the runner-ups are (ADR-014)
  * @param {Array<Object>} offers - Array of offer objects
  * @param {number} consumption - Consumption in kWh
  * @param {number} power - Power in kVA
  * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
  * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
- * @returns {Object} Best offer object with monthlyCost and annualCostEffective properties
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez); annual cost becomes the sum of 12 months
+ * @param {boolean} includeLockIn - Optional: include lock-in offers and rank by cost over the longest commitment period plus the expected exit penalty
+ * @returns {Array<Object>} Offers sorted by annualCostEffective (commitmentCost with lock-in), each with rank, gapMonthly, gapAnnual (and monthlyCosts with a 12-month profile, marketRange for indexed offers, commitment fields with lock-in)
  * @throws {Error} If no valid offers found
  */
-export function findBestOfferForTariff(offers, consumption, power, tariffType = 1, distribution = null) {
+export function rankOffersForTariff(offers, consumption, power, tariffType = 1, distribution = null, billingPeriod = null, monthlyConsumption = null, includeLockIn = false) {
   // Normalize power to number for comparison
   const normalizedPower = typeof power === 'number' ? power : parseFloat(String(power).replace(',', '.'));
   const normalizedTariffType = typeof tariffType === 'number' ? tariffType : parseInt(tariffType);
   
-  // Debug logging (can be removed in production)
-  console.log(`[findBestOfferForTariff] Searching with: power=${normalizedPower} kVA, tariffType=${normalizedTariffType}, consumption=${consumption} kWh, total offers=${offers.length}`);
+  // Consumo anual, para as ofertas limitadas a um escalão de consumo (ConsIni_ELE/ConsFim_ELE)
+  const annualKwh = monthlyConsumption
+    ? monthlyConsumption.reduce((sum, kwh) => sum + kwh, 0)
+    : billingPeriod ? consumption * 365 / getBillingDays(billingPeriod) : consumption * 12;
   
   // Filtrar ofertas válidas (exclude lock-in by default)
   const valid = offers.filter(o => {
@@ -274,27 +676,39 @@ export function findBestOfferForTariff(offers, consumption, power, tariffType =
            tvField > 0 && 
            powerMatch &&
            contagem === normalizedTariffType &&
-           o.hasLockIn !== true; // Exclude lock-in offers
+           (includeLockIn || o.hasLockIn !== true) && // Exclude lock-in offers unless opted in
+           fitsConsumptionBand(o, annualKwh); // O comercializador recusa consumos fora do escalão
   });
   
-  console.log(`[findBestOfferForTariff] Found ${valid.length} valid offers after filtering`);
-  
   if (valid.length === 0) {
     throw new Error(`Nenhuma oferta válida encontrada para potência ${normalizedPower} kVA e tarifa ${normalizedTariffType}`);
   }
   
   // Calcular custos para cada uma
   const withCosts = valid.map(o => {
-    const monthlyCost = calculateMonthlyCost(o, consumption, power, distribution);
-    const annualCostEffective = calculateAnnualEffectiveCost(o, consumption, power, distribution);
-    const { monthlyCostBase, monthlyCostPromo } = calculateMonthlyCostWithPromotion(o, consumption, power, distribution);
+    const monthlyCost = calculateMonthlyCost(o, consumption, power, distribution, billingPeriod);
+    // Com perfil sazonal, o custo anual é a soma dos 12 meses (cada um com o seu consumo e dias)
+    const monthlyCosts = monthlyConsumption ? calculateMonthlyCosts(o, monthlyConsumption, power, distribution) : null;
+    const annualCostEffective = monthlyCosts
+      ? monthlyCosts.reduce((sum, cost) => sum + cost, 0)
+      : calculateAnnualEffectiveCost(o, consumption, power, distribution, billingPeriod);
+    const { monthlyCostBase, monthlyCostPromo } = calculateMonthlyCostWithPromotion(o, consumption, power, distribution, billingPeriod);
+    // Opt-in: custo com descontos/reembolsos, só informativo (ranking usa custo base)
+    const monthlyCostWithDiscounts = calculateMonthlyCostWithDiscounts(o, consumption, power, distribution, billingPeriod);
+    const costBreakdown = calculateCostBreakdown(o, consumption, power, distribution, billingPeriod);
+    // Indexadas: banda de custo entre os meses OMIE mais baratos e mais caros
+    const marketRange = calculateMarketRange(o, consumption, power, distribution, billingPeriod, monthlyConsumption);
     
     return {
       ...o,
       monthlyCost,
+      costBreakdown,
       monthlyCostBase,
       monthlyCostPromo,
-      annualCostEffective
+      monthlyCostWithDiscounts,
+      monthlyCosts,
+      annualCostEffective,
+      marketRange
     };
   });
   
@@ -310,11 +724,25 @@ export function findBestOfferForTariff(offers, consumption, power, tariffType =
     throw new Error('Nenhuma oferta com custo válido encontrada');
   }
   
-  // Ordenar por annualCostEffective (primary), depois monthlyCostBase (tiebreaker), depois nome (stable)
+  // Com fidelização: todas as ofertas comparadas no mesmo horizonte (o período de fidelização mais longo),
+  // com a penalização esperada de quem sai antes do fim somada ao custo das ofertas com fidelização
+  if (includeLockIn) {
+    const horizonMonths = Math.max(12, ...withValidCosts.map(o => (o.hasLockIn ? o.lockInMonths || LOCK_IN_DEFAULT_MONTHS : 0)));
+    withValidCosts.forEach(o => {
+      o.commitmentMonths = o.hasLockIn ? o.lockInMonths || LOCK_IN_DEFAULT_MONTHS : 0;
+      o.horizonMonths = horizonMonths;
+      o.exitPenalty = o.hasLockIn ? estimateExitPenalty(o, o.commitmentMonths) : null;
+      o.expectedExitPenalty = o.hasLockIn ? estimateExpectedExitPenalty(o, o.commitmentMonths) : 0;
+      o.commitmentCost = o.annualCostEffective * horizonMonths / 12 + o.expectedExitPenalty;
+    });
+  }
+  const rankingCost = o => (includeLockIn ? o.commitmentCost : o.annualCostEffective);
+  
+  // Ordenar por annualCostEffective (primary; com fidelização, commitmentCost), depois monthlyCostBase (tiebreaker), depois nome (stable)
   withValidCosts.sort((a, b) => {
-    // Primary: annual effective cost
-    if (a.annualCostEffective !== b.annualCostEffective) {
-      return a.annualCostEffective - b.annualCostEffective;
+    // Primary: annual effective cost, or cost over the commitment horizon with the expected exit penalty
+    if (rankingCost(a) !== rankingCost(b)) {
+      return rankingCost(a) - rankingCost(b);
     }
     // Tiebreaker 1: monthly base cost
     if (a.monthlyCostBase !== b.monthlyCostBase) {
@@ -326,12 +754,47 @@ export function findBestOfferForTariff(offers, consumption, power, tariffType =
     return nameA.localeCompare(nameB);
   });
   
-  // Debug logging (with defensive check)
+  // Diferença para a melhor oferta (0 para a vencedora)
   const best = withValidCosts[0];
+  return withValidCosts.map((o, index) => ({
+    ...o,
+    rank: index + 1,
+    gapMonthly: o.monthlyCost - best.monthlyCost,
+    // Com fidelização, a diferença anual inclui a penalização esperada (repartida pelo horizonte)
+    gapAnnual: includeLockIn
+      ? (o.commitmentCost - best.commitmentCost) * 12 / o.horizonMonths
+      : o.annualCostEffective - best.annualCostEffective
+  }));
+}
+
+/**
+ * Find best offer for specific tariff type
+ * Excludes lock-in offers by default and uses annual effective cost for ranking
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez) for a seasonal annual cost
+ * @param {boolean} includeLockIn - Optional: also consider offers with lock-in (fidelização)
+ * @returns {Object} Best offer object with monthlyCost and annualCostEffective properties
+ * @throws {Error} If no valid offers found
+ */
+export function findBestOfferForTariff(offers, consumption, power, tariffType = 1, distribution = null, billingPeriod = null, monthlyConsumption = null, includeLockIn = false) {
+  // Debug logging (can be removed in production)
+  console.log(`[findBestOfferForTariff] Searching with: power=${power} kVA, tariffType=${tariffType}, consumption=${consumption} kWh, total offers=${offers.length}`);
+  
+  const ranked = rankOffersForTariff(offers, consumption, power, tariffType, distribution, billingPeriod, monthlyConsumption, includeLockIn);
+  
+  console.log(`[findBestOfferForTariff] Found ${ranked.length} valid offers after filtering`);
+  
+  // Debug logging (with defensive check)
+  const best = ranked[0];
   if (best) {
     console.log(`[findBestOfferForTariff] Best offer: ${best.COM} - ${best.tariffName || best.COD_Proposta} (annual cost: €${best.annualCostEffective.toFixed(2)})`);
-    if (withValidCosts.length > 1) {
-      console.log(`[findBestOfferForTariff] Top 3 offers:`, withValidCosts.slice(0, 3).map(o => ({
+    if (ranked.length > 1) {
+      console.log(`[findBestOfferForTariff] Top 3 offers:`, ranked.slice(0, 3).map(o => ({
         provider: o.COM,
         tariff: o.tariffName || o.COD_Proposta,
         annualCost: o.annualCostEffective.toFixed(2)
@@ -342,6 +805,274 @@ export function findBestOfferForTariff(offers, consumption, power, tariffType =
   return best; // melhor oferta
 }
 
+/**
+ * Re-rank offers at the low and high ends of an estimated consumption range
+ * Savings are against the bill the user entered, as in estimate mode
+ * @param {Array<Object>} offers - Eligible offers
+ * @param {Object} range - Result of estimateConsumptionRange
+ * @param {number} power - Power in kVA
+ * @param {number} monthlyBill - Monthly bill amount in euros
+ * @param {Object} expectedBest - Best offer at the expected consumption
+ * @param {boolean} includeLockIn - Optional: also consider offers with lock-in (fidelização)
+ * @returns {Object|null} { low, high, bestChanges } with { consumption, best, yearlySavings } per end, or null without a range
+ */
+export function compareEstimateRange(offers, range, power, monthlyBill, expectedBest, includeLockIn = false) {
+  if (!range || range.low === range.high) return null;
+  
+  const rankAt = consumption => {
+    const best = rankOffersForTariff(offers, consumption, power, 1, null, null, buildMonthlyConsumption({ monthlyKwh: consumption }), includeLockIn)[0] || null;
+    return {
+      consumption,
+      best,
+      yearlySavings: best ? (monthlyBill - best.monthlyCost) * 12 : 0
+    };
+  };
+  const isExpectedBest = best => best && best.COM === expectedBest.COM && best.COD_Proposta === expectedBest.COD_Proposta;
+  
+  const low = rankAt(range.low);
+  const high = rankAt(range.high);
+  
+  return {
+    low,
+    high,
+    // Melhor oferta diferente num dos extremos: a recomendação depende do consumo real
+    bestChanges: !isExpectedBest(low.best) || !isExpectedBest(high.best)
+  };
+}
+
+/**
+ * Build bi- and tri-horária distributions for the same household
+ * Without a known split the ADR-010 defaults are used; with one, its valley
+ * share is applied to both, and cheias/ponta keep the invoice ratio if known
+ * (tri-horária invoice) or the default ratio otherwise
+ * @param {Object|null} distribution - Optional: real or user-chosen distribution (needs vazio)
+ * @returns {Object} Distributions by tariff type { 1: null, 2: {...}, 3: {...} }
+ */
+export function buildTariffDistributions(distribution = null) {
+  if (!distribution || typeof distribution.vazio !== 'number') {
+    return { 1: null, 2: BI_HORARIA, 3: TRI_HORARIA };
+  }
+  
+  const vazio = Math.min(Math.max(distribution.vazio, 0), 1);
+  const outOfValley = 1 - vazio;
+  const cheiasRatio = distribution.cheias > 0 && distribution.ponta > 0
+    ? distribution.cheias / (distribution.cheias + distribution.ponta)
+    : TRI_HORARIA.cheias / (TRI_HORARIA.cheias + TRI_HORARIA.ponta);
+  
+  return {
+    1: null,
+    2: { vazio, foraVazio: outOfValley },
+    3: { vazio, cheias: outOfValley * cheiasRatio, ponta: outOfValley * (1 - cheiasRatio), foraVazio: outOfValley }
+  };
+}
+
+/**
+ * Add an extra load (electric car, heating) to the bi- and tri-horária distributions
+ * Night loads land in vazio; daytime loads in fora de vazio / cheias; 'any'
+ * follows the household's own split
+ * @param {number} annualKwh - Household consumption before the load (kWh/ano)
+ * @param {number} loadAnnualKwh - Extra load (kWh/ano)
+ * @param {string} window - When the load runs ('night' | 'day' | 'any')
+ * @param {Object} distribution - Optional: real or user-chosen distribution (needs vazio)
+ * @returns {Object} Distributions by tariff type { 1: null, 2: {...}, 3: {...} }
+ */
+export function addLoadToDistributions(annualKwh, loadAnnualKwh, window, distribution = null) {
+  const distributions = buildTariffDistributions(distribution);
+  if (window === 'any') return distributions;
+  
+  const total = annualKwh + loadAnnualKwh;
+  const bi = distributions[2];
+  const tri = distributions[3];
+  const night = window === 'night' ? loadAnnualKwh : 0;
+  const day = window === 'day' ? loadAnnualKwh : 0;
+  
+  return {
+    1: null,
+    2: {
+      vazio: (annualKwh * bi.vazio + night) / total,
+      foraVazio: (annualKwh * bi.foraVazio + day) / total
+    },
+    3: {
+      vazio: (annualKwh * tri.vazio + night) / total,
+      cheias: (annualKwh * tri.cheias + day) / total,
+      ponta: annualKwh * tri.ponta / total
+    }
+  };
+}
+
+/**
+ * Find the valley share at which the best bi-horária offer matches the best simples
+ * Cost is linear in the valley share for each offer, so every offer has an
+ * exact crossing point; the break-even is the lowest one
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {number} simplesAnnualCost - Annual cost of the best simples offer
+ * @param {Object} billingPeriod - Optional: billing period { start, end }
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez)
+ * @returns {number|null} Valley share (0-1) or null if bi-horária never wins
+ */
+function findBreakEvenValleyShare(offers, consumption, power, simplesAnnualCost, billingPeriod = null, monthlyConsumption = null) {
+  let biOffers;
+  try {
+    // Tudo fora de vazio: custo máximo de cada oferta bi-horária
+    biOffers = rankOffersForTariff(offers, consumption, power, 2, { vazio: 0, foraVazio: 1 }, billingPeriod, monthlyConsumption);
+  } catch (error) {
+    return null;
+  }
+  
+  const crossings = biOffers.map(o => {
+    const costAllPeak = o.annualCostEffective;
+    const allValley = { vazio: 1, foraVazio: 0 };
+    const costAllValley = monthlyConsumption
+      ? calculateMonthlyCosts(o, monthlyConsumption, power, allValley).reduce((sum, cost) => sum + cost, 0)
+      : calculateAnnualEffectiveCost(o, consumption, power, allValley, billingPeriod);
+    
+    if (costAllPeak <= simplesAnnualCost) return 0;
+    if (costAllValley >= simplesAnnualCost) return null;
+    return (costAllPeak - simplesAnnualCost) / (costAllPeak - costAllValley);
+  }).filter(share => share !== null);
+  
+  return crossings.length > 0 ? Math.min(...crossings) : null;
+}
+
+/**
+ * Compare the best simples, bi-horária and tri-horária offers for the same household
+ * Recommends changing tariff type when the saving reaches TARIFF_CHANGE_MIN_SAVINGS
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {number} currentTariffType - Current tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: real (invoice) or user-chosen distribution
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez) for a seasonal annual cost
+ * @returns {Object|null} { options, currentTariffType, bestTariffType, annualSavings, recommendChange, valleyShare, breakEvenValleyShare } or null if no offers
+ */
+export function compareTariffTypes(offers, consumption, power, currentTariffType = 1, distribution = null, billingPeriod = null, monthlyConsumption = null) {
+  const distributions = buildTariffDistributions(distribution);
+  
+  const options = [1, 2, 3].map(tariffType => {
+    let best = null;
+    try {
+      best = rankOffersForTariff(offers, consumption, power, tariffType, distributions[tariffType], billingPeriod, monthlyConsumption)[0];
+    } catch (error) {
+      // Sem ofertas para esta potência e tipo de tarifa
+    }
+    return { tariffType, best, distribution: distributions[tariffType] };
+  }).filter(option => option.best);
+  
+  if (options.length === 0) return null;
+  
+  const cheapest = options.reduce((a, b) => b.best.annualCostEffective < a.best.annualCostEffective ? b : a);
+  const current = options.find(option => option.tariffType === currentTariffType) || null;
+  const annualSavings = current ? current.best.annualCostEffective - cheapest.best.annualCostEffective : 0;
+  const simples = options.find(option => option.tariffType === 1);
+  
+  return {
+    options,
+    currentTariffType,
+    bestTariffType: cheapest.tariffType,
+    annualSavings,
+    recommendChange: current !== null && cheapest.tariffType !== currentTariffType && annualSavings >= TARIFF_CHANGE_MIN_SAVINGS,
+    valleyShare: distributions[2].vazio,
+    breakEvenValleyShare: simples
+      ? findBreakEvenValleyShare(offers, consumption, power, simples.best.annualCostEffective, billingPeriod, monthlyConsumption)
+      : null
+  };
+}
+
+/**
+ * Estimate peak demand (kW) from consumption
+ * Rough heuristic: average power over the period × POWER_PEAK_FACTOR
+ * (appliances running together, e.g. oven + washing machine)
+ * @param {number} consumption - Consumption in kWh (for the billing period, if given)
+ * @param {Object} billingPeriod - Optional: billing period { start, end } (defaults to DAYS_PER_MONTH)
+ * @returns {number} Estimated peak demand in kW
+ */
+export function estimatePeakDemand(consumption, billingPeriod = null) {
+  const averageKw = consumption / (getBillingDays(billingPeriod) * 24);
+  return averageKw * POWER_PEAK_FACTOR;
+}
+
+/**
+ * Smallest contracted power that covers the household peak plus an extra load
+ * Night loads only overlap with part of the household (NIGHT_PEAK_SHARE)
+ * @param {Array<number>} monthlyConsumption - Household kWh per month (jan-dez), without the load
+ * @param {number} loadKw - Electrical power of the load (kW)
+ * @param {string} window - When the load runs ('night' | 'day' | 'any')
+ * @returns {Object} { peakKw, requiredPower } (requiredPower null above the BTN steps)
+ */
+export function estimateRequiredPower(monthlyConsumption, loadKw, window) {
+  const householdPeakKw = Math.max(...monthlyConsumption.map((kwh, monthIndex) => estimatePeakDemand(kwh, getMonthPeriod(monthIndex))));
+  const peakKw = loadKw + householdPeakKw * (window === 'night' ? NIGHT_PEAK_SHARE : 1);
+  
+  return {
+    peakKw,
+    requiredPower: POWER_STEPS.find(step => step >= peakKw) ?? null
+  };
+}
+
+/**
+ * Compare the best offer at the current power and up to two steps below/above
+ * Lower steps are flagged as plausible only if they cover the estimated peak demand
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Consumption in kWh
+ * @param {number} power - Current contracted power in kVA
+ * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: actual consumption distribution for bi/tri tariffs
+ * @param {Object} billingPeriod - Optional: billing period { start, end } for real fixed-term days
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez) for a seasonal annual cost
+ * @returns {Object|null} { options, currentPower, estimatedPeakKw, suggestedPower, annualSavings } or null if current power has no offers
+ */
+export function comparePowerLevels(offers, consumption, power, tariffType = 1, distribution = null, billingPeriod = null, monthlyConsumption = null) {
+  const normalizedPower = typeof power === 'number' ? power : parseFloat(String(power).replace(',', '.'));
+  
+  // Escalão mais próximo da potência actual (potências fora da lista BTN usam o vizinho)
+  const currentIndex = POWER_STEPS.reduce((closest, step, index) =>
+    Math.abs(step - normalizedPower) < Math.abs(POWER_STEPS[closest] - normalizedPower) ? index : closest, 0);
+  const steps = POWER_STEPS.slice(Math.max(0, currentIndex - 2), currentIndex + 3);
+  // Com perfil sazonal, o pico conta no mês de maior consumo
+  const estimatedPeakKw = monthlyConsumption
+    ? Math.max(...monthlyConsumption.map((kwh, monthIndex) => estimatePeakDemand(kwh, getMonthPeriod(monthIndex))))
+    : estimatePeakDemand(consumption, billingPeriod);
+  
+  const options = steps.map(step => {
+    let best = null;
+    try {
+      best = rankOffersForTariff(offers, consumption, step, tariffType, distribution, billingPeriod, monthlyConsumption)[0];
+    } catch (error) {
+      // Sem ofertas para este escalão
+    }
+    return {
+      power: step,
+      best,
+      isCurrent: step === POWER_STEPS[currentIndex],
+      // kVA ≈ kW para uso doméstico (fator de potência ~1)
+      isPlausible: step >= estimatedPeakKw
+    };
+  }).filter(option => option.best);
+  
+  const current = options.find(option => option.isCurrent);
+  if (!current) return null;
+  
+  options.forEach(option => {
+    option.annualDifference = option.best.annualCostEffective - current.best.annualCostEffective;
+  });
+  
+  // Sugestão: escalão plausível mais barato (pode ser o actual)
+  const suggested = options
+    .filter(option => option.isPlausible || option.isCurrent)
+    .reduce((a, b) => b.best.annualCostEffective < a.best.annualCostEffective ? b : a);
+  
+  return {
+    options,
+    currentPower: current.power,
+    estimatedPeakKw,
+    suggestedPower: suggested.power,
+    annualSavings: -suggested.annualDifference
+  };
+}
+
 /**
  * Enrich offer with commercial data and campaign metadata
  * @param {Object} offer - Offer object
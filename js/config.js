@@ -8,6 +8,9 @@ export const DAYS_PER_MONTH = 30;
 export const DEFAULT_POWER = 4.6; // kVA mais comum
 export const AUDIOVISUAL_TAX = 2.85; // €/mês
 
+// Modo Estimativa: quartis de TF e TV entre ofertas dão o intervalo plausível de consumo
+export const ESTIMATE_RANGE_QUANTILES = [0.25, 0.75];
+
 export const PROVIDERS = {
   'EDPSU': 'SU Eletricidade',
   'EDPC': 'EDP Comercial', 
@@ -27,3 +30,88 @@ export const PROVIDERS = {
   'YLCE': 'Ylce'
 };
 
+// Number of ranked offers shown before "Ver todas" (ADR-014)
+export const TOP_OFFERS_COUNT = 5;
+
+// Poupança mínima (€/ano) para recomendar mudar de tipo de tarifa (simples/bi/tri)
+export const TARIFF_CHANGE_MIN_SAVINGS = 12;
+
+// Escalões normalizados de potência contratada (kVA) em Precos_ELEGN.csv (BTN)
+export const POWER_STEPS = [1.15, 2.3, 3.45, 4.6, 5.75, 6.9, 10.35, 13.8, 17.25, 20.7];
+
+// Pico de potência estimado = potência média × fator (heurística para o conselheiro de potência)
+export const POWER_PEAK_FACTOR = 8;
+
+// Perfis sazonais de consumo (peso relativo de cada mês, jan-dez; normalizados no cálculo)
+// default: curva residencial típica em Portugal (inverno mais alto, verão moderado)
+export const SEASONAL_PROFILES = {
+  default: [1.18, 1.10, 1.02, 0.93, 0.88, 0.87, 0.93, 0.92, 0.88, 0.93, 1.05, 1.21],
+  heating: [1.45, 1.35, 1.15, 0.90, 0.75, 0.70, 0.72, 0.72, 0.72, 0.85, 1.20, 1.49], // aquecimento elétrico
+  cooling: [1.05, 1.00, 0.95, 0.88, 0.92, 1.10, 1.25, 1.25, 1.05, 0.90, 0.92, 1.03]  // ar condicionado
+};
+
+// Ofertas indexadas: fator de perdas na rede quando o comercializador não o indica
+// (perfil de perdas BTN publicado pela ERSE, ~16% em média)
+export const INDEXED_LOSS_FACTOR = 0.16;
+
+// Histórico OMIE usado para simular ofertas indexadas (meses mais recentes)
+export const MARKET_HISTORY_MONTHS = 36;
+
+// Fidelização sem duração indicada: assume-se o período habitual de 12 meses
+export const LOCK_IN_DEFAULT_MONTHS = 12;
+
+// Ranking com fidelização: a saída antecipada conta como se fosse a meio do compromisso
+export const LOCK_IN_EXPECTED_EXIT_SHARE = 0.5;
+
+// Tarifa social: o desconto é uma percentagem das tarifas reguladas (TUR), deduzida às tarifas de
+// acesso às redes. Todas as ofertas têm a mesma dedução em €/dia e €/kWh, não 33,8% do preço de cada uma.
+// Só existe até 6,9 kVA; actualizar com o despacho anual da ERSE. Os preços TUR vêm dos CSVs
+// (build-offers.js escreve-os em meta.json regulatedPrices)
+export const SOCIAL_TARIFF_DISCOUNT = 0.338;
+export const SOCIAL_TARIFF_MAX_POWER = 6.9;
+
+// Autoconsumo solar (UPAC): produção anual por kWp instalado (Portugal continental, painéis a sul)
+export const SOLAR_YIELD_KWH_PER_KWP = 1500;
+// Forma da produção ao longo do ano (jan-dez), normalizada como os perfis sazonais
+export const SOLAR_MONTHLY_PROFILE = [0.55, 0.70, 0.95, 1.10, 1.30, 1.35, 1.45, 1.40, 1.15, 0.85, 0.60, 0.50];
+// Parte do consumo feita com sol: sem bateria, só esta parte pode vir dos painéis
+export const SOLAR_DAYTIME_SHARE = 0.4;
+
+// Carregamento de veículo elétrico: consumo típico (kWh/100 km) e potência do carregador doméstico (wallbox 16 A)
+export const EV_DEFAULT_EFFICIENCY = 17;
+export const EV_CHARGER_KW = 3.7;
+// Cargas programadas para a noite (carro, termoacumulador): só parte da casa está ligada ao mesmo tempo
+export const NIGHT_PEAK_SHARE = 0.5;
+
+// Aquecimento elétrico: COP (calor útil por kWh elétrico) e uso relativo de cada mês (jan-dez, 1 = mês mais frio)
+export const HEATING_SYSTEMS = {
+  heatPump: { cop: 3.5, profile: [1.00, 0.85, 0.60, 0.30, 0.05, 0, 0, 0, 0, 0.20, 0.60, 0.95] },       // aquecimento ambiente
+  heatPumpWater: { cop: 2.8, profile: [1.00, 0.97, 0.93, 0.88, 0.82, 0.77, 0.74, 0.74, 0.77, 0.84, 0.92, 0.99] }, // águas quentes (AQS)
+  waterHeater: { cop: 1, profile: [1.00, 0.97, 0.93, 0.88, 0.82, 0.77, 0.74, 0.74, 0.77, 0.84, 0.92, 0.99] }     // termoacumulador (resistência)
+};
+
+// Estimador por equipamentos (tab "Casa"): kWh/ano, parte que pode correr em vazio e potência (kW) de cada carga
+// Valores médios de consumo doméstico em Portugal (ordem de grandeza, não medições)
+export const HOUSEHOLD_BASE = {
+  apartment: { kwh: 600, vazio: 0.35, kw: 2.0 },  // frigorífico, iluminação, standby; pico de chaleira/micro-ondas
+  house: { kwh: 900, vazio: 0.35, kw: 2.5 }
+};
+export const HOUSEHOLD_PER_OCCUPANT = { kwh: 350, vazio: 0.15 }; // iluminação, eletrónica, pequenos eletrodomésticos
+export const HOUSEHOLD_APPLIANCES = {
+  washingMachine: { kwh: 60, perOccupant: true, vazio: 0.4, kw: 2.0 },
+  dishwasher: { kwh: 250, vazio: 0.5, kw: 1.8 },
+  dryer: { kwh: 90, perOccupant: true, vazio: 0.3, kw: 2.5 },
+  freezer: { kwh: 250, vazio: 0.4, kw: 0.1 },
+  electricOven: { kwh: 350, vazio: 0.05, kw: 3.5 },                                // forno e placa elétricos
+  acRooms: { kwh: 500, vazio: 0.2, kw: 1.5 },                                       // ar condicionado em alguns quartos
+  acHouse: { kwh: 1400, vazio: 0.2, kw: 3.0 },                                      // ar condicionado na casa toda
+  waterHeaterElectric: { kwh: 700, perOccupant: true, vazio: 0.6, kw: 2.0 },        // termoacumulador
+  waterHeaterHeatPump: { kwh: 250, perOccupant: true, vazio: 0.5, kw: 0.7 }
+};
+
+// Gás natural em baixa pressão (BP<): escalões de consumo 1-4 pelo limite superior (m³/ano)
+export const GAS_BAND_LIMITS_M3 = [220, 500, 1000, 10000];
+// Conversão m³ → kWh (poder calorífico médio usado nas faturas; varia ligeiramente por distribuidora)
+export const GAS_KWH_PER_M3 = 11.3;
+// ISP sobre o gás natural de uso doméstico (€/kWh, ~0,31 €/GJ); a taxa de ocupação do subsolo é municipal e fica de fora
+export const GAS_ISP_KWH = 0.0011;
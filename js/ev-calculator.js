@@ -0,0 +1,71 @@
+/**
+ * EV Calculator Module
+ * Electric car charging scenario: extra kWh by charging window and the power it needs
+ *
+ * Charging at night (22h–8h) lands in vazio; daytime charging lands in fora de
+ * vazio (bi-horária) and cheias (tri-horária); "whenever" follows the household's
+ * own split. The charger adds to the household peak, which may need a power raise.
+ */
+
+import { TARIFF_CHANGE_MIN_SAVINGS, EV_CHARGER_KW } from './config.js';
+import { compareTariffTypes, rankOffersForTariff, addLoadToDistributions, estimateRequiredPower } from './calculator.js';
+
+/**
+ * Compare the best offers before and after adding an electric car
+ * After the car, offers are ranked at the current power or the power the
+ * charger needs, whichever is higher
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Monthly consumption in kWh (without the car)
+ * @param {number} power - Power in kVA
+ * @param {number} currentTariffType - Current tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: real or user-chosen distribution
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez); defaults to a flat year
+ * @param {Object} ev - { monthlyKm, efficiency (kWh/100 km), window ('night' | 'day' | 'any') }
+ * @returns {Object|null} { options, before, after, current, evMonthlyKwh, peakKw, requiredPower, afterPower, raisePower, recommendTariffChange, annualCostIncrease } or null without offers
+ */
+export function compareEVScenario(offers, consumption, power, currentTariffType = 1, distribution = null, monthlyConsumption = null, ev = {}) {
+  const months = monthlyConsumption || Array(12).fill(consumption);
+  const before = compareTariffTypes(offers, consumption, power, currentTariffType, distribution, null, months);
+  if (!before) return null;
+  
+  const evMonthlyKwh = (ev.monthlyKm || 0) * (ev.efficiency || 0) / 100;
+  const annualKwh = months.reduce((sum, kwh) => sum + kwh, 0);
+  const evMonths = months.map(kwh => kwh + evMonthlyKwh);
+  const distributions = addLoadToDistributions(annualKwh, evMonthlyKwh * 12, ev.window, distribution);
+  
+  const { peakKw, requiredPower } = estimateRequiredPower(months, EV_CHARGER_KW, ev.window);
+  const afterPower = requiredPower !== null && requiredPower > power ? requiredPower : power;
+  
+  const options = before.options.map(option => {
+    let after = null;
+    try {
+      after = rankOffersForTariff(offers, consumption + evMonthlyKwh, afterPower, option.tariffType, distributions[option.tariffType], null, evMonths)[0];
+    } catch (error) {
+      // Sem ofertas para esta potência e tipo de tarifa
+    }
+    return { tariffType: option.tariffType, before: option.best, after };
+  }).filter(option => option.after);
+  
+  if (options.length === 0) return null;
+  
+  const cheapest = key => options.reduce((a, b) => (b[key].annualCostEffective < a[key].annualCostEffective ? b : a));
+  const bestBefore = cheapest('before');
+  const bestAfter = cheapest('after');
+  const current = options.find(option => option.tariffType === currentTariffType) || null;
+  
+  return {
+    options,
+    before: bestBefore,
+    after: bestAfter,
+    current,
+    evMonthlyKwh,
+    peakKw,
+    requiredPower,
+    afterPower,
+    raisePower: afterPower > power || requiredPower === null,
+    // Bi-horária (ou tri) passa a compensar com o carro, face ao tipo de tarifa actual
+    recommendTariffChange: current !== null && bestAfter.tariffType !== currentTariffType &&
+      current.after.annualCostEffective - bestAfter.after.annualCostEffective >= TARIFF_CHANGE_MIN_SAVINGS,
+    annualCostIncrease: bestAfter.after.annualCostEffective - bestBefore.before.annualCostEffective
+  };
+}
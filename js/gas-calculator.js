@@ -0,0 +1,158 @@
+/**
+ * Gas Calculator Module
+ * Natural gas costs and dual-fuel comparison (data/gas-offers.json)
+ *
+ * Gas offers are priced per consumption escalão (TFGN €/dia, TVGN €/kWh) instead of
+ * contracted power. Dual-fuel (DUAL) offers carry both price lists; their electricity
+ * part is ranked with rankOffersForTariff so it is costed exactly like offers.json.
+ */
+
+import { VAT, DAYS_PER_MONTH, TARIFF_CHANGE_MIN_SAVINGS, GAS_BAND_LIMITS_M3, GAS_KWH_PER_M3, GAS_ISP_KWH } from './config.js';
+import { rankOffersForTariff, applySocialTariff } from './calculator.js';
+
+/**
+ * Get the gas escalão (1-4) for an annual consumption
+ * @param {number} annualKwh - Annual gas consumption in kWh
+ * @returns {number|null} Escalão 1-4, or null above the low-pressure limit
+ */
+export function getGasBand(annualKwh) {
+  const annualM3 = annualKwh / GAS_KWH_PER_M3;
+  const index = GAS_BAND_LIMITS_M3.findIndex(limit => annualM3 <= limit);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Calculate monthly gas cost breakdown for an offer (mirrors calculateCostBreakdown)
+ * @param {Object} offer - Gas or dual-fuel offer (gasPrices per Escalao)
+ * @param {number} consumption - Monthly gas consumption in kWh
+ * @param {number} days - Optional: days in the period (defaults to DAYS_PER_MONTH)
+ * @returns {Object|null} { escalao, fixedTerm, energyTerm, taxes (ISP), vat, total } or null if the offer has no price for this escalão
+ */
+export function calculateGasCostBreakdown(offer, consumption, days = DAYS_PER_MONTH) {
+  const escalao = getGasBand(consumption * 12);
+  const price = offer.gasPrices?.find(p => p.Escalao === escalao);
+  if (!price) return null;
+  
+  const fixedTerm = price.TFGN * days;
+  const energyTerm = consumption * price.TVGN;
+  const isp = consumption * GAS_ISP_KWH;
+  const subtotal = fixedTerm + energyTerm + isp;
+  
+  return {
+    escalao,
+    fixedTerm,
+    energyTerm,
+    taxes: isp,
+    vat: subtotal * (VAT - 1),
+    total: subtotal * VAT
+  };
+}
+
+/**
+ * Calculate monthly gas cost for an offer
+ * @param {Object} offer - Gas or dual-fuel offer
+ * @param {number} consumption - Monthly gas consumption in kWh
+ * @returns {number|null} Monthly cost in euros (with VAT), null without a price for this escalão
+ */
+export function calculateMonthlyGasCost(offer, consumption) {
+  return calculateGasCostBreakdown(offer, consumption)?.total ?? null;
+}
+
+/**
+ * Check whether an annual gas consumption fits the offer's gas band (ConsIni_GN/ConsFim_GN, m³)
+ * @param {Object} offer - Gas or dual-fuel offer (gasBand)
+ * @param {number} annualKwh - Annual gas consumption in kWh
+ * @returns {boolean} True if the supplier accepts this consumption
+ */
+function fitsGasBand(offer, annualKwh) {
+  const band = offer.gasBand;
+  if (!band) return true;
+  
+  const annualM3 = annualKwh / GAS_KWH_PER_M3;
+  if (band.minM3 !== null && annualM3 < band.minM3) return false;
+  if (band.maxM3 !== null && annualM3 > band.maxM3) return false;
+  return true;
+}
+
+/**
+ * Rank gas-only offers (Fornecimento=GN) by annual cost
+ * Excludes lock-in offers, like the electricity ranking
+ * @param {Array<Object>} gasOffers - Offers from gas-offers.json
+ * @param {number} consumption - Monthly gas consumption in kWh
+ * @returns {Array<Object>} Offers sorted by annualCost, each with monthlyCost and annualCost
+ */
+export function rankGasOffers(gasOffers, consumption) {
+  return gasOffers
+    .filter(o => o.fornecimento === 'GN' && o.hasLockIn !== true && fitsGasBand(o, consumption * 12))
+    .map(o => ({ ...o, monthlyCost: calculateMonthlyGasCost(o, consumption) }))
+    .filter(o => o.monthlyCost !== null)
+    .map(o => ({ ...o, annualCost: o.monthlyCost * 12 }))
+    .sort((a, b) => a.annualCost - b.annualCost);
+}
+
+/**
+ * Compare the best dual-fuel bundle with the cheapest separate electricity + gas pair
+ * @param {Array<Object>} offers - Electricity offers (offers.json)
+ * @param {Array<Object>} gasOffers - Gas and dual-fuel offers (gas-offers.json)
+ * @param {number} consumption - Monthly electricity consumption in kWh
+ * @param {number} power - Power in kVA
+ * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: consumption distribution for bi/tri tariffs
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez) for a seasonal annual cost
+ * @param {number} gasConsumption - Monthly gas consumption in kWh
+ * @returns {Object|null} { separate: { electricity, gas, annualCost }, dual: { offer, electricityAnnual, gasAnnual, annualCost } | null, annualSavings, recommendDual } or null without a separate pair
+ */
+export function compareDualFuel(offers, gasOffers, consumption, power, tariffType = 1, distribution = null, monthlyConsumption = null, gasConsumption = 0) {
+  let electricity = null;
+  try {
+    electricity = rankOffersForTariff(offers, consumption, power, tariffType, distribution, null, monthlyConsumption)[0];
+  } catch (error) {
+    return null;
+  }
+  
+  const gas = rankGasOffers(gasOffers, gasConsumption)[0];
+  if (!gas) return null;
+  
+  const separate = {
+    electricity,
+    gas,
+    annualCost: electricity.annualCostEffective + gas.annualCost
+  };
+  
+  // Parte elétrica de cada oferta dual, com a mesma potência e tipo de tarifa
+  let dualElectricity = gasOffers
+    .filter(o => o.fornecimento === 'DUAL' && fitsGasBand(o, gasConsumption * 12))
+    .flatMap(o => o.electricityPrices.map(price => {
+      const { electricityPrices, ...metadata } = o;
+      return { ...metadata, ...price };
+    }));
+  
+  // Tarifa social já aplicada às ofertas de eletricidade: as duais têm o mesmo desconto
+  if (offers.some(o => o.socialTariffApplied)) {
+    dualElectricity = applySocialTariff(dualElectricity);
+  }
+  
+  let dual = null;
+  try {
+    rankOffersForTariff(dualElectricity, consumption, power, tariffType, distribution, null, monthlyConsumption).forEach(offer => {
+      const gasMonthly = calculateMonthlyGasCost(offer, gasConsumption);
+      if (gasMonthly === null) return;
+      
+      const annualCost = offer.annualCostEffective + gasMonthly * 12;
+      if (!dual || annualCost < dual.annualCost) {
+        dual = { offer, electricityAnnual: offer.annualCostEffective, gasAnnual: gasMonthly * 12, annualCost };
+      }
+    });
+  } catch (error) {
+    // Sem ofertas duais para esta potência e tipo de tarifa
+  }
+  
+  const annualSavings = dual ? separate.annualCost - dual.annualCost : 0;
+  
+  return {
+    separate,
+    dual,
+    annualSavings,
+    recommendDual: dual !== null && annualSavings >= TARIFF_CHANGE_MIN_SAVINGS
+  };
+}
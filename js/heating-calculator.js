@@ -0,0 +1,87 @@
+/**
+ * Heating Calculator Module
+ * Electric heating / hot water scenario: seasonal load, best offer and contracted power
+ *
+ * The system's electrical power (thermal size ÷ COP) runs the given hours per
+ * day in the coldest month; other months follow the system's seasonal profile
+ * (HEATING_SYSTEMS). The load is added to the household before ranking again
+ * across every tariff type and the power levels it needs.
+ */
+
+import { DAYS_PER_MONTH, POWER_STEPS, HEATING_SYSTEMS } from './config.js';
+import { compareTariffTypes, rankOffersForTariff, addLoadToDistributions, estimateRequiredPower } from './calculator.js';
+
+/**
+ * Estimate the monthly electricity use of a heating system
+ * @param {Object} heating - { system ('heatPump' | 'heatPumpWater' | 'waterHeater'), sizeKw (thermal), hoursPerDay }
+ * @returns {Object} { loadKw (electrical), monthlyKwh: Array<number> (jan-dez) }
+ */
+export function estimateHeatingLoad(heating) {
+  const system = HEATING_SYSTEMS[heating.system] || HEATING_SYSTEMS.heatPump;
+  const loadKw = (heating.sizeKw || 0) / system.cop;
+  
+  return {
+    loadKw,
+    monthlyKwh: system.profile.map(factor => loadKw * (heating.hoursPerDay || 0) * DAYS_PER_MONTH * factor)
+  };
+}
+
+/**
+ * Compare the best offers before and after electrifying heating or hot water
+ * Searches every tariff type at the power the system needs and one step above
+ * (or the current power, if higher)
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Monthly consumption in kWh (without the system)
+ * @param {number} power - Power in kVA
+ * @param {number} currentTariffType - Current tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: real or user-chosen distribution
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez); defaults to a flat year
+ * @param {Object} heating - { system, sizeKw, hoursPerDay, window ('night' | 'day' | 'any') }
+ * @returns {Object|null} { options, before, best, heatingMonthlyKwh, heatingAnnualKwh, loadKw, peakKw, requiredPower, raisePower, annualCostIncrease } or null without offers
+ */
+export function compareHeatingScenario(offers, consumption, power, currentTariffType = 1, distribution = null, monthlyConsumption = null, heating = {}) {
+  const months = monthlyConsumption || Array(12).fill(consumption);
+  const before = compareTariffTypes(offers, consumption, power, currentTariffType, distribution, null, months);
+  if (!before) return null;
+  const cheapestBefore = before.options.find(option => option.tariffType === before.bestTariffType);
+  
+  const { loadKw, monthlyKwh } = estimateHeatingLoad(heating);
+  const heatingAnnualKwh = monthlyKwh.reduce((sum, kwh) => sum + kwh, 0);
+  const annualKwh = months.reduce((sum, kwh) => sum + kwh, 0);
+  const heatedMonths = months.map((kwh, monthIndex) => kwh + monthlyKwh[monthIndex]);
+  const distributions = addLoadToDistributions(annualKwh, heatingAnnualKwh, heating.window, distribution);
+  
+  const { peakKw, requiredPower } = estimateRequiredPower(months, loadKw, heating.window);
+  // Potência necessária (ou a actual, se for maior) e o escalão seguinte
+  const minPower = Math.max(power, requiredPower ?? POWER_STEPS[POWER_STEPS.length - 1]);
+  const steps = POWER_STEPS.filter(step => step >= minPower - 0.01).slice(0, 2);
+  
+  const options = [];
+  steps.forEach(step => {
+    [1, 2, 3].forEach(tariffType => {
+      try {
+        const best = rankOffersForTariff(offers, (annualKwh + heatingAnnualKwh) / 12, step, tariffType, distributions[tariffType], null, heatedMonths)[0];
+        options.push({ power: step, tariffType, best });
+      } catch (error) {
+        // Sem ofertas para esta potência e tipo de tarifa
+      }
+    });
+  });
+  
+  if (options.length === 0) return null;
+  
+  const best = options.reduce((a, b) => (b.best.annualCostEffective < a.best.annualCostEffective ? b : a));
+  
+  return {
+    options,
+    before: cheapestBefore,
+    best,
+    heatingMonthlyKwh: monthlyKwh,
+    heatingAnnualKwh,
+    loadKw,
+    peakKw,
+    requiredPower,
+    raisePower: requiredPower === null || requiredPower > power,
+    annualCostIncrease: best.best.annualCostEffective - cheapestBefore.best.annualCostEffective
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Household Estimator Module
+ * Consumption estimate from the home and its appliances (tab "Casa")
+ *
+ * Each load has an annual kWh, the share that can run in vazio and its power
+ * (HOUSEHOLD_BASE, HOUSEHOLD_PER_OCCUPANT, HOUSEHOLD_APPLIANCES). The sum gives
+ * the monthly kWh and the period split; the biggest loads running together
+ * give the suggested contracted power.
+ */
+
+import { POWER_STEPS, HOUSEHOLD_BASE, HOUSEHOLD_PER_OCCUPANT, HOUSEHOLD_APPLIANCES } from './config.js';
+import { buildMonthlyConsumption, buildTariffDistributions } from './calculator.js';
+
+// Segunda carga maior a funcionar ao mesmo tempo que a primeira (ex.: forno + termoacumulador), em média
+const SECOND_LOAD_SHARE = 0.5;
+
+/**
+ * List the loads of a household
+ * @param {Object} household - { occupants, dwelling ('apartment' | 'house'), appliances: Array<string>, ac ('none' | 'rooms' | 'house'), waterHeating ('gas' | 'electric' | 'heatPump') }
+ * @returns {Array<Object>} Loads [{ kwh, vazio, kw }]
+ */
+function getHouseholdLoads(household) {
+  const occupants = Math.max(1, Math.round(household.occupants || 1));
+  const loads = [
+    HOUSEHOLD_BASE[household.dwelling] || HOUSEHOLD_BASE.apartment,
+    { ...HOUSEHOLD_PER_OCCUPANT, kwh: HOUSEHOLD_PER_OCCUPANT.kwh * occupants, kw: 0 }
+  ];
+  
+  const keys = [...(household.appliances || [])];
+  if (household.ac === 'rooms') keys.push('acRooms');
+  if (household.ac === 'house') keys.push('acHouse');
+  if (household.waterHeating === 'electric') keys.push('waterHeaterElectric');
+  if (household.waterHeating === 'heatPump') keys.push('waterHeaterHeatPump');
+  
+  keys.filter(key => HOUSEHOLD_APPLIANCES[key]).forEach(key => {
+    const appliance = HOUSEHOLD_APPLIANCES[key];
+    loads.push({ ...appliance, kwh: appliance.perOccupant ? appliance.kwh * occupants : appliance.kwh });
+  });
+  
+  return loads;
+}
+
+/**
+ * Estimate consumption, period split and contracted power for a household
+ * @param {Object} household - See getHouseholdLoads
+ * @returns {Object} { monthlyKwh, annualKwh, monthlyConsumption (jan-dez), distribution { vazio, foraVazio, cheias, ponta }, profile, peakKw, suggestedPower }
+ */
+export function estimateHouseholdConsumption(household) {
+  const loads = getHouseholdLoads(household);
+  const annualKwh = loads.reduce((sum, load) => sum + load.kwh, 0);
+  const vazio = loads.reduce((sum, load) => sum + load.kwh * load.vazio, 0) / annualKwh;
+  
+  // Com ar condicionado, o verão pesa mais (perfil sazonal de arrefecimento)
+  const profile = household.ac === 'rooms' || household.ac === 'house' ? 'cooling' : 'default';
+  const distributions = buildTariffDistributions({ vazio });
+  
+  // Pico: base da casa + maior equipamento + parte do segundo
+  const [base, , ...appliances] = loads;
+  const [largestKw = 0, secondKw = 0] = appliances.map(load => load.kw).sort((a, b) => b - a);
+  const peakKw = base.kw + largestKw + secondKw * SECOND_LOAD_SHARE;
+  
+  return {
+    monthlyKwh: Math.round(annualKwh / 12),
+    annualKwh,
+    monthlyConsumption: buildMonthlyConsumption({ annualKwh }, profile),
+    distribution: distributions[3],
+    profile,
+    peakKw,
+    suggestedPower: POWER_STEPS.find(step => step >= peakKw) ?? POWER_STEPS[POWER_STEPS.length - 1]
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Invoice History Module
+ * Merges several parsed invoices into a consumption timeline (no DOM access)
+ *
+ * Each invoice's kWh are spread evenly over the days of its billing period;
+ * calendar months with at least half of their days covered become known
+ * months for buildMonthlyConsumption (calculator.js).
+ */
+
+const DAY_MS = 86400000;
+
+/**
+ * Key used to de-duplicate invoices (same billing period = same invoice)
+ * @param {Object} invoice - Parsed invoice (parseInvoiceText)
+ * @returns {string} Dedup key
+ */
+function getInvoiceKey(invoice) {
+  if (invoice.billingPeriod) {
+    return `${invoice.billingPeriod.start}|${invoice.billingPeriod.end}`;
+  }
+  // Sem período: o total e o consumo são o melhor identificador que temos
+  return `?|${invoice.consumption}|${invoice.invoiceTotal}`;
+}
+
+/**
+ * Convert ISO date (YYYY-MM-DD) to UTC milliseconds
+ * @param {string} isoDate - ISO date
+ * @returns {number} UTC timestamp
+ */
+function toUTC(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Remove repeated invoices and sort by billing period (oldest first)
+ * The last copy of a repeated invoice wins; invoices without period go last
+ * @param {Array<Object>} invoices - Parsed invoices
+ * @returns {Array<Object>} Unique invoices
+ */
+export function dedupeInvoices(invoices) {
+  const byKey = new Map();
+  invoices.forEach(invoice => {
+    byKey.set(getInvoiceKey(invoice), invoice);
+  });
+  
+  return Array.from(byKey.values()).sort((a, b) => {
+    if (!a.billingPeriod || !b.billingPeriod) return Number(!a.billingPeriod) - Number(!b.billingPeriod);
+    return toUTC(a.billingPeriod.start) - toUTC(b.billingPeriod.start);
+  });
+}
+
+/**
+ * Build a monthly consumption timeline from invoices with billing period
+ * Overlapping days keep the most recent invoice (e.g. corrective invoices)
+ * @param {Array<Object>} invoices - Unique invoices, oldest first
+ * @returns {Array<Object>} Covered months [{ year, month, kwh, coveredDays }], oldest first
+ */
+export function buildConsumptionTimeline(invoices) {
+  const dailyKwh = new Map();
+  
+  invoices.filter(invoice => invoice.billingPeriod && invoice.consumption > 0).forEach(invoice => {
+    const start = toUTC(invoice.billingPeriod.start);
+    const end = toUTC(invoice.billingPeriod.end);
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    if (days <= 0) return;
+    
+    for (let day = start; day <= end; day += DAY_MS) {
+      dailyKwh.set(day, invoice.consumption / days);
+    }
+  });
+  
+  const months = new Map();
+  dailyKwh.forEach((kwh, day) => {
+    const date = new Date(day);
+    const key = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const entry = months.get(key) || { year: date.getUTCFullYear(), month: date.getUTCMonth(), kwh: 0, coveredDays: 0 };
+    entry.kwh += kwh;
+    entry.coveredDays++;
+    months.set(key, entry);
+  });
+  
+  return Array.from(months.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([, entry]) => entry)
+    .filter(entry => {
+      const monthDays = new Date(Date.UTC(entry.year, entry.month + 1, 0)).getUTCDate();
+      // Meses cobertos em menos de metade ficam para o perfil sazonal
+      if (entry.coveredDays * 2 < monthDays) return false;
+      entry.kwh = entry.kwh * monthDays / entry.coveredDays;
+      return true;
+    });
+}
+
+/**
+ * Combine per-invoice period splits into one, weighted by kWh
+ * Only invoices with the same tariff type as the reference count
+ * @param {Array<Object>} invoices - Unique invoices
+ * @param {number} tariffType - Reference tariff type (latest invoice)
+ * @returns {Object|null} Aggregated distribution or null if none has a split
+ */
+function aggregateDistribution(invoices, tariffType) {
+  const withSplit = invoices.filter(invoice => invoice.distribution && invoice.tariffType === tariffType && invoice.consumption > 0);
+  if (withSplit.length === 0) return null;
+  
+  const totalKwh = withSplit.reduce((sum, invoice) => sum + invoice.consumption, 0);
+  const distribution = {};
+  Object.keys(withSplit[withSplit.length - 1].distribution).forEach(period => {
+    distribution[period] = withSplit.reduce((sum, invoice) => sum + (invoice.distribution[period] || 0) * invoice.consumption, 0) / totalKwh;
+  });
+  
+  return distribution;
+}
+
+/**
+ * Merge parsed invoices into one consumption history
+ * The most recent invoice defines supplier, power and tariff; invoices from
+ * another consumption point (different CPE) are left out
+ * @param {Array<Object>} invoices - Parsed invoices (any order, may repeat)
+ * @returns {Object|null} { invoices, latest, months, distribution, ignored } or null without invoices
+ */
+export function mergeInvoiceHistory(invoices) {
+  const unique = dedupeInvoices(invoices);
+  if (unique.length === 0) return null;
+  
+  const dated = unique.filter(invoice => invoice.billingPeriod);
+  const latest = dated.length > 0 ? dated[dated.length - 1] : unique[unique.length - 1];
+  
+  const sameSite = unique.filter(invoice => !invoice.cpe || !latest.cpe || invoice.cpe === latest.cpe);
+  
+  // Anos diferentes do mesmo mês: fica o mais recente
+  const byMonth = new Map();
+  buildConsumptionTimeline(sameSite).forEach(entry => {
+    byMonth.set(entry.month, entry.kwh);
+  });
+  
+  return {
+    invoices: sameSite,
+    latest,
+    months: Array.from(byMonth.entries()).map(([month, kwh]) => ({ month, kwh })),
+    distribution: aggregateDistribution(sameSite, latest.tariffType),
+    ignored: unique.length - sameSite.length
+  };
+}
@@ -3,22 +3,32 @@
  * State management, form handlers, and initialization
  */
 
-import { DEFAULT_POWER, PROVIDERS } from './config.js';
-import { loadOffers, toTitleCase } from './utils.js';
+import { DEFAULT_POWER, PROVIDERS, EV_DEFAULT_EFFICIENCY } from './config.js';
+import { loadOffers, loadGasOffers, toTitleCase } from './utils.js';
 import { 
-  estimateConsumption, 
+  estimateConsumptionRange, 
   calculateMonthlyCost, 
-  findBestOffer, 
-  findBestOfferForTariff, 
+  calculateMonthlyCosts, 
+  compareEstimateRange, 
+  buildMonthlyConsumption, 
+  rankOffersForTariff, 
+  buildTariffDistributions, 
+  filterOffersByPreferences, 
+  applySocialTariff, 
   enrichOffer 
 } from './calculator.js';
+import { compareDualFuel } from './gas-calculator.js';
+import { compareSolarScenario } from './solar-calculator.js';
+import { compareEVScenario } from './ev-calculator.js';
+import { compareHeatingScenario } from './heating-calculator.js';
+import { estimateHouseholdConsumption } from './household-estimator.js';
 import { 
   initPDFUpload, 
   calculateFromPDF
 } from './pdf-service.js';
 import { initTooltips, initTabs, populateProvidersDropdown } from './ui-components.js';
 import { renderResult } from './ui-renderer.js';
-import { initUIHandlers, showResults, hideResults, setEstimadoData, setInvoiceData } from './ui-handlers.js';
+import { initUIHandlers, showResults, hideResults, setEstimadoData, setInvoiceData, getOfferPreferences } from './ui-handlers.js';
 
 // =============================================================================
 // STATE MANAGEMENT
@@ -29,19 +39,23 @@ const state = {
   // Tab results cache
   tabResults: {
     estimate: null,
-    precise: null
+    precise: null,
+    household: null
   },
   
   // Current active mode
   currentMode: 'estimate',
   
   // Manual form visibility
-  manualFormVisible: false
+  manualFormVisible: false,
+  
+  // Ranking com ofertas com fidelização (toggle no resultado, vale para todos os modos)
+  includeLockIn: false
 };
 
 /**
  * Get current mode
- * @returns {string} Current mode ('estimate' or 'precise')
+ * @returns {string} Current mode ('estimate', 'precise' or 'household')
  */
 function getCurrentMode() {
   return state.currentMode;
@@ -49,7 +63,7 @@ function getCurrentMode() {
 
 /**
  * Set current mode
- * @param {string} mode - Mode to set ('estimate' or 'precise')
+ * @param {string} mode - Mode to set ('estimate', 'precise' or 'household')
  */
 function setCurrentMode(mode) {
   state.currentMode = mode;
@@ -122,8 +136,9 @@ async function handleEstimateSubmit(e) {
     // 1. Carregar dados (prefers offers.json, falls back to CSV)
     const { prices, conditions, offers } = await loadOffers();
     
-    // 2. Estimar consumo (data-driven if offers available)
-    const consumption = estimateConsumption(monthlyBill, offers);
+    // 2. Estimar consumo (data-driven if offers available), com intervalo plausível
+    const consumptionRange = estimateConsumptionRange(monthlyBill, offers);
+    const consumption = consumptionRange.expected;
     
     // 3. Use offers.json if available (already filtered to ELE-only at build time)
     // Otherwise filter CSV data to ELE-only
@@ -160,14 +175,22 @@ async function handleEstimateSubmit(e) {
       }));
     }
     
-    // 4. Encontrar melhor oferta (filters lock-in, uses annual effective cost)
-    const best = findBestOffer(offersToSearch, consumption, DEFAULT_POWER);
+    // 4. Ordenar ofertas (tarifa simples, filters lock-in unless opted in and preferences, annual cost over the default seasonal profile)
+    const eligibleOffers = filterOffersByPreferences(offersToSearch, getOfferPreferences());
+    const monthlyConsumption = buildMonthlyConsumption({ monthlyKwh: consumption });
+    const ranked = rankOffersForTariff(eligibleOffers, consumption, DEFAULT_POWER, 1, null, null, monthlyConsumption, state.includeLockIn);
     
     // 5. Enriquecer com nome da tarifa e metadata (if not already enriched)
-    const enrichedBest = offers ? best : enrichOffer(best, conditions);
+    const enrichedRanked = offers ? ranked : ranked.map(o => enrichOffer(o, conditions));
+    const enrichedBest = enrichedRanked[0];
+    
+    // 6. Ordenar outra vez nos extremos do intervalo (disclaimer do ADR-010: o consumo é estimado)
+    const estimateRange = compareEstimateRange(eligibleOffers, consumptionRange, DEFAULT_POWER, monthlyBill, enrichedBest, state.includeLockIn);
     
-    // 6. Renderizar resultado (usa monthlyBill para calcular poupança)
-    renderResult(enrichedBest, consumption, DEFAULT_POWER, monthlyBill, null, true, getCurrentMode(), setTabResult);
+    // 7. Renderizar resultado (usa monthlyBill para calcular poupança)
+    // Comparação simples/bi/tri com as distribuições por defeito (ADR-010)
+    const comparisonContext = { offers: eligibleOffers, tariffType: 1, distribution: null, billingPeriod: null, monthlyConsumption, includeLockIn: state.includeLockIn, estimateRange };
+    renderResult(enrichedBest, consumption, DEFAULT_POWER, monthlyBill, null, true, getCurrentMode(), setTabResult, enrichedRanked, null, null, comparisonContext);
     
   } catch (error) {
     resultDiv.innerHTML = `<p class="error">Erro: ${error.message}</p>`;
@@ -182,10 +205,24 @@ async function handleEstimateSubmit(e) {
 async function handlePreciseSubmit(e) {
   e.preventDefault();
   
-  const consumption = parseFloat(document.getElementById('consumption').value);
+  const consumptionInput = parseFloat(document.getElementById('consumption').value);
+  const isAnnual = document.getElementById('consumption-period')?.value === 'year';
+  const profile = document.getElementById('consumption-profile')?.value || 'default';
+  // Consumo anual é convertido para um mês médio (custo mensal, pill); o perfil reparte-o pelos 12 meses
+  const consumption = isAnnual ? Math.round(consumptionInput / 12) : consumptionInput;
   const power = parseFloat(document.getElementById('power').value);
   const tariffType = parseInt(document.getElementById('tariff-type').value);
   const currentProvider = document.getElementById('current-provider').value;
+  const gasConsumption = parseFloat(document.getElementById('gas-consumption')?.value) || 0;
+  const solarValue = parseFloat(document.getElementById('solar-value')?.value) || 0;
+  const solarUnit = document.getElementById('solar-unit')?.value || 'kwp';
+  const evKm = parseFloat(document.getElementById('ev-km')?.value) || 0;
+  const evEfficiency = parseFloat(document.getElementById('ev-efficiency')?.value) || EV_DEFAULT_EFFICIENCY;
+  const evWindow = document.getElementById('ev-window')?.value || 'night';
+  const heatingSystem = document.getElementById('heating-system')?.value || '';
+  const heatingSize = parseFloat(document.getElementById('heating-size')?.value) || 0;
+  const heatingHours = parseFloat(document.getElementById('heating-hours')?.value) || 0;
+  const heatingWindow = document.getElementById('heating-window')?.value || 'any';
   
   const resultDiv = document.getElementById('result');
   
@@ -253,26 +290,36 @@ async function handlePreciseSubmit(e) {
       }));
     }
     
-    // 4. Encontrar melhor oferta (filters lock-in, uses annual effective cost)
-    const best = findBestOfferForTariff(offersToSearch, consumption, power, tariffType);
+    // 4. Ordenar ofertas (filters lock-in unless opted in and preferences, annual cost = sum of 12 seasonal months)
+    // O operador actual (poupança) continua a ser procurado em todas as ofertas
+    const preferences = getOfferPreferences();
+    const eligibleOffers = filterOffersByPreferences(offersToSearch, preferences);
+    const monthlyConsumption = buildMonthlyConsumption(
+      isAnnual ? { annualKwh: consumptionInput } : { monthlyKwh: consumptionInput },
+      profile
+    );
+    const ranked = rankOffersForTariff(eligibleOffers, consumption, power, tariffType, null, null, monthlyConsumption, state.includeLockIn);
     
     // 5. Enriquecer com nome da tarifa e metadata (if not already enriched)
-    const enrichedBest = offers ? best : enrichOffer(best, conditions);
+    const enrichedRanked = offers ? ranked : ranked.map(o => enrichOffer(o, conditions));
+    const enrichedBest = enrichedRanked[0];
     
     // 6. Calcular poupança se houver operador actual
     let savings = null;
     if (currentProvider) {
-      // Normalize power for comparison (use same tolerance as findBestOfferForTariff)
+      // Normalize power for comparison (use same tolerance as rankOffersForTariff)
       const normalizedPower = typeof power === 'number' ? power : parseFloat(String(power).replace(',', '.'));
       const normalizedTariffType = typeof tariffType === 'number' ? tariffType : parseInt(tariffType);
       
       // Encontrar ofertas do operador actual com mesma potência e tarifa
-      const currentProviderOffers = offersToSearch.filter(o => {
+      // Com tarifa social, a oferta actual também tem o desconto
+      const currentOffers = preferences.socialTariff ? applySocialTariff(offersToSearch) : offersToSearch;
+      const currentProviderOffers = currentOffers.filter(o => {
         const tvField = o['TV|TVFV|TVP'] || o.TV || 0;
         const potCont = typeof o.Pot_Cont === 'number' ? o.Pot_Cont : parseFloat(String(o.Pot_Cont || '').replace(',', '.'));
         const contagem = typeof o.Contagem === 'number' ? o.Contagem : parseInt(o.Contagem);
         
-        // Use tolerance for floating point comparison (0.01 kVA tolerance - same as findBestOfferForTariff)
+        // Use tolerance for floating point comparison (0.01 kVA tolerance - same as rankOffersForTariff)
         const powerMatch = Math.abs(potCont - normalizedPower) < 0.01;
         
         return o.COM === currentProvider && 
@@ -286,7 +333,8 @@ async function handlePreciseSubmit(e) {
         // Calcular custo com a melhor oferta do operador actual
         const currentProviderCosts = currentProviderOffers.map(offer => ({
           ...offer,
-          monthlyCost: calculateMonthlyCost(offer, consumption, power)
+          monthlyCost: calculateMonthlyCost(offer, consumption, power),
+          annualCost: calculateMonthlyCosts(offer, monthlyConsumption, power).reduce((sum, cost) => sum + cost, 0)
         }));
         
         // Ordenar por custo e pegar a mais barata
@@ -295,20 +343,127 @@ async function handlePreciseSubmit(e) {
         
         const currentProviderCost = bestCurrentOffer.monthlyCost;
         const monthlySavings = currentProviderCost - enrichedBest.monthlyCost;
+        // Poupança anual pelo perfil sazonal (soma dos 12 meses)
+        const yearlySavings = bestCurrentOffer.annualCost - enrichedBest.annualCostEffective;
         
         if (monthlySavings > 0) {
           savings = {
             monthly: monthlySavings,
-            yearly: monthlySavings * 12,
+            yearly: yearlySavings,
             vsProvider: toTitleCase(PROVIDERS[currentProvider] || currentProvider)
           };
         }
       }
     }
     
-    // 6. Renderizar resultado (isEstimate: false para modo Preciso)
-    renderResult(enrichedBest, consumption, power, null, savings, false, getCurrentMode(), setTabResult);
+    // 7. Luz + gás: melhor par separado vs melhor oferta dual (só com consumo de gás)
+    let dualFuel = null;
+    if (gasConsumption > 0) {
+      const gasOffers = await loadGasOffers();
+      // Sem gas-offers.json o resultado diz que os preços de gás não estão disponíveis
+      dualFuel = gasOffers
+        ? compareDualFuel(eligibleOffers, filterOffersByPreferences(gasOffers, preferences), consumption, power, tariffType, null, monthlyConsumption, gasConsumption)
+        : { unavailable: true };
+    }
+    
+    // 8. Autoconsumo solar: consumo da rede sem o que os painéis cobrem (kWp ou % de autoconsumo)
+    let solarScenario = null;
+    if (solarValue > 0) {
+      const solar = solarUnit === 'share' ? { selfConsumedShare: solarValue / 100 } : { kWp: solarValue };
+      solarScenario = compareSolarScenario(eligibleOffers, consumption, power, tariffType, null, monthlyConsumption, solar);
+    }
+    
+    // 9. Carro elétrico: kWh de carregamento no período da janela escolhida
+    let evScenario = null;
+    if (evKm > 0) {
+      evScenario = compareEVScenario(eligibleOffers, consumption, power, tariffType, null, monthlyConsumption, { monthlyKm: evKm, efficiency: evEfficiency, window: evWindow });
+    }
+    
+    // 10. Aquecimento elétrico: carga sazonal, melhor oferta e potência necessária
+    let heatingScenario = null;
+    if (heatingSystem && heatingSize > 0 && heatingHours > 0) {
+      heatingScenario = compareHeatingScenario(eligibleOffers, consumption, power, tariffType, null, monthlyConsumption, { system: heatingSystem, sizeKw: heatingSize, hoursPerDay: heatingHours, window: heatingWindow });
+    }
+    
+    // 11. Renderizar resultado (isEstimate: false para modo Preciso)
+    const comparisonContext = { offers: eligibleOffers, tariffType, distribution: null, billingPeriod: null, monthlyConsumption, includeLockIn: state.includeLockIn, dualFuel, solarScenario, evScenario, heatingScenario };
+    renderResult(enrichedBest, consumption, power, null, savings, false, getCurrentMode(), setTabResult, enrichedRanked, null, null, comparisonContext);
+    
+  } catch (error) {
+    resultDiv.innerHTML = `<p class="error">Erro: ${error.message}</p>`;
+    console.error(error);
+  }
+}
+
+/**
+ * Handler for household form submission (tab "Casa")
+ * Consumption, period split and power come from the home and its appliances
+ * @param {Event} e - Form submit event
+ */
+async function handleHouseholdSubmit(e) {
+  e.preventDefault();
+  
+  const dwelling = document.getElementById('household-dwelling')?.value || 'apartment';
+  const household = {
+    occupants: parseInt(document.getElementById('household-occupants').value),
+    dwelling,
+    appliances: Array.from(document.querySelectorAll('#household-form [data-appliance]:checked')).map(input => input.dataset.appliance),
+    ac: document.getElementById('household-ac')?.value || 'none',
+    waterHeating: document.getElementById('household-water')?.value || 'gas'
+  };
+  
+  const resultDiv = document.getElementById('result');
+  
+  if (!resultDiv) return;
+  
+  resultDiv.innerHTML = '<p>A calcular...</p>';
+  
+  try {
+    // 1. Validar inputs
+    if (!household.occupants || household.occupants <= 0) {
+      throw new Error('Introduz o número de pessoas da casa');
+    }
+    
+    // 2. Estimar consumo, repartição por períodos e potência a partir dos equipamentos
+    const estimate = estimateHouseholdConsumption(household);
+    const consumption = estimate.monthlyKwh;
+    const power = estimate.suggestedPower;
+    
+    // Set invoice data for input pill (estimated household)
+    setInvoiceData({
+      provider: 'Casa',
+      tariff: dwelling === 'house' ? 'Moradia' : 'Apartamento',
+      consumption,
+      power
+    }, false);
+    
+    // 3. Carregar ofertas (offers.json; o CSV não traz metadata suficiente para este modo)
+    const { offers } = await loadOffers();
+    if (!offers || offers.length === 0) {
+      throw new Error('Ofertas indisponíveis');
+    }
+    
+    // 4. Ordenar ofertas nos três tipos de tarifa com a repartição estimada e ficar com o mais barato
+    const eligibleOffers = filterOffersByPreferences(offers, getOfferPreferences());
+    const distributions = buildTariffDistributions(estimate.distribution);
+    const rankings = [1, 2, 3].map(tariffType => {
+      try {
+        return { tariffType, ranked: rankOffersForTariff(eligibleOffers, consumption, power, tariffType, distributions[tariffType], null, estimate.monthlyConsumption, state.includeLockIn) };
+      } catch (error) {
+        return null; // Sem ofertas para esta potência e tipo de tarifa
+      }
+    }).filter(Boolean);
+    
+    if (rankings.length === 0) {
+      throw new Error(`Nenhuma oferta válida encontrada para potência ${power} kVA`);
+    }
+    
+    const { tariffType, ranked } = rankings.reduce((a, b) => b.ranked[0].annualCostEffective < a.ranked[0].annualCostEffective ? b : a);
     
+    // 5. Renderizar resultado
+    const comparisonContext = { offers: eligibleOffers, tariffType, distribution: distributions[tariffType], billingPeriod: null, monthlyConsumption: estimate.monthlyConsumption, includeLockIn: state.includeLockIn };
+    renderResult(ranked[0], consumption, power, null, null, false, getCurrentMode(), setTabResult, ranked, null, null, comparisonContext);
+  
   } catch (error) {
     resultDiv.innerHTML = `<p class="error">Erro: ${error.message}</p>`;
     console.error(error);
@@ -320,11 +475,27 @@ async function handlePreciseSubmit(e) {
 // =============================================================================
 
 /**
- * Wrapper for calculateFromPDF that provides current mode
+ * Wrapper for calculateFromPDF that provides current mode and the lock-in choice
  * @returns {Promise<void>}
  */
 async function calculateFromPDFWrapper() {
-  return calculateFromPDF(renderResult, getCurrentMode(), setTabResult);
+  return calculateFromPDF(renderResult, getCurrentMode(), setTabResult, state.includeLockIn);
+}
+
+/**
+ * Recalculate the visible result (after a preference or lock-in change)
+ * Re-submits the form of the current mode, or recalculates from the uploaded invoices
+ */
+function recalculateCurrentResult() {
+  if (getCurrentMode() === 'estimate') {
+    document.getElementById('estimate-form')?.requestSubmit();
+  } else if (getCurrentMode() === 'household') {
+    document.getElementById('household-form')?.requestSubmit();
+  } else if (getManualFormVisible()) {
+    document.getElementById('precise-form')?.requestSubmit();
+  } else {
+    calculateFromPDFWrapper();
+  }
 }
 
 // =============================================================================
@@ -365,6 +536,39 @@ function init() {
     });
   }
   
+  // Event delegation for switching pack (rendered in result-info, outside #result)
+  // Copy and download are local only: the pack never leaves the browser
+  document.addEventListener('click', async (e) => {
+    const packButton = e.target.closest('.switching-pack-copy, .switching-pack-download');
+    if (!packButton) return;
+    
+    const packText = packButton.closest('.switching-pack')?.querySelector('.switching-pack-text')?.textContent;
+    if (!packText) return;
+    
+    if (packButton.classList.contains('switching-pack-download')) {
+      const url = URL.createObjectURL(new Blob([packText], { type: 'text/plain;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'pacote-mudanca.txt';
+      link.click();
+      URL.revokeObjectURL(url);
+      return;
+    }
+    
+    const label = packButton.querySelector('span:last-child');
+    try {
+      await navigator.clipboard.writeText(packText);
+      if (label) {
+        label.textContent = '✓ Copiado!';
+        setTimeout(() => {
+          label.textContent = 'Copiar';
+        }, 2000);
+      }
+    } catch (err) {
+      console.error('Failed to copy switching pack:', err);
+    }
+  });
+  
   // Inicializar tabs
   initTabs(setCurrentMode, getTabResult);
   
@@ -408,12 +612,29 @@ function init() {
     });
   }
   
+  // Preferências: o resultado visível é recalculado com as novas exclusões
+  const preferencesPanel = document.getElementById('preferences-panel');
+  if (preferencesPanel) {
+    preferencesPanel.addEventListener('change', recalculateCurrentResult);
+  }
+  
+  // Fidelização: melhor oferta, poupança e ranking são recalculados com ou sem estas ofertas
+  // (o toggle está em result-info, fora de #result)
+  document.addEventListener('change', (e) => {
+    const toggle = e.target.closest('.ranking-lock-in-input');
+    if (!toggle) return;
+    
+    state.includeLockIn = toggle.checked;
+    recalculateCurrentResult();
+  });
+  
   // Inicializar tooltips
   initTooltips();
   
   // Attach form handlers
   const estimateForm = document.getElementById('estimate-form');
   const preciseForm = document.getElementById('precise-form');
+  const householdForm = document.getElementById('household-form');
   
   if (estimateForm) {
     estimateForm.addEventListener('submit', handleEstimateSubmit);
@@ -422,6 +643,10 @@ function init() {
   if (preciseForm) {
     preciseForm.addEventListener('submit', handlePreciseSubmit);
   }
+  
+  if (householdForm) {
+    householdForm.addEventListener('submit', handleHouseholdSubmit);
+  }
 }
 
 // Setup quando DOM estiver pronto
@@ -0,0 +1,77 @@
+/**
+ * Market Prices Module
+ * OMIE price scenarios for indexed offers (FiltroPrecosIndex=S)
+ *
+ * ERSE publishes indexed offers priced at the 12-month OMIE futures average
+ * (indexation.referencePrice). The energy price follows the formula
+ * (OMIE + margin) × (1 + losses), so a different OMIE price moves every
+ * energy term by (OMIE − reference) × (1 + losses). That shift is stored on
+ * the offer as marketShift (expected) and marketScenarios (per month).
+ */
+
+import { INDEXED_LOSS_FACTOR, MARKET_HISTORY_MONTHS } from './config.js';
+
+/**
+ * Build monthly OMIE scenarios from the bundled history (data/omie-history.json)
+ * For each calendar month: mean, lowest and highest price seen in the last years
+ * @param {Object} history - { unit: '€/MWh', months: [{ month: 'YYYY-MM', price }] }
+ * @returns {Object|null} { expected, min, max } arrays (jan-dez, €/kWh) or null without data
+ */
+export function buildMarketScenarios(history) {
+  const entries = (history?.months || [])
+    .filter(entry => /^\d{4}-\d{2}$/.test(entry.month) && typeof entry.price === 'number')
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .slice(-MARKET_HISTORY_MONTHS);
+  
+  const byMonth = Array.from({ length: 12 }, () => []);
+  entries.forEach(entry => {
+    byMonth[Number(entry.month.slice(5)) - 1].push(entry.price / 1000); // €/MWh → €/kWh
+  });
+  
+  if (byMonth.some(prices => prices.length === 0)) return null;
+  
+  return {
+    expected: byMonth.map(prices => prices.reduce((sum, price) => sum + price, 0) / prices.length),
+    min: byMonth.map(prices => Math.min(...prices)),
+    max: byMonth.map(prices => Math.max(...prices))
+  };
+}
+
+/**
+ * Attach market price shifts to indexed offers
+ * Offers without a published reference price are left at their static prices
+ * @param {Array<Object>} offers - Offers from offers.json (with isIndexed, indexation)
+ * @param {Object|null} scenarios - Result of buildMarketScenarios
+ * @returns {Array<Object>} Offers; indexed ones gain marketShift and marketScenarios (€/kWh)
+ */
+export function attachMarketScenarios(offers, scenarios) {
+  if (!scenarios) return offers;
+  
+  return offers.map(offer => {
+    const referencePrice = offer.isIndexed ? offer.indexation?.referencePrice : null;
+    if (!referencePrice) return offer;
+    
+    const lossFactor = offer.indexation.lossFactor ?? INDEXED_LOSS_FACTOR;
+    const toShift = prices => prices.map(price => (price - referencePrice) * (1 + lossFactor));
+    const marketScenarios = {
+      expected: toShift(scenarios.expected),
+      min: toShift(scenarios.min),
+      max: toShift(scenarios.max)
+    };
+    
+    return {
+      ...offer,
+      marketShift: averageShift(marketScenarios.expected),
+      marketScenarios
+    };
+  });
+}
+
+/**
+ * Average of 12 monthly shifts (used when costs are not computed month by month)
+ * @param {Array<number>} shifts - Monthly shifts (€/kWh)
+ * @returns {number} Average shift (€/kWh)
+ */
+export function averageShift(shifts) {
+  return shifts.reduce((sum, shift) => sum + shift, 0) / shifts.length;
+}
@@ -0,0 +1,20 @@
+/**
+ * Acciona Invoice Parser
+ * Layout: numeric billing period ("Período de faturação 01.06.2025 - 30.06.2025"),
+ * energy as "Consumo ativo", total as "Total:"
+ */
+
+import { extractAmountAfter, extractNumericPeriod, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'ACCIONA',
+  name: 'Acciona',
+  detect: text => /acciona/i.test(text),
+  extract: {
+    billingPeriod: text => extractNumericPeriod(text, /per[íi]odo\s+de\s+fatura[çc][ãa]o/),
+    invoiceTotal: text => extractAmountAfter(text, /\btotal(?=\s*:)/),
+    ...kwhExtractors({
+      simples: /consumo\s+ativo/
+    })
+  }
+};
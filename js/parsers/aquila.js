@@ -0,0 +1,15 @@
+/**
+ * Aquila Invoice Parser
+ * Layout: total as "Total a pagar (EUR) 50,10", without the € sign
+ */
+
+import { extractAmountAfter } from './generic.js';
+
+export default {
+  code: 'AQUILA',
+  name: 'Aquila',
+  detect: text => /\baquila\b/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /total\s+a\s+pagar\s+\(eur\)/)
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Coopérnico Invoice Parser
+ * Layout: energy lines "Consumo fora de vazio" / "Consumo vazio", total as "Total do documento"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'COOPERNICO',
+  name: 'Coopérnico',
+  detect: text => /coop[ée]rnico/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /total\s+do\s+documento/),
+    ...kwhExtractors({
+      foraVazio: /consumo\s+fora\s+de\s+vazio/,
+      vazio: /consumo\s+vazio/
+    })
+  }
+};
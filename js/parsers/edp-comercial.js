@@ -0,0 +1,19 @@
+/**
+ * EDP Comercial Invoice Parser
+ * Layout: energy lines without "Termo de": "Energia Fora Vazio 180 kWh", "Energia Vazio 95 kWh"
+ */
+
+import { kwhExtractors } from './generic.js';
+
+export default {
+  code: 'EDPC',
+  name: 'EDP Comercial',
+  // "EDP Distribuição" é o operador de rede e aparece em faturas de outros comercializadores
+  detect: text => /edp\s+comercial/i.test(text) || /\bedp\b(?!\s+distribui)/i.test(text),
+  extract: {
+    ...kwhExtractors({
+      foraVazio: /energia\s+fora\s+(?:de\s+)?vazio/,
+      vazio: /energia\s+vazio/
+    })
+  }
+};
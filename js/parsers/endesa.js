@@ -0,0 +1,21 @@
+/**
+ * Endesa Invoice Parser
+ * Layout: numeric billing period ("Período de faturação: 01/09/2025 a 30/09/2025"),
+ * energy per "horas de vazio" / "horas fora de vazio", total as "Total fatura"
+ */
+
+import { extractAmountAfter, extractNumericPeriod, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'END',
+  name: 'Endesa',
+  detect: text => /endesa/i.test(text),
+  extract: {
+    billingPeriod: text => extractNumericPeriod(text, /per[íi]odo\s+de\s+fatura[çc][ãa]o/),
+    invoiceTotal: text => extractAmountAfter(text, /total\s+fatura/),
+    ...kwhExtractors({
+      foraVazio: /horas\s+fora\s+de\s+vazio/,
+      vazio: /horas\s+de\s+vazio/
+    })
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Energia Naturalis Invoice Parser
+ * Layout: energy lines "Horas fora de vazio" / "Horas de vazio", total as "Total a liquidar"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'ENAT',
+  name: 'Energia Naturalis',
+  detect: text => /energia\s+naturalis/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /total\s+a\s+liquidar/),
+    ...kwhExtractors({
+      foraVazio: /horas\s+fora\s+de\s+vazio/,
+      vazio: /horas\s+de\s+vazio/
+    })
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Galp Invoice Parser
+ * Layout: energy lines labelled "Eletricidade Fora de Vazio" / "Eletricidade Vazio"
+ */
+
+import { kwhExtractors } from './generic.js';
+
+export default {
+  code: 'GALP',
+  name: 'Galp',
+  detect: text => /\bgalp\b/i.test(text),
+  extract: {
+    ...kwhExtractors({
+      foraVazio: /eletricidade\s+fora\s+de\s+vazio/,
+      vazio: /eletricidade\s+vazio/
+    })
+  }
+};
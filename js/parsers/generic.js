@@ -0,0 +1,625 @@
+/**
+ * Generic Invoice Parser
+ * Provider-agnostic field extractors, used as fallback by the parser registry
+ * A provider parser can override any extractor (see parsers/index.js)
+ */
+
+import { isValidCPE, isValidNIF } from '../utils.js';
+
+// Pattern to match billing periods: "Consumo (Real) 12 ago 2025 a 11 set 2025"
+const BILLING_PERIOD_PATTERN = /consumo\s*\(?(?:real|estimado)\)?\s*(\d{1,2}\s+\w+\s+\d{4})\s*a\s*(\d{1,2}\s+\w+\s+\d{4})/gi;
+
+// Abreviaturas dos meses usadas nas faturas
+const MONTHS_PT = {
+  jan: 1, fev: 2, mar: 3, abr: 4, mai: 5, jun: 6,
+  jul: 7, ago: 8, set: 9, out: 10, nov: 11, dez: 12
+};
+
+// "Termo de Energia" lines per period type (kWh)
+const PERIOD_CONSUMPTION_PATTERNS = {
+  // Cheio/F.Vazio/Fora de Vazio (full/off-peak)
+  foraVazio: /termo\s+de\s+energia\s+(?:cheio\/f\.?vazio|cheio\/fora\s+de\s+vazio|fora\s+de\s+vazio|cheio)\s+(\d+)\s*kwh/gi,
+  // Vazio (off-peak)
+  vazio: /termo\s+de\s+energia\s+vazio\s+(\d+)\s*kwh/gi,
+  // Ponta (peak) - for tri-hourly
+  ponta: /termo\s+de\s+energia\s+ponta\s+(\d+)\s*kwh/gi,
+  // Cheia (mid-day) - for tri-hourly
+  cheia: /termo\s+de\s+energia\s+cheia\s+(\d+)\s*kwh/gi,
+};
+
+/**
+ * Extract kWh values per period type from "Termo de Energia" lines
+ * Invoices split by price changes have several lines per period
+ * @param {string} normalizedText - Invoice text with collapsed whitespace
+ * @returns {Object} Arrays of kWh values: { foraVazio, vazio, ponta, cheia }
+ */
+function extractPeriodValues(normalizedText) {
+  const values = {};
+  
+  Object.entries(PERIOD_CONSUMPTION_PATTERNS).forEach(([type, pattern]) => {
+    values[type] = [...normalizedText.matchAll(pattern)]
+      .map(match => parseInt(match[1]))
+      .filter(value => value > 0 && value < 100000); // Sanity check: reasonable consumption value
+  });
+  
+  return values;
+}
+
+/**
+ * Extract consumption from invoice text by summing all consumption lines
+ * Handles multiple VAT brackets, bi-hourly/tri-hourly tariffs, and validates against IEC line
+ * @param {string} text - Full text content from PDF
+ * @returns {Object|null} Extracted consumption data or null
+ */
+export function extractConsumption(text) {
+  // Normalize text: replace multiple spaces/newlines with single space for better regex matching
+  const normalizedText = text.replace(/\s+/g, ' ');
+  
+  // Step 1: Try to extract from IEC (Imposto Especial Consumo) line - most reliable
+  // Format: "Imposto Especial Consumo (Real) 347 kWh 0,001000€/kWh 0,35 €"
+  const iecPattern = /imposto\s+especial\s+consumo[^(]*\(?(?:real|estimado)?\)?\s*(\d+)\s*kwh/gi;
+  const iecMatches = [...normalizedText.matchAll(iecPattern)];
+  let iecTotal = null;
+  if (iecMatches.length > 0) {
+    // Take the largest value (in case of multiple matches)
+    iecTotal = Math.max(...iecMatches.map(m => parseInt(m[1])));
+  }
+  
+  // Step 2: Extract all consumption lines from billing period sections
+  // Look for consumption lines in billing period contexts (not cumulative meter readings)
+  
+  const periodMatches = [...normalizedText.matchAll(BILLING_PERIOD_PATTERN)];
+  
+  // Consumption patterns for different period types
+  // These match "Termo de Energia" lines with kWh values
+  const consumptionPatterns = {
+    ...PERIOD_CONSUMPTION_PATTERNS,
+    // Simple tariff (no period type specified)
+    simples: /termo\s+de\s+energia\s+(\d+)\s*kwh/gi,
+  };
+  
+  // Alternative patterns (more flexible, provider-agnostic)
+  // Match any line with kWh that appears in consumption context
+  const altPatterns = {
+    // Lines like "81 kWh" near "Termo de Energia" or "Consumo"
+    termoEnergia: /termo\s+de\s+energia[^k]*?(\d+)\s*kwh/gi,
+    // Direct consumption values in billing sections
+    consumoReal: /consumo\s*\(?(?:real|estimado)\)?[^k]*?(\d+)\s*kwh/gi,
+  };
+  
+  // Extract all consumption values (period-specific first, simples only as fallback)
+  const consumptionValues = {
+    ...extractPeriodValues(normalizedText),
+    simples: [],
+  };
+  
+  // Only use simples pattern if no period-specific matches found
+  // This avoids double-counting when period types are present
+  const hasPeriodSpecific = consumptionValues.foraVazio.length > 0 || 
+                           consumptionValues.vazio.length > 0 || 
+                           consumptionValues.ponta.length > 0 || 
+                           consumptionValues.cheia.length > 0;
+  
+  if (!hasPeriodSpecific) {
+    // Try simples pattern (no period type specified)
+    const simplesMatches = [...normalizedText.matchAll(consumptionPatterns.simples)];
+    simplesMatches.forEach(match => {
+      const value = parseInt(match[1]);
+      if (value > 0 && value < 100000) {
+        consumptionValues.simples.push(value);
+      }
+    });
+    
+    // If still no matches, try alternative patterns
+    if (consumptionValues.simples.length === 0) {
+      const termoMatches = [...normalizedText.matchAll(altPatterns.termoEnergia)];
+      termoMatches.forEach(match => {
+        const value = parseInt(match[1]);
+        if (value > 0 && value < 100000) {
+          consumptionValues.simples.push(value);
+        }
+      });
+    }
+  }
+  
+  // Step 3: Filter out cumulative meter readings
+  // These typically appear on page 1 with "A sua leitura" or "Leitura" context
+  // and have very large values (e.g., 13899 kWh)
+  const meterReadingPattern = /(?:a\s+sua\s+leitura|leitura|leitura\s+anterior|leitura\s+actual)[^k]*?(\d+)\s*kwh/gi;
+  const meterReadings = [...normalizedText.matchAll(meterReadingPattern)];
+  const meterReadingValues = meterReadings.map(m => parseInt(m[1]));
+  
+  // Filter out values that look like cumulative readings (typically > 1000 kWh)
+  // But keep them if they're the only values we found
+  const hasBillingPeriodConsumption = periodMatches.length > 0;
+  const allConsumptionValues = [
+    ...consumptionValues.foraVazio,
+    ...consumptionValues.vazio,
+    ...consumptionValues.ponta,
+    ...consumptionValues.cheia,
+    ...consumptionValues.simples,
+  ];
+  
+  // If we have billing period context, filter out large values that might be meter readings
+  const filteredConsumption = hasBillingPeriodConsumption
+    ? allConsumptionValues.filter(v => v < 1000 || allConsumptionValues.length === 1)
+    : allConsumptionValues;
+  
+  // Step 4: Calculate totals by period type
+  const totals = {
+    foraVazio: consumptionValues.foraVazio.reduce((sum, v) => sum + v, 0),
+    vazio: consumptionValues.vazio.reduce((sum, v) => sum + v, 0),
+    ponta: consumptionValues.ponta.reduce((sum, v) => sum + v, 0),
+    cheia: consumptionValues.cheia.reduce((sum, v) => sum + v, 0),
+    simples: consumptionValues.simples.reduce((sum, v) => sum + v, 0),
+  };
+  
+  // Step 5: Determine total consumption
+  let totalConsumption = 0;
+  
+  // If we have period-specific values, sum them
+  if (totals.foraVazio > 0 || totals.vazio > 0 || totals.ponta > 0 || totals.cheia > 0) {
+    totalConsumption = totals.foraVazio + totals.vazio + totals.ponta + totals.cheia;
+  } else if (totals.simples > 0) {
+    // For simple tariff, sum all simple consumption values
+    totalConsumption = totals.simples;
+  } else if (filteredConsumption.length > 0) {
+    // Fallback: sum filtered values
+    totalConsumption = filteredConsumption.reduce((sum, v) => sum + v, 0);
+  }
+  
+  // Step 6: Validate against IEC if available
+  if (iecTotal && totalConsumption > 0) {
+    // IEC should match total consumption (allow 5% tolerance for rounding)
+    const tolerance = Math.max(5, Math.floor(iecTotal * 0.05));
+    if (Math.abs(totalConsumption - iecTotal) > tolerance) {
+      // IEC is more reliable, use it if discrepancy is large
+      console.warn(`Consumption mismatch: extracted ${totalConsumption} kWh, IEC shows ${iecTotal} kWh. Using IEC value.`);
+      totalConsumption = iecTotal;
+    }
+  } else if (iecTotal && totalConsumption === 0) {
+    // If we couldn't extract from consumption lines, use IEC
+    totalConsumption = iecTotal;
+  }
+  
+  return totalConsumption > 0 ? totalConsumption : null;
+}
+
+/**
+ * Extract the real consumption split per period (shares of total kWh)
+ * Same shape as the calculator defaults (BI_HORARIA / TRI_HORARIA); tri-horária
+ * also carries foraVazio (cheias + ponta) so it can be priced as bi-horária
+ * @param {string} text - Full text content from PDF
+ * @param {Object} fields - Fields already extracted (uses tariffType)
+ * @returns {Object|null} { vazio, foraVazio } or { vazio, cheias, ponta, foraVazio }, null for simples
+ */
+export function extractDistribution(text, fields = {}) {
+  if (fields.tariffType !== 2 && fields.tariffType !== 3) return null;
+  
+  const values = extractPeriodValues(text.replace(/\s+/g, ' '));
+  const totals = {};
+  Object.entries(values).forEach(([type, list]) => {
+    totals[type] = list.reduce((sum, v) => sum + v, 0);
+  });
+  
+  if (fields.tariffType === 3) {
+    // "Cheio" sem "/F.Vazio" numa tri-horária corresponde às cheias
+    return distributionFromKwh({ vazio: totals.vazio, cheias: totals.cheia + totals.foraVazio, ponta: totals.ponta }, 3);
+  }
+  
+  return distributionFromKwh({ vazio: totals.vazio, foraVazio: totals.foraVazio + totals.cheia + totals.ponta }, 2);
+}
+
+/**
+ * Turn kWh per period into consumption shares
+ * @param {Object} kwh - { vazio, foraVazio } (bi-horária) or { vazio, cheias, ponta } (tri-horária)
+ * @param {number} tariffType - 2 or 3
+ * @returns {Object|null} { vazio, foraVazio } or { vazio, cheias, ponta, foraVazio }, null if a period is missing
+ */
+export function distributionFromKwh(kwh, tariffType) {
+  const vazio = kwh.vazio || 0;
+  
+  if (tariffType === 3) {
+    const cheias = kwh.cheias || 0;
+    const ponta = kwh.ponta || 0;
+    const total = vazio + cheias + ponta;
+    if (!(vazio > 0) || !(cheias > 0) || !(ponta > 0)) return null;
+    
+    return {
+      vazio: vazio / total,
+      cheias: cheias / total,
+      ponta: ponta / total,
+      foraVazio: (cheias + ponta) / total
+    };
+  }
+  
+  if (tariffType !== 2) return null;
+  
+  // Numa fatura bi-horária com cheias e ponta em linhas separadas, ambas são fora de vazio
+  const foraVazio = (kwh.foraVazio || 0) + (kwh.cheias || 0) + (kwh.ponta || 0);
+  const total = vazio + foraVazio;
+  if (!(vazio > 0) || !(foraVazio > 0)) return null;
+  
+  return {
+    vazio: vazio / total,
+    foraVazio: foraVazio / total
+  };
+}
+
+/**
+ * Parse invoice date like "12 ago 2025" (also accepts full month names)
+ * @param {string} dateStr - Date string from invoice
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null if not recognized
+ */
+export function parseInvoiceDate(dateStr) {
+  const match = String(dateStr).trim().match(/^(\d{1,2})\s+([a-zç]+)\s+(\d{4})$/i);
+  if (!match) return null;
+  
+  const month = MONTHS_PT[match[2].toLowerCase().substring(0, 3)];
+  if (!month) return null;
+  
+  const day = String(parseInt(match[1])).padStart(2, '0');
+  return `${match[3]}-${String(month).padStart(2, '0')}-${day}`;
+}
+
+/**
+ * Extract billing period from invoice text
+ * Invoices split by price changes have several periods; the earliest start
+ * and latest end give the full period covered
+ * @param {string} text - Full text content from PDF
+ * @returns {Object|null} Billing period { start, end } as ISO dates or null
+ */
+export function extractBillingPeriod(text) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const periods = [...normalizedText.matchAll(BILLING_PERIOD_PATTERN)]
+    .map(match => ({ start: parseInvoiceDate(match[1]), end: parseInvoiceDate(match[2]) }))
+    .filter(period => period.start && period.end && period.start <= period.end);
+  
+  if (periods.length === 0) return null;
+  
+  // ISO dates ordenam como strings
+  return {
+    start: periods.map(p => p.start).sort()[0],
+    end: periods.map(p => p.end).sort().pop()
+  };
+}
+
+/**
+ * Parse Portuguese amount ("1.234,56" or "64,23") to number
+ * Without a comma, a dot is the decimal separator ("0.123" €/kWh stays 0.123)
+ * @param {string} value - Amount string
+ * @returns {number} Parsed amount (NaN if invalid)
+ */
+export function parseAmount(value) {
+  const amount = String(value);
+  if (!amount.includes(',')) return parseFloat(amount);
+  return parseFloat(amount.replace(/\.(?=\d{3}(?:\D|$))/g, '').replace(',', '.'));
+}
+
+/**
+ * Extract invoice total ("Total a pagar" / "Valor a pagar")
+ * @param {string} text - Full text content from PDF
+ * @returns {number|null} Total in euros (with VAT) or null
+ */
+export function extractInvoiceTotal(text) {
+  // Formatos: "Total a pagar 64,23 €", "Valor a pagar: € 1.064,23"
+  return extractAmountAfter(text, /(?:total|valor)\s+a\s+pagar/);
+}
+
+// Linhas de serviços adicionais e descontos: "Serviço Assistência Casa 3,50 €", "Desconto fatura eletrónica -1,00 €"
+// Sem dígitos entre a etiqueta e o valor, para não apanhar texto de cabeçalho ("serviços de energia")
+const SERVICE_LINE_PATTERN = /\b(?:servi[çc]os?|assist[êe]ncia)\b[^€\d]{0,40}?(\d+(?:\.\d{3})*,\d{2})\s*€(?!\s*\/)/gi;
+const DISCOUNT_LINE_PATTERN = /\bdescontos?\b[^€\d]{0,40}?(?:\d+(?:,\d+)?\s*%[^€\d]{0,40}?)?-?\s*(\d+(?:\.\d{3})*,\d{2})\s*€(?!\s*\/)/gi;
+
+/**
+ * Sum the amounts of every invoice line matching a pattern
+ * @param {string} text - Full text content from PDF
+ * @param {RegExp} pattern - Global pattern with the amount as first group
+ * @returns {number|null} Sum in euros (as printed, without VAT) or null if no line matches
+ */
+function sumLineAmounts(text, pattern) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const amounts = [...normalizedText.matchAll(pattern)]
+    .map(match => parseAmount(match[1]))
+    .filter(amount => amount > 0 && isFinite(amount));
+  
+  return amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null;
+}
+
+/**
+ * Extract additional services charged on the invoice (assistance, insurance...)
+ * @param {string} text - Full text content from PDF
+ * @returns {number|null} Services in euros without VAT, or null
+ */
+export function extractServices(text) {
+  return sumLineAmounts(text, SERVICE_LINE_PATTERN);
+}
+
+/**
+ * Extract discounts applied on the invoice (amounts in euros; percentages are skipped)
+ * @param {string} text - Full text content from PDF
+ * @returns {number|null} Discounts in euros without VAT (positive), or null
+ */
+export function extractDiscounts(text) {
+  return sumLineAmounts(text, DISCOUNT_LINE_PATTERN);
+}
+
+/**
+ * Extract unit prices charged on the invoice
+ * Energy prices are kWh-weighted per period type (invoices split by price changes)
+ * @param {string} text - Full text content from PDF
+ * @returns {Object|null} { fixedTermDaily, energy: { simples, foraVazio, vazio, cheia, ponta } } or null
+ */
+export function extractUnitPrices(text) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  
+  // Termo de potência: "Termo de Potência 6,9 kVA 31 dias 0,3419 €/dia"
+  const fixedTermPattern = /termo\s+(?:fixo|de\s+pot[êe]ncia)[^€]*?(\d+[.,]\d+)\s*€\s*\/\s*dia/i;
+  const fixedMatch = normalizedText.match(fixedTermPattern);
+  const fixedTermDaily = fixedMatch ? parseAmount(fixedMatch[1]) : null;
+  
+  // Termo de energia: "Termo de Energia Vazio 81 kWh 0,1012 €/kWh"
+  const energyPattern = /termo\s+de\s+energia\s+(?:(cheio\/f\.?vazio|cheio\/fora\s+de\s+vazio|fora\s+de\s+vazio|vazio|ponta|cheia|cheio)\s+)?(\d+)\s*kwh\s*(?:x\s*)?(\d+[.,]\d+)\s*€\s*\/\s*kwh/gi;
+  const sums = {};
+  for (const match of normalizedText.matchAll(energyPattern)) {
+    const label = (match[1] || '').toLowerCase();
+    const type = label === 'vazio' ? 'vazio' :
+                 label === 'ponta' ? 'ponta' :
+                 label === 'cheia' ? 'cheia' :
+                 label ? 'foraVazio' : 'simples';
+    const kwh = parseInt(match[2]);
+    const price = parseAmount(match[3]);
+    if (!(kwh > 0) || !(price > 0)) continue;
+    
+    sums[type] = sums[type] || { kwh: 0, cost: 0 };
+    sums[type].kwh += kwh;
+    sums[type].cost += kwh * price;
+  }
+  
+  const energy = {};
+  Object.entries(sums).forEach(([type, sum]) => {
+    energy[type] = sum.cost / sum.kwh;
+  });
+  
+  if (!fixedTermDaily && Object.keys(energy).length === 0) return null;
+  
+  return {
+    fixedTermDaily: fixedTermDaily > 0 ? fixedTermDaily : null,
+    energy
+  };
+}
+
+/**
+ * Extract contracted power (kVA)
+ * @param {string} text - Full text content from PDF
+ * @returns {number|null} Power in kVA or null
+ */
+export function extractPower(text) {
+  const powerMatch = text.match(/pot[êe]ncia(?:\s+contratada)?[:\s]*([\d.,]+)\s*kva/i) || text.match(/([\d.,]+)\s*kva/i);
+  if (!powerMatch) return null;
+  
+  const power = parseFloat(powerMatch[1].replace(',', '.'));
+  return power > 0 ? power : null;
+}
+
+/**
+ * Detect tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {string} text - Full text content from PDF
+ * @returns {number} Tariff type (default: simples)
+ */
+export function extractTariffType(text) {
+  if (/tri[- ]?hor[aá]ria/i.test(text)) return 3;
+  if (/bi[- ]?hor[aá]ria/i.test(text)) return 2;
+  return 1;
+}
+
+/**
+ * Detect cycle (daily vs weekly) for bi-horária and tri-horária
+ * @param {string} text - Full text content from PDF
+ * @param {Object} fields - Fields already extracted (uses tariffType)
+ * @returns {string|null} 'daily' | 'weekly' | null
+ */
+export function extractCycleType(text, fields = {}) {
+  if (fields.tariffType !== 2 && fields.tariffType !== 3) return null;
+  
+  const normalizedText = text.toLowerCase();
+  // Check for weekly cycle indicators
+  if (normalizedText.includes('sem feriados') ||
+      normalizedText.includes('ciclo semanal') ||
+      normalizedText.includes('semanal')) {
+    return 'weekly';
+  }
+  // Check for daily cycle indicators
+  if (normalizedText.includes('ciclo diário') ||
+      normalizedText.includes('ciclo diario') ||
+      normalizedText.includes('diário') ||
+      normalizedText.includes('diario')) {
+    return 'daily';
+  }
+  
+  return null;
+}
+
+/**
+ * Extract an amount (€) that follows a label, e.g. "Valor a pagar 64,23 €"
+ * Helper for provider modules with their own total labels
+ * @param {string} text - Full text content from PDF
+ * @param {RegExp} labelPattern - Pattern for the label (without the amount)
+ * @returns {number|null} Amount in euros or null
+ */
+export function extractAmountAfter(text, labelPattern) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const pattern = new RegExp(`${labelPattern.source}[:\\s]*(?:€\\s*)?(\\d{1,3}(?:\\.\\d{3})*,\\d{2}|\\d+,\\d{2})`, 'i');
+  const match = normalizedText.match(pattern);
+  if (!match) return null;
+  
+  const amount = parseAmount(match[1]);
+  return amount > 0 && isFinite(amount) ? amount : null;
+}
+
+/**
+ * Find the lines that start with a label and print kWh, e.g. "Energia Vazio 95 kWh 0,1034 €/kWh"
+ * @param {string} text - Full text content from PDF
+ * @param {RegExp} labelPattern - Pattern for the label (without the kWh value)
+ * @returns {Array<Object>} [{ kwh, price }] (price in €/kWh, null when the line has none)
+ */
+function findKwhLines(text, labelPattern) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const pattern = new RegExp(`${labelPattern.source}[^\\d€]{0,20}?(\\d{1,3}(?:\\.\\d{3})+|\\d+)\\s*kwh(?:\\s*(?:x\\s*)?(\\d+[.,]\\d+)\\s*€\\s*\\/\\s*kwh)?`, 'gi');
+  return [...normalizedText.matchAll(pattern)]
+    .map(match => ({ kwh: parseInt(match[1].replace(/\./g, '')), price: match[2] ? parseAmount(match[2]) : null }))
+    .filter(line => line.kwh > 0 && line.kwh < 100000); // Sanity check: reasonable consumption value
+}
+
+/**
+ * Sum the kWh printed after every occurrence of a label, e.g. "Energia Vazio 95 kWh"
+ * Helper for provider modules with their own consumption labels
+ * @param {string} text - Full text content from PDF
+ * @param {RegExp} labelPattern - Pattern for the label (without the kWh value)
+ * @returns {number} kWh (0 if the label is not found)
+ */
+export function sumKwhAfter(text, labelPattern) {
+  return findKwhLines(text, labelPattern).reduce((sum, line) => sum + line.kwh, 0);
+}
+
+/**
+ * Build consumption, distribution and unit price extractors from per-period labels
+ * Helper for provider modules whose energy lines differ from "Termo de Energia ..."
+ * @param {Object} labels - Label pattern per period: { simples, vazio, foraVazio, cheias, ponta } (any subset)
+ * @returns {Object} { consumption, distribution, unitPrices } extractors for a parser's extract map
+ */
+export function kwhExtractors(labels) {
+  const kwhByPeriod = text => {
+    const kwh = {};
+    Object.entries(labels).forEach(([period, label]) => {
+      kwh[period] = sumKwhAfter(text, label);
+    });
+    return kwh;
+  };
+  
+  return {
+    consumption: text => {
+      const total = Object.values(kwhByPeriod(text)).reduce((sum, value) => sum + value, 0);
+      return total > 0 ? total : null;
+    },
+    distribution: (text, fields = {}) => distributionFromKwh(kwhByPeriod(text), fields.tariffType),
+    unitPrices: text => {
+      // Termo de potência como no genérico; preços de energia (ponderados por kWh) nas linhas do operador
+      const fixedTermDaily = extractUnitPrices(text)?.fixedTermDaily ?? null;
+      const energy = {};
+      Object.entries(labels).forEach(([period, label]) => {
+        const lines = findKwhLines(text, label).filter(line => line.price > 0);
+        const kwh = lines.reduce((sum, line) => sum + line.kwh, 0);
+        if (kwh > 0) {
+          energy[period === 'cheias' ? 'cheia' : period] = lines.reduce((sum, line) => sum + line.kwh * line.price, 0) / kwh;
+        }
+      });
+      
+      if (!fixedTermDaily && Object.keys(energy).length === 0) return null;
+      return { fixedTermDaily, energy };
+    }
+  };
+}
+
+/**
+ * Extract a billing period written with numeric dates after a label
+ * e.g. "Período de faturação: 01/09/2025 a 30/09/2025" (also "-" or "." separators, "até")
+ * Helper for provider modules
+ * @param {string} text - Full text content from PDF
+ * @param {RegExp} labelPattern - Pattern for the label (without the dates)
+ * @returns {Object|null} Billing period { start, end } as ISO dates or null
+ */
+export function extractNumericPeriod(text, labelPattern) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const date = '(\\d{1,2})[./-](\\d{1,2})[./-](\\d{4})';
+  const match = normalizedText.match(new RegExp(`${labelPattern.source}[:\\s]*(?:de\\s+)?${date}\\s*(?:a|até|-)\\s*${date}`, 'i'));
+  if (!match) return null;
+  
+  const toISO = (day, month, year) => `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const start = toISO(match[1], match[2], match[3]);
+  const end = toISO(match[4], match[5], match[6]);
+  return start <= end ? { start, end } : null;
+}
+
+/**
+ * Extract CPE (Código de Ponto de Entrega), e.g. "PT 0002 0000 1234 5678 MV"
+ * Only returns a CPE whose check letters are valid
+ * @param {string} text - Full text content from PDF
+ * @returns {string|null} CPE without spaces or null
+ */
+export function extractCPE(text) {
+  const candidates = text.toUpperCase().matchAll(/\bPT\s?(?:\d\s?){16}[A-Z]{2}(?:\s?\d[A-Z])?\b/g);
+  for (const match of candidates) {
+    const cpe = match[0].replace(/\s/g, '');
+    if (isValidCPE(cpe)) return cpe;
+  }
+  
+  return null;
+}
+
+/**
+ * Extract customer NIF (labelled "NIF" or "Contribuinte")
+ * Supplier NIPC is not labelled as NIF, and invalid check digits are skipped
+ * @param {string} text - Full text content from PDF
+ * @returns {string|null} 9-digit NIF or null
+ */
+export function extractNIF(text) {
+  const normalizedText = text.replace(/\s+/g, ' ');
+  const pattern = /\b(?:nif|n\.?\s*[ºo°]?\s*(?:de\s+)?contribuinte|contribuinte)\b[^\d]{0,20}(\d{3}\s?\d{3}\s?\d{3})\b/gi;
+  for (const match of normalizedText.matchAll(pattern)) {
+    const nif = match[1].replace(/\s/g, '');
+    if (isValidNIF(nif)) return nif;
+  }
+  
+  return null;
+}
+
+/**
+ * Extract supply address ("Local de consumo", "Morada de fornecimento", "Morada")
+ * Reads from the label up to the postal code (NNNN-NNN) and the locality in capitals
+ * @param {string} text - Full text content from PDF
+ * @returns {string|null} Address on a single line or null
+ */
+export function extractAddress(text) {
+  // Etiquetas do local de consumo têm prioridade sobre a morada de correspondência
+  const labels = [
+    /local\s+de\s+consumo|morada\s+(?:do\s+local\s+de\s+consumo|de\s+fornecimento|da\s+instala[çc][ãa]o)/i,
+    /morada/i
+  ];
+  
+  for (const label of labels) {
+    const pattern = new RegExp(`(?:${label.source})\\s*:?\\s*([^\\n]{3,120}?\\d{4}-\\d{3})`, 'i');
+    const match = text.match(pattern);
+    if (!match) continue;
+    
+    // Localidade em maiúsculas a seguir ao código postal (formato CTT)
+    const rest = text.slice(match.index + match[0].length);
+    const locality = rest.match(/^[ \t]+([A-ZÀ-Ý][A-ZÀ-Ý'-]*(?:[ \t][A-ZÀ-Ý][A-ZÀ-Ý'-]*){0,3})(?![a-zà-ÿ])/);
+    const address = locality ? `${match[1]} ${locality[1]}` : match[1];
+    return address.replace(/\s+/g, ' ').trim();
+  }
+  
+  return null;
+}
+
+// Fallback parser: detecta qualquer fatura, não identifica operador
+export default {
+  code: null,
+  name: 'Genérico',
+  detect: () => true,
+  extract: {
+    consumption: extractConsumption,
+    power: extractPower,
+    tariffType: extractTariffType,
+    cycleType: extractCycleType,
+    distribution: extractDistribution,
+    billingPeriod: extractBillingPeriod,
+    invoiceTotal: extractInvoiceTotal,
+    unitPrices: extractUnitPrices,
+    services: extractServices,
+    discounts: extractDiscounts,
+    cpe: extractCPE,
+    nif: extractNIF,
+    address: extractAddress
+  }
+};
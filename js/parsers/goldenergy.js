@@ -0,0 +1,20 @@
+/**
+ * Goldenergy Invoice Parser
+ * Layout: energy lines "Consumo em Ponta/Cheias/Vazio", total as "Montante a pagar"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'GOLD',
+  name: 'Goldenergy',
+  detect: text => /goldenergy/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /montante\s+a\s+pagar/),
+    ...kwhExtractors({
+      ponta: /consumo\s+em\s+ponta/,
+      cheias: /consumo\s+em\s+cheias/,
+      vazio: /consumo\s+em\s+vazio/
+    })
+  }
+};
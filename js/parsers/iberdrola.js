@@ -0,0 +1,21 @@
+/**
+ * Iberdrola Invoice Parser
+ * Layout: numeric billing period ("Período de consumo: 01-02-2025 a 28-02-2025"),
+ * energy lines "Energia ativa ponta/cheias/vazio"
+ */
+
+import { extractNumericPeriod, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'IBER',
+  name: 'Iberdrola',
+  detect: text => /iberdrola/i.test(text),
+  extract: {
+    billingPeriod: text => extractNumericPeriod(text, /per[íi]odo\s+de\s+consumo/),
+    ...kwhExtractors({
+      ponta: /energia\s+ativa\s+ponta/,
+      cheias: /energia\s+ativa\s+cheias/,
+      vazio: /energia\s+ativa\s+vazio/
+    })
+  }
+};
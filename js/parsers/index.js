@@ -0,0 +1,123 @@
+/**
+ * Invoice Parser Registry
+ * One parser module per supplier in PROVIDERS (config.js) plus a generic fallback
+ *
+ * Parser shape:
+ *   {
+ *     code: 'GALP',                 // PROVIDERS key
+ *     name: 'Galp',
+ *     detect: text => boolean,      // detection signature
+ *     extract: { field: (text, fields) => value | null }
+ *   }
+ *
+ * Any field a provider does not extract (or returns null for) falls back
+ * to the generic extractor, so a provider module only needs what differs
+ * in its layout (labels for the total, the energy lines, the period...).
+ */
+
+import genericParser from './generic.js';
+import suEletricidade from './su-eletricidade.js';
+import endesa from './endesa.js';
+import galp from './galp.js';
+import goldenergy from './goldenergy.js';
+import iberdrola from './iberdrola.js';
+import meoEnergia from './meo-energia.js';
+import repsol from './repsol.js';
+import acciona from './acciona.js';
+import energiaNaturalis from './energia-naturalis.js';
+import luzboa from './luzboa.js';
+import muon from './muon.js';
+import plenitude from './plenitude.js';
+import aquila from './aquila.js';
+import coopernico from './coopernico.js';
+import ylce from './ylce.js';
+import edpComercial from './edp-comercial.js';
+
+// Fields extracted from every invoice (order matters: cycleType and distribution depend on tariffType)
+export const INVOICE_FIELDS = [
+  'consumption',
+  'power',
+  'tariffType',
+  'cycleType',
+  'distribution',
+  'billingPeriod',
+  'invoiceTotal',
+  'unitPrices',
+  'services',
+  'discounts',
+  'cpe',
+  'nif',
+  'address'
+];
+
+// Ordem de detecção: EDP Comercial por último, porque outras faturas
+// podem mencionar "EDP" (ex.: SU Eletricidade, antigo operador de rede)
+const providerParsers = [
+  suEletricidade,
+  endesa,
+  galp,
+  goldenergy,
+  iberdrola,
+  meoEnergia,
+  repsol,
+  acciona,
+  energiaNaturalis,
+  luzboa,
+  muon,
+  plenitude,
+  aquila,
+  coopernico,
+  ylce,
+  edpComercial
+];
+
+/**
+ * Register an additional provider parser (takes precedence over built-in parsers)
+ * @param {Object} parser - Parser with code, name, detect and extract
+ * @throws {Error} If parser is missing code or detect function
+ */
+export function registerParser(parser) {
+  if (!parser || !parser.code || typeof parser.detect !== 'function') {
+    throw new Error('Parser must have a code and a detect(text) function');
+  }
+  
+  providerParsers.unshift({ extract: {}, ...parser });
+}
+
+/**
+ * Get registered provider parsers (detection order)
+ * @returns {Array<Object>} Copy of the provider parser list
+ */
+export function getParsers() {
+  return [...providerParsers];
+}
+
+/**
+ * Find the provider parser whose signature matches the invoice
+ * @param {string} text - Full text content from PDF
+ * @returns {Object|null} Matching parser or null (generic fallback only)
+ */
+export function detectParser(text) {
+  return providerParsers.find(parser => parser.detect(text)) || null;
+}
+
+/**
+ * Parse invoice text with the matching provider parser and the generic fallback
+ * @param {string} text - Full text content from PDF
+ * @returns {Object} Extracted fields (see INVOICE_FIELDS) plus provider code (null if not detected)
+ */
+export function parseInvoice(text) {
+  const parser = detectParser(text);
+  const fields = {};
+  
+  INVOICE_FIELDS.forEach(field => {
+    const extractor = parser?.extract?.[field];
+    const value = extractor ? extractor(text, fields) : null;
+    fields[field] = value ?? genericParser.extract[field](text, fields);
+  });
+  
+  return {
+    ...fields,
+    provider: parser ? parser.code : null
+  };
+}
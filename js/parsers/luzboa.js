@@ -0,0 +1,19 @@
+/**
+ * Luzboa Invoice Parser
+ * Layout: energy lines "Energia consumida fora de vazio / em vazio", total as "Valor da fatura"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'LUZBOA',
+  name: 'Luzboa',
+  detect: text => /luzboa/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /valor\s+da\s+fatura/),
+    ...kwhExtractors({
+      foraVazio: /energia\s+consumida\s+fora\s+de\s+vazio/,
+      vazio: /energia\s+consumida\s+em\s+vazio/
+    })
+  }
+};
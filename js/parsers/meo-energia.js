@@ -0,0 +1,19 @@
+/**
+ * MEO Energia Invoice Parser
+ * Layout: energy as "Energia consumida" (no IEC line), total as "Total a debitar"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'MEO',
+  name: 'MEO Energia',
+  // "MEO" sozinho aparece em faturas de telecomunicações, exigir "MEO Energia"
+  detect: text => /meo\s+energia/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /total\s+a\s+debitar/),
+    ...kwhExtractors({
+      simples: /energia\s+consumida/
+    })
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Muon Invoice Parser
+ * Layout: numeric billing period ("Período: 01.10.2025 a 31.10.2025"), total as "Total com IVA"
+ */
+
+import { extractAmountAfter, extractNumericPeriod } from './generic.js';
+
+export default {
+  code: 'MUON',
+  name: 'Muon',
+  detect: text => /\bmuon\b/i.test(text),
+  extract: {
+    billingPeriod: text => extractNumericPeriod(text, /per[íi]odo/),
+    invoiceTotal: text => extractAmountAfter(text, /total\s+com\s+iva/)
+  }
+};
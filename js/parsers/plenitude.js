@@ -0,0 +1,21 @@
+/**
+ * Plenitude Invoice Parser
+ * Layout: energy lines "Ponta:", "Cheias:", "Vazio:", total as "Importância a pagar"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'PLEN',
+  name: 'Plenitude',
+  // Antiga "Eni Gás e Luz"
+  detect: text => /plenitude|eni\s+g[áa]s\s+e\s+luz/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /import[âa]ncia\s+a\s+pagar/),
+    ...kwhExtractors({
+      ponta: /\bponta:/,
+      cheias: /\bcheias:/,
+      vazio: /\bvazio:/
+    })
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Repsol Invoice Parser
+ * Layout: energy lines "Energia (Fora Vazio)" / "Energia (Vazio)", total as "Valor total da fatura"
+ */
+
+import { extractAmountAfter, kwhExtractors } from './generic.js';
+
+export default {
+  code: 'REPSOL',
+  name: 'Repsol',
+  detect: text => /repsol/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /valor\s+total\s+da\s+fatura/),
+    ...kwhExtractors({
+      foraVazio: /energia\s+\(fora\s+(?:de\s+)?vazio\)/,
+      vazio: /energia\s+\(vazio\)/
+    })
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * SU Eletricidade Invoice Parser
+ * Layout: total labelled "Total da fatura"
+ */
+
+import { extractAmountAfter } from './generic.js';
+
+export default {
+  code: 'EDPSU',
+  name: 'SU Eletricidade',
+  // Comercializador de último recurso; antes de 2021 chamava-se "EDP Serviço Universal"
+  detect: text => /su\s+eletricidade|edp\s+servi[çc]o\s+universal/i.test(text),
+  extract: {
+    invoiceTotal: text => extractAmountAfter(text, /total\s+da\s+fatura/)
+  }
+};
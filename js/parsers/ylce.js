@@ -0,0 +1,16 @@
+/**
+ * Ylce Invoice Parser
+ * Layout: power with the unit before the value: "Potência contratada (kVA): 4,6"
+ */
+
+export default {
+  code: 'YLCE',
+  name: 'Ylce',
+  detect: text => /\bylce\b/i.test(text),
+  extract: {
+    power: text => {
+      const match = text.match(/pot[êe]ncia\s+contratada\s*\(kva\)\s*:?\s*(\d+(?:[.,]\d+)?)/i);
+      return match ? parseFloat(match[1].replace(',', '.')) : null;
+    }
+  }
+};
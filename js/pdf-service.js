@@ -3,14 +3,21 @@
  * PDF.js interaction and invoice text parsing logic
  */
 
-import { PROVIDERS } from './config.js';
-import { findBestOfferForTariff, calculateMonthlyCost, enrichOffer } from './calculator.js';
+import { PROVIDERS, VAT } from './config.js';
+import { rankOffersForTariff, filterOffersByPreferences, applySocialTariff, calculateMonthlyCost, calculateMonthlyCostWithDiscounts, calculateMonthlyCosts, buildMonthlyConsumption, enrichOffer, getBillingDays } from './calculator.js';
 import { loadOffers, toTitleCase, formatTariffName } from './utils.js';
 import { initTooltips } from './ui-components.js';
-import { setInvoiceData } from './ui-handlers.js';
+import { setInvoiceData, getOfferPreferences } from './ui-handlers.js';
+import { parseInvoice } from './parsers/index.js';
+import { mergeInvoiceHistory } from './invoice-history.js';
 
 // PDF data state (managed by this module)
+// pdfData is the most recent invoice; invoiceHistory merges every uploaded invoice
 let pdfData = null;
+let invoiceHistory = null;
+
+// Diferença máxima (%) entre fatura e recálculo para considerar o modelo fiável
+const INVOICE_TOLERANCE_PCT = 5;
 
 /**
  * Load PDF.js library dynamically
@@ -60,250 +67,101 @@ export async function extractPDFData(file) {
 }
 
 /**
- * Extract consumption from invoice text by summing all consumption lines
- * Handles multiple VAT brackets, bi-hourly/tri-hourly tariffs, and validates against IEC line
+ * Parse invoice text with the provider parser registry (js/parsers)
  * @param {string} text - Full text content from PDF
- * @returns {Object|null} Extracted consumption data or null
+ * @returns {Object|null} Parsed invoice data or null
  */
-function extractConsumption(text) {
-  // Normalize text: replace multiple spaces/newlines with single space for better regex matching
-  const normalizedText = text.replace(/\s+/g, ' ');
-  
-  // Step 1: Try to extract from IEC (Imposto Especial Consumo) line - most reliable
-  // Format: "Imposto Especial Consumo (Real) 347 kWh 0,001000€/kWh 0,35 €"
-  const iecPattern = /imposto\s+especial\s+consumo[^(]*\(?(?:real|estimado)?\)?\s*(\d+)\s*kwh/gi;
-  const iecMatches = [...normalizedText.matchAll(iecPattern)];
-  let iecTotal = null;
-  if (iecMatches.length > 0) {
-    // Take the largest value (in case of multiple matches)
-    iecTotal = Math.max(...iecMatches.map(m => parseInt(m[1])));
-  }
-  
-  // Step 2: Extract all consumption lines from billing period sections
-  // Look for consumption lines in billing period contexts (not cumulative meter readings)
-  
-  // Pattern to match billing periods: "Consumo (Real) 12 ago 2025 a 11 set 2025"
-  const billingPeriodPattern = /consumo\s*\(?(?:real|estimado)\)?\s*(\d{1,2}\s+\w+\s+\d{4})\s*a\s*(\d{1,2}\s+\w+\s+\d{4})/gi;
-  const periodMatches = [...normalizedText.matchAll(billingPeriodPattern)];
-  
-  // Consumption patterns for different period types
-  // These match "Termo de Energia" lines with kWh values
-  const consumptionPatterns = {
-    // Cheio/F.Vazio/Fora de Vazio (full/off-peak)
-    foraVazio: /termo\s+de\s+energia\s+(?:cheio\/f\.?vazio|cheio\/fora\s+de\s+vazio|fora\s+de\s+vazio|cheio)\s+(\d+)\s*kwh/gi,
-    // Vazio (off-peak)
-    vazio: /termo\s+de\s+energia\s+vazio\s+(\d+)\s*kwh/gi,
-    // Ponta (peak) - for tri-hourly
-    ponta: /termo\s+de\s+energia\s+ponta\s+(\d+)\s*kwh/gi,
-    // Cheia (mid-day) - for tri-hourly
-    cheia: /termo\s+de\s+energia\s+cheia\s+(\d+)\s*kwh/gi,
-    // Simple tariff (no period type specified)
-    simples: /termo\s+de\s+energia\s+(\d+)\s*kwh/gi,
-  };
-  
-  // Alternative patterns (more flexible, provider-agnostic)
-  // Match any line with kWh that appears in consumption context
-  const altPatterns = {
-    // Lines like "81 kWh" near "Termo de Energia" or "Consumo"
-    termoEnergia: /termo\s+de\s+energia[^k]*?(\d+)\s*kwh/gi,
-    // Direct consumption values in billing sections
-    consumoReal: /consumo\s*\(?(?:real|estimado)\)?[^k]*?(\d+)\s*kwh/gi,
-  };
-  
-  // Extract all consumption values
-  const consumptionValues = {
-    foraVazio: [],
-    vazio: [],
-    ponta: [],
-    cheia: [],
-    simples: [],
-  };
-  
-  // Extract using specific patterns (excluding simples to avoid double-counting)
-  // Process in order: most specific first
-  const specificPatterns = ['foraVazio', 'vazio', 'ponta', 'cheia'];
-  specificPatterns.forEach(type => {
-    const pattern = consumptionPatterns[type];
-    const matches = [...normalizedText.matchAll(pattern)];
-    matches.forEach(match => {
-      const value = parseInt(match[1]);
-      if (value > 0 && value < 100000) { // Sanity check: reasonable consumption value
-        consumptionValues[type].push(value);
-      }
-    });
-  });
+export function parseInvoiceText(text) {
+  const fields = parseInvoice(text);
   
-  // Only use simples pattern if no period-specific matches found
-  // This avoids double-counting when period types are present
-  const hasPeriodSpecific = consumptionValues.foraVazio.length > 0 || 
-                           consumptionValues.vazio.length > 0 || 
-                           consumptionValues.ponta.length > 0 || 
-                           consumptionValues.cheia.length > 0;
-  
-  if (!hasPeriodSpecific) {
-    // Try simples pattern (no period type specified)
-    const simplesMatches = [...normalizedText.matchAll(consumptionPatterns.simples)];
-    simplesMatches.forEach(match => {
-      const value = parseInt(match[1]);
-      if (value > 0 && value < 100000) {
-        consumptionValues.simples.push(value);
-      }
-    });
-    
-    // If still no matches, try alternative patterns
-    if (consumptionValues.simples.length === 0) {
-      const termoMatches = [...normalizedText.matchAll(altPatterns.termoEnergia)];
-      termoMatches.forEach(match => {
-        const value = parseInt(match[1]);
-        if (value > 0 && value < 100000) {
-          consumptionValues.simples.push(value);
-        }
-      });
-    }
+  // Retornar dados se tiver pelo menos consumo ou potência
+  if (fields.consumption || fields.power) {
+    return {
+      consumption: fields.consumption || 250,  // Default se não encontrar
+      power: fields.power || 4.6,              // Default se não encontrar
+      provider: fields.provider,
+      tariffType: fields.tariffType,
+      cycleType: fields.cycleType, // 'daily' | 'weekly' | null
+      distribution: fields.distribution, // repartição real por período (bi/tri) | null
+      billingPeriod: fields.billingPeriod, // { start, end } | null
+      invoiceTotal: fields.invoiceTotal, // € com IVA | null
+      unitPrices: fields.unitPrices, // { fixedTermDaily, energy } | null
+      services: fields.services, // € sem IVA | null
+      discounts: fields.discounts, // € sem IVA (positivo) | null
+      cpe: fields.cpe, // validado (letras de controlo) | null
+      nif: fields.nif, // validado (mod 11) | null
+      address: fields.address // local de consumo | null
+    };
   }
   
-  // Step 3: Filter out cumulative meter readings
-  // These typically appear on page 1 with "A sua leitura" or "Leitura" context
-  // and have very large values (e.g., 13899 kWh)
-  const meterReadingPattern = /(?:a\s+sua\s+leitura|leitura|leitura\s+anterior|leitura\s+actual)[^k]*?(\d+)\s*kwh/gi;
-  const meterReadings = [...normalizedText.matchAll(meterReadingPattern)];
-  const meterReadingValues = meterReadings.map(m => parseInt(m[1]));
-  
-  // Filter out values that look like cumulative readings (typically > 1000 kWh)
-  // But keep them if they're the only values we found
-  const hasBillingPeriodConsumption = periodMatches.length > 0;
-  const allConsumptionValues = [
-    ...consumptionValues.foraVazio,
-    ...consumptionValues.vazio,
-    ...consumptionValues.ponta,
-    ...consumptionValues.cheia,
-    ...consumptionValues.simples,
-  ];
-  
-  // If we have billing period context, filter out large values that might be meter readings
-  const filteredConsumption = hasBillingPeriodConsumption
-    ? allConsumptionValues.filter(v => v < 1000 || allConsumptionValues.length === 1)
-    : allConsumptionValues;
-  
-  // Step 4: Calculate totals by period type
-  const totals = {
-    foraVazio: consumptionValues.foraVazio.reduce((sum, v) => sum + v, 0),
-    vazio: consumptionValues.vazio.reduce((sum, v) => sum + v, 0),
-    ponta: consumptionValues.ponta.reduce((sum, v) => sum + v, 0),
-    cheia: consumptionValues.cheia.reduce((sum, v) => sum + v, 0),
-    simples: consumptionValues.simples.reduce((sum, v) => sum + v, 0),
+  return null;
+}
+
+/**
+ * Build an offer-like object with the prices charged on the invoice
+ * Maps period prices to the same fields used by ERSE offers (see calculateMonthlyCost).
+ * Services and discounts on the invoice are charged once per invoice: they go into
+ * serviceCostAnnual and refunds.annualEuro (with VAT, ×12 so one invoice gets one share)
+ * @param {Object} data - Extracted invoice data (unitPrices, tariffType, power, services, discounts)
+ * @returns {Object|null} Offer-like object or null if prices are incomplete
+ */
+function buildInvoiceTariff(data) {
+  const prices = data.unitPrices;
+  if (!prices || !prices.fixedTermDaily) return null;
+  
+  const { simples, foraVazio, vazio, cheia, ponta } = prices.energy;
+  const tariff = {
+    COM: data.provider,
+    Pot_Cont: data.power,
+    Contagem: data.tariffType,
+    TF: prices.fixedTermDaily,
+    requiresServices: data.services > 0,
+    serviceCostAnnual: (data.services || 0) * VAT * 12,
+    refunds: { annualEuro: (data.discounts || 0) * VAT * 12 }
   };
   
-  // Step 5: Determine total consumption
-  let totalConsumption = 0;
-  
-  // If we have period-specific values, sum them
-  if (totals.foraVazio > 0 || totals.vazio > 0 || totals.ponta > 0 || totals.cheia > 0) {
-    totalConsumption = totals.foraVazio + totals.vazio + totals.ponta + totals.cheia;
-  } else if (totals.simples > 0) {
-    // For simple tariff, sum all simple consumption values
-    totalConsumption = totals.simples;
-  } else if (filteredConsumption.length > 0) {
-    // Fallback: sum filtered values
-    totalConsumption = filteredConsumption.reduce((sum, v) => sum + v, 0);
+  if (data.tariffType === 3) {
+    if (!ponta || !cheia || !vazio) return null;
+    return { ...tariff, 'TV|TVFV|TVP': ponta, 'TVV|TVC': cheia, TVVz: vazio };
   }
-  
-  // Step 6: Validate against IEC if available
-  if (iecTotal && totalConsumption > 0) {
-    // IEC should match total consumption (allow 5% tolerance for rounding)
-    const tolerance = Math.max(5, Math.floor(iecTotal * 0.05));
-    if (Math.abs(totalConsumption - iecTotal) > tolerance) {
-      // IEC is more reliable, use it if discrepancy is large
-      console.warn(`Consumption mismatch: extracted ${totalConsumption} kWh, IEC shows ${iecTotal} kWh. Using IEC value.`);
-      totalConsumption = iecTotal;
-    }
-  } else if (iecTotal && totalConsumption === 0) {
-    // If we couldn't extract from consumption lines, use IEC
-    totalConsumption = iecTotal;
+  if (data.tariffType === 2) {
+    const outOfValley = foraVazio || cheia;
+    if (!outOfValley || !vazio) return null;
+    return { ...tariff, 'TV|TVFV|TVP': outOfValley, 'TVV|TVC': vazio };
   }
   
-  return totalConsumption > 0 ? totalConsumption : null;
+  const single = simples || foraVazio;
+  if (!single) return null;
+  return { ...tariff, 'TV|TVFV|TVP': single };
 }
 
 /**
- * Parse invoice text using regex patterns
- * @param {string} text - Full text content from PDF
- * @returns {Object|null} Parsed invoice data or null
+ * Reconcile invoice total with our model
+ * Recomputes the invoice with the user's own prices to check the model, and
+ * compares the amount paid with the cost of the best offer for the same period
+ * @param {Object} data - Extracted invoice data
+ * @param {Object} best - Best offer (costed here for the invoice's own period)
+ * @returns {Object|null} { invoiceTotal, modelTotal, difference, differencePct, isReliable, bestTotal } or null
  */
-export function parseInvoiceText(text) {
-  // Patterns para diferentes operadores
-  const patterns = {
-    // Potência em kVA
-    power: /pot[êe]ncia[:\s]*([\d.,]+)\s*kva/i,
-    powerAlt: /([\d.,]+)\s*kva/i,
-    
-    // Operador
-    edp: /edp/i,
-    endesa: /endesa/i,
-    galp: /galp/i,
-    goldenergy: /goldenergy/i,
-    iberdrola: /iberdrola/i,
-    
-    // Tipo de tarifa
-    simples: /tarifa\s*simples|simples/i,
-    bihoraria: /bi[- ]?hor[aá]ria/i,
-    trihoraria: /tri[- ]?hor[aá]ria/i,
+function reconcileInvoice(data, best) {
+  if (!data.invoiceTotal) return null;
+  
+  const invoiceTariff = buildInvoiceTariff(data);
+  const modelTotal = invoiceTariff
+    ? calculateMonthlyCostWithDiscounts(invoiceTariff, data.consumption, data.power, data.distribution, data.billingPeriod)
+    : null;
+  const difference = modelTotal !== null ? modelTotal - data.invoiceTotal : null;
+  const differencePct = difference !== null ? (difference / data.invoiceTotal) * 100 : null;
+  
+  return {
+    invoiceTotal: data.invoiceTotal,
+    modelTotal,
+    difference,
+    differencePct,
+    // Até 5% de diferença consideramos o modelo fiável para esta fatura
+    isReliable: differencePct !== null && Math.abs(differencePct) <= INVOICE_TOLERANCE_PCT,
+    bestTotal: calculateMonthlyCost(best, data.consumption, data.power, data.distribution, data.billingPeriod)
   };
-  
-  // Extrair consumo usando método robusto
-  const consumption = extractConsumption(text);
-  
-  // Extrair potência
-  let power = null;
-  const powerMatch = text.match(patterns.power) || text.match(patterns.powerAlt);
-  if (powerMatch) {
-    power = parseFloat(powerMatch[1].replace(',', '.'));
-  }
-  
-  // Detectar operador
-  let provider = null;
-  if (patterns.edp.test(text)) provider = 'EDPC';
-  else if (patterns.endesa.test(text)) provider = 'END';
-  else if (patterns.galp.test(text)) provider = 'GALP';
-  else if (patterns.goldenergy.test(text)) provider = 'GOLD';
-  else if (patterns.iberdrola.test(text)) provider = 'IBER';
-  
-  // Detectar tipo de tarifa
-  let tariffType = 1; // Default: simples
-  if (patterns.trihoraria.test(text)) tariffType = 3;
-  else if (patterns.bihoraria.test(text)) tariffType = 2;
-  
-  // Detectar ciclo (daily vs weekly) para bi-horária e tri-horária
-  let cycleType = null;
-  if (tariffType === 2 || tariffType === 3) {
-    const normalizedText = text.toLowerCase();
-    // Check for weekly cycle indicators
-    if (normalizedText.includes('sem feriados') ||
-        normalizedText.includes('ciclo semanal') ||
-        normalizedText.includes('semanal')) {
-      cycleType = 'weekly';
-    }
-    // Check for daily cycle indicators
-    else if (normalizedText.includes('ciclo diário') ||
-             normalizedText.includes('ciclo diario') ||
-             normalizedText.includes('diário') ||
-             normalizedText.includes('diario')) {
-      cycleType = 'daily';
-    }
-  }
-  
-  // Retornar dados se tiver pelo menos consumo ou potência
-  if (consumption || power) {
-    return {
-      consumption: consumption || 250,  // Default se não encontrar
-      power: power || 4.6,              // Default se não encontrar
-      provider: provider,
-      tariffType: tariffType,
-      cycleType: cycleType // 'daily' | 'weekly' | null
-    };
-  }
-  
-  return null;
 }
 
 /**
@@ -319,10 +177,11 @@ export function showPDFLoading() {
 
 /**
  * Display extracted PDF data in UI
- * @param {Object} data - Extracted invoice data
+ * @param {Object} data - Extracted invoice data (most recent invoice)
  * @param {Function} onDataShown - Callback to call after showing data (for auto-calculation)
+ * @param {Object|null} history - Optional: merged history (mergeInvoiceHistory) when several invoices were loaded
  */
-export function showPDFData(data, onDataShown) {
+export function showPDFData(data, onDataShown, history = null) {
   const dropArea = document.getElementById('precise-mode');
   const dropAreaText = dropArea?.querySelector('.drop-area-text');
   const manualLink = document.getElementById('manual-link');
@@ -338,10 +197,22 @@ export function showPDFData(data, onDataShown) {
                         data.tariffType === 2 ? 'Bi-horária' : 'Tri-horária';
   const tariffName = formatTariffName(tariffNameRaw, data.tariffType, data.cycleType);
   
+  // Período de faturação (dias reais), se detectado
+  const periodText = data.billingPeriod ? ` · ${getBillingDays(data.billingPeriod)} dias` : '';
+  
+  // Repartição real (bi/tri-horária), se detectada
+  const valleyText = data.distribution ? ` (${Math.round(data.distribution.vazio * 100)}% vazio)` : '';
+  
+  // Várias faturas: resumo do histórico em vez da última fatura
+  const invoiceCount = history ? history.invoices.length : 1;
+  const summaryText = invoiceCount > 1
+    ? `${providerName} · ${tariffName} · ${history.months.length} ${history.months.length === 1 ? 'mês' : 'meses'} de histórico · ${data.power} kVA`
+    : `${providerName} · ${tariffName} · ${data.consumption} kWh${valleyText}${periodText} · ${data.power} kVA`;
+  
   // Update drop area text to show loaded state
   dropAreaText.innerHTML = `
-    <p>✓ Factura carregada</p>
-    <p class="pdf-data-summary">${providerName} · ${tariffName} · ${data.consumption} kWh · ${data.power} kVA</p>
+    <p>✓ ${invoiceCount > 1 ? `${invoiceCount} faturas carregadas` : 'Factura carregada'}</p>
+    <p class="pdf-data-summary">${summaryText}</p>
   `;
   
   // Hide manual link
@@ -376,12 +247,13 @@ export function clearPDF(clearTabResult) {
   
   // Reset estado
   pdfData = null;
+  invoiceHistory = null;
   if (pdfInput) pdfInput.value = '';
   
   // Restaurar UI
   if (dropAreaText) {
     dropAreaText.innerHTML = `
-      <p>Clica ou arrasta a tua fatura PDF</p>
+      <p>Clica ou arrasta as tuas faturas PDF</p>
       <a href="#" id="manual-link" aria-label="Introduzir dados da fatura manualmente">Adicionar dados manualmente</a>
     `;
   }
@@ -406,13 +278,16 @@ export function clearPDF(clearTabResult) {
 }
 
 /**
- * Handle PDF file upload
- * @param {File} file - PDF file
+ * Handle PDF file upload (one or several invoices)
+ * Invoices are added to those already loaded, de-duplicated by billing period
+ * and merged into one consumption history
+ * @param {FileList|Array<File>} files - PDF files
  * @param {Function} clearTabResult - Function to clear tab result
  * @param {Function} onDataShown - Callback to call after showing data
  */
-export async function handlePDFFile(file, clearTabResult, onDataShown) {
-  if (file.type !== 'application/pdf') {
+export async function handlePDFFiles(files, clearTabResult, onDataShown) {
+  const pdfFiles = Array.from(files).filter(file => file.type === 'application/pdf');
+  if (pdfFiles.length === 0) {
     alert('Por favor selecciona um ficheiro PDF.');
     return;
   }
@@ -421,16 +296,32 @@ export async function handlePDFFile(file, clearTabResult, onDataShown) {
     // Mostrar loading state
     showPDFLoading();
     
-    // Extrair dados do PDF
-    const extracted = await extractPDFData(file);
+    // Extrair dados de cada PDF (um de cada vez: pdf.js já usa um worker)
+    const extracted = [];
+    for (const file of pdfFiles) {
+      const data = await extractPDFData(file);
+      if (data) extracted.push(data);
+    }
     
-    if (extracted) {
-      pdfData = extracted;
-      showPDFData(extracted, onDataShown);
-    } else {
-      alert('Não foi possível extrair dados desta factura. Tenta introduzir manualmente.');
-      clearPDF(clearTabResult);
+    if (extracted.length === 0) {
+      if (pdfData) {
+        alert('Não foi possível extrair dados desta factura.');
+        showPDFData(pdfData, null, invoiceHistory);
+      } else {
+        alert('Não foi possível extrair dados desta factura. Tenta introduzir manualmente.');
+        clearPDF(clearTabResult);
+      }
+      return;
     }
+    
+    const history = mergeInvoiceHistory([...(invoiceHistory?.invoices || []), ...extracted]);
+    if (history.ignored > 0) {
+      alert(`${history.ignored === 1 ? 'Uma fatura é' : `${history.ignored} faturas são`} de outro local de consumo (CPE diferente) e não ${history.ignored === 1 ? 'foi considerada' : 'foram consideradas'}.`);
+    }
+    
+    invoiceHistory = history;
+    pdfData = history.latest;
+    showPDFData(pdfData, onDataShown, history);
   } catch (error) {
     console.error('Erro ao processar PDF:', error);
     alert('Erro ao processar o PDF. Tenta introduzir manualmente.');
@@ -443,8 +334,9 @@ export async function handlePDFFile(file, clearTabResult, onDataShown) {
  * @param {Function} renderResult - Function to render result
  * @param {string} currentMode - Current mode ('estimate' or 'precise')
  * @param {Function} setTabResult - Function to set tab result
+ * @param {boolean} includeLockIn - Optional: also rank offers with lock-in (fidelização)
  */
-export async function calculateFromPDF(renderResult, currentMode, setTabResult) {
+export async function calculateFromPDF(renderResult, currentMode, setTabResult, includeLockIn = false) {
   if (!pdfData) return;
   
   try {
@@ -492,36 +384,60 @@ export async function calculateFromPDF(renderResult, currentMode, setTabResult)
       }));
     }
     
-    // Encontrar melhor oferta (filters lock-in, uses annual effective cost)
-    const best = findBestOfferForTariff(
-      offersToSearch, 
-      pdfData.consumption, 
+    // Perfil sazonal ancorado nos meses das faturas (custo anual = soma dos 12 meses)
+    const history = invoiceHistory || mergeInvoiceHistory([pdfData]);
+    const monthlyConsumption = history.months.length > 0
+      ? buildMonthlyConsumption({ months: history.months })
+      : buildMonthlyConsumption({ monthlyKwh: pdfData.consumption });
+    
+    // Com várias faturas compara-se o histórico: mês médio e repartição agregada
+    const isHistory = history.invoices.length > 1;
+    const consumption = isHistory
+      ? Math.round(monthlyConsumption.reduce((sum, kwh) => sum + kwh, 0) / 12)
+      : pdfData.consumption;
+    const distribution = isHistory ? history.distribution : pdfData.distribution;
+    const billingPeriod = isHistory ? null : pdfData.billingPeriod;
+    
+    // Ordenar ofertas (filters lock-in unless opted in and the user's preferences, uses annual effective cost)
+    // Bi/tri-horária: usa a repartição real da fatura em vez dos valores por defeito (ADR-010)
+    const preferences = getOfferPreferences();
+    const eligibleOffers = filterOffersByPreferences(offersToSearch, preferences);
+    const ranked = rankOffersForTariff(
+      eligibleOffers, 
+      consumption, 
       pdfData.power, 
-      pdfData.tariffType
+      pdfData.tariffType,
+      distribution,
+      billingPeriod,
+      monthlyConsumption,
+      includeLockIn
     );
     
-    if (!best) {
+    if (ranked.length === 0) {
       alert('Não encontrámos ofertas para este perfil.');
       return;
     }
     
     // Enriquecer com nome da tarifa e metadata (if not already enriched)
-    const enrichedBest = offers ? best : enrichOffer(best, conditions);
+    const enrichedRanked = offers ? ranked : ranked.map(o => enrichOffer(o, conditions));
+    const enrichedBest = enrichedRanked[0];
     
     // Calcular poupança vs operador actual (se detectado)
     let savings = null;
     if (pdfData.provider) {
-      // Normalize power for comparison (use same tolerance as findBestOfferForTariff)
+      // Normalize power for comparison (use same tolerance as rankOffersForTariff)
       const normalizedPower = typeof pdfData.power === 'number' ? pdfData.power : parseFloat(String(pdfData.power).replace(',', '.'));
       const normalizedTariffType = typeof pdfData.tariffType === 'number' ? pdfData.tariffType : parseInt(pdfData.tariffType);
       
       // Encontrar ofertas do operador actual com mesma potência e tarifa
-      const currentProviderOffers = offersToSearch.filter(o => {
+      // Com tarifa social, a oferta actual também tem o desconto
+      const currentOffers = preferences.socialTariff ? applySocialTariff(offersToSearch) : offersToSearch;
+      const currentProviderOffers = currentOffers.filter(o => {
         const tvField = o['TV|TVFV|TVP'] || o.TV || 0;
         const potCont = typeof o.Pot_Cont === 'number' ? o.Pot_Cont : parseFloat(String(o.Pot_Cont || '').replace(',', '.'));
         const contagem = typeof o.Contagem === 'number' ? o.Contagem : parseInt(o.Contagem);
         
-        // Use tolerance for floating point comparison (0.01 kVA tolerance - same as findBestOfferForTariff)
+        // Use tolerance for floating point comparison (0.01 kVA tolerance - same as rankOffersForTariff)
         const powerMatch = Math.abs(potCont - normalizedPower) < 0.01;
         
         return o.COM === pdfData.provider && 
@@ -535,7 +451,8 @@ export async function calculateFromPDF(renderResult, currentMode, setTabResult)
         // Calcular custo com a melhor oferta do operador actual
         const currentProviderCosts = currentProviderOffers.map(offer => ({
           ...offer,
-          monthlyCost: calculateMonthlyCost(offer, pdfData.consumption, pdfData.power)
+          monthlyCost: calculateMonthlyCost(offer, consumption, pdfData.power, distribution, billingPeriod),
+          annualCost: calculateMonthlyCosts(offer, monthlyConsumption, pdfData.power, distribution).reduce((sum, cost) => sum + cost, 0)
         }));
         
         // Ordenar por custo e pegar a mais barata
@@ -548,15 +465,27 @@ export async function calculateFromPDF(renderResult, currentMode, setTabResult)
         if (monthlySavings > 0) {
           savings = {
             monthly: monthlySavings,
-            yearly: monthlySavings * 12,
+            yearly: bestCurrentOffer.annualCost - enrichedBest.annualCostEffective,
             vsProvider: toTitleCase(PROVIDERS[pdfData.provider] || pdfData.provider)
           };
         }
       }
     }
     
+    // Comparar com o total da fatura ("pagaste €X, pagarias €Y")
+    const reconciliation = reconcileInvoice(pdfData, enrichedBest);
+    
     // Renderizar resultado
-    renderResult(enrichedBest, pdfData.consumption, pdfData.power, null, savings, false, currentMode, setTabResult);
+    // Comparação simples/bi/tri com a repartição real da fatura (se houver)
+    const comparisonContext = {
+      offers: eligibleOffers,
+      tariffType: pdfData.tariffType,
+      distribution,
+      billingPeriod,
+      monthlyConsumption,
+      includeLockIn
+    };
+    renderResult(enrichedBest, consumption, pdfData.power, null, savings, false, currentMode, setTabResult, enrichedRanked, reconciliation, pdfData, comparisonContext);
     
   } catch (error) {
     console.error('Erro ao calcular:', error);
@@ -577,6 +506,7 @@ export function getPDFData() {
  */
 export function resetPDFData() {
   pdfData = null;
+  invoiceHistory = null;
 }
 
 /**
@@ -602,9 +532,10 @@ export function initPDFUpload(clearTabResult, setManualFormVisible, getManualFor
   });
   
   // Drag and drop
+  // Com faturas já carregadas, novas faturas juntam-se ao histórico
   dropArea.addEventListener('dragover', (e) => {
     e.preventDefault();
-    if (!pdfData && inputSlot) {
+    if (inputSlot) {
       inputSlot.classList.add('dragging');
     }
   });
@@ -616,15 +547,15 @@ export function initPDFUpload(clearTabResult, setManualFormVisible, getManualFor
   dropArea.addEventListener('drop', (e) => {
     e.preventDefault();
     if (inputSlot) inputSlot.classList.remove('dragging');
-    if (!pdfData && e.dataTransfer.files.length) {
-      handlePDFFile(e.dataTransfer.files[0], clearTabResult, onDataShown);
+    if (e.dataTransfer.files.length) {
+      handlePDFFiles(e.dataTransfer.files, clearTabResult, onDataShown);
     }
   });
   
   // File input change
   pdfInput.addEventListener('change', (e) => {
     if (e.target.files.length) {
-      handlePDFFile(e.target.files[0], clearTabResult, onDataShown);
+      handlePDFFiles(e.target.files, clearTabResult, onDataShown);
     }
   });
 }
@@ -0,0 +1,69 @@
+/**
+ * Price Trends Module
+ * Cheapest offer per supplier over the price history (data/history/trends/)
+ *
+ * Every snapshot is costed with calculateMonthlyCost at the same power, tariff
+ * type and consumption, so a line only moves when that supplier's prices do.
+ * Lock-in offers are left out, as in the default ranking; indexed offers count
+ * at the price ERSE published on that date.
+ */
+
+import { calculateMonthlyCost } from './calculator.js';
+
+/**
+ * Cheapest monthly cost of each supplier in one snapshot
+ * @param {Array<Object>} offers - Snapshot offers (COM, Pot_Cont, Contagem, TF, TV...)
+ * @param {number} consumption - Reference consumption (kWh/month)
+ * @param {number} power - Contracted power (kVA)
+ * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @returns {Map<string, number>} Supplier code → €/month
+ */
+function getCheapestBySupplier(offers, consumption, power, tariffType) {
+  const cheapest = new Map();
+  
+  offers
+    .filter(offer => Math.abs(offer.Pot_Cont - power) < 0.01 && offer.Contagem === tariffType && !offer.hasLockIn && offer.TF > 0 && offer['TV|TVFV|TVP'] > 0)
+    .forEach(offer => {
+      const cost = calculateMonthlyCost(offer, consumption, power);
+      if (!cheapest.has(offer.COM) || cost < cheapest.get(offer.COM)) {
+        cheapest.set(offer.COM, cost);
+      }
+    });
+  
+  return cheapest;
+}
+
+/**
+ * Build price trends per supplier over the snapshot archive
+ * @param {Array<Object>} history - Snapshots [{ date, offers }] (loadPriceHistory), oldest first
+ * @param {Object} options - { power, tariffType, consumption }
+ * @returns {Object|null} { dates, series: [{ COM, costs, latest, change }], cheapest, cheapestChange } or null with fewer than two snapshots or no consumption
+ */
+export function buildPriceTrends(history, { power, tariffType, consumption }) {
+  if (!history || history.length < 2 || !(consumption > 0)) return null;
+  
+  const perSnapshot = history.map(snapshot => getCheapestBySupplier(snapshot.offers, consumption, power, tariffType));
+  const suppliers = new Set(perSnapshot.flatMap(costs => Array.from(costs.keys())));
+  
+  const series = Array.from(suppliers).map(com => {
+    // null nas datas em que o operador não tinha oferta para este perfil
+    const costs = perSnapshot.map(costsByCom => costsByCom.get(com) ?? null);
+    const available = costs.filter(cost => cost !== null);
+    return {
+      COM: com,
+      costs,
+      latest: costs[costs.length - 1],
+      change: available.length > 1 ? available[available.length - 1] - available[0] : null
+    };
+  }).sort((a, b) => (a.latest ?? Infinity) - (b.latest ?? Infinity) || 0);
+  
+  const cheapest = perSnapshot.map(costsByCom => (costsByCom.size > 0 ? Math.min(...costsByCom.values()) : null));
+  const availableCheapest = cheapest.filter(cost => cost !== null);
+  
+  return {
+    dates: history.map(snapshot => snapshot.date),
+    series,
+    cheapest,
+    cheapestChange: availableCheapest.length > 1 ? availableCheapest[availableCheapest.length - 1] - availableCheapest[0] : null
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Solar Calculator Module
+ * Self-consumption (UPAC) scenario: grid consumption left after rooftop solar
+ *
+ * Solar only covers daytime consumption, so the kWh it saves come out of
+ * fora de vazio (bi-horária) and cheias, then ponta (tri-horária); vazio is
+ * untouched. The grid profile is then ranked like any other household.
+ */
+
+import { SOLAR_YIELD_KWH_PER_KWP, SOLAR_MONTHLY_PROFILE, SOLAR_DAYTIME_SHARE } from './config.js';
+import { compareTariffTypes, rankOffersForTariff, buildTariffDistributions } from './calculator.js';
+
+/**
+ * Estimate monthly solar production for an installation
+ * @param {number} kWp - Installed peak power
+ * @returns {Array<number>} kWh produced per month (jan-dez)
+ */
+export function estimateSolarProduction(kWp) {
+  const weightSum = SOLAR_MONTHLY_PROFILE.reduce((sum, w) => sum + w, 0);
+  return SOLAR_MONTHLY_PROFILE.map(w => kWp * SOLAR_YIELD_KWH_PER_KWP * w / weightSum);
+}
+
+/**
+ * Remove self-consumed solar from a 12-month consumption
+ * With kWp, each month uses the smaller of production and daytime consumption
+ * and the rest of the production is surplus; with a self-consumed share, that
+ * share of each month comes from the panels and the surplus is unknown
+ * @param {Array<number>} monthlyConsumption - kWh per month (jan-dez)
+ * @param {Object} solar - { kWp } | { selfConsumedShare } (0-1, share of consumption)
+ * @param {Object} distribution - Optional: real or user-chosen distribution (needs vazio)
+ * @returns {Object} { monthlyConsumption (grid), distributions by tariff type, productionKwh, selfConsumedKwh, surplusKwh } (annual kWh; production and surplus null with a share)
+ */
+export function applySolar(monthlyConsumption, solar, distribution = null) {
+  const distributions = buildTariffDistributions(distribution);
+  // Os painéis nunca cobrem o vazio (noite)
+  const maxShare = 1 - distributions[2].vazio;
+  
+  const production = solar.kWp > 0 ? estimateSolarProduction(solar.kWp) : null;
+  const selfConsumed = monthlyConsumption.map((kwh, monthIndex) => {
+    if (production) return Math.min(production[monthIndex], kwh * Math.min(SOLAR_DAYTIME_SHARE, maxShare));
+    return kwh * Math.min(Math.max(solar.selfConsumedShare || 0, 0), maxShare);
+  });
+  
+  const annualKwh = monthlyConsumption.reduce((sum, kwh) => sum + kwh, 0);
+  const selfConsumedKwh = selfConsumed.reduce((sum, kwh) => sum + kwh, 0);
+  const productionKwh = production ? production.reduce((sum, kwh) => sum + kwh, 0) : null;
+  const gridKwh = annualKwh - selfConsumedKwh;
+  
+  // Repartição da rede: o solar sai de fora de vazio / cheias primeiro, depois da ponta
+  const bi = distributions[2];
+  const tri = distributions[3];
+  const cheiasKwh = annualKwh * tri.cheias;
+  const gridDistributions = {
+    1: null,
+    2: {
+      vazio: annualKwh * bi.vazio / gridKwh,
+      foraVazio: (annualKwh * bi.foraVazio - selfConsumedKwh) / gridKwh
+    },
+    3: {
+      vazio: annualKwh * tri.vazio / gridKwh,
+      cheias: (cheiasKwh - Math.min(selfConsumedKwh, cheiasKwh)) / gridKwh,
+      ponta: (annualKwh * tri.ponta - Math.max(0, selfConsumedKwh - cheiasKwh)) / gridKwh
+    }
+  };
+  
+  return {
+    monthlyConsumption: monthlyConsumption.map((kwh, monthIndex) => kwh - selfConsumed[monthIndex]),
+    distributions: gridDistributions,
+    productionKwh,
+    selfConsumedKwh,
+    surplusKwh: productionKwh !== null ? productionKwh - selfConsumedKwh : null
+  };
+}
+
+/**
+ * Compare the best offers with and without rooftop solar
+ * Offers that buy the surplus (surplusBuyBack with a price) are ranked by
+ * annual cost minus the injection revenue
+ * @param {Array<Object>} offers - Array of offer objects
+ * @param {number} consumption - Monthly consumption in kWh (before solar)
+ * @param {number} power - Power in kVA
+ * @param {number} currentTariffType - Current tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @param {Object} distribution - Optional: real or user-chosen distribution
+ * @param {Array<number>} monthlyConsumption - Optional: kWh per month (jan-dez); defaults to a flat year
+ * @param {Object} solar - { kWp } | { selfConsumedShare }
+ * @returns {Object|null} { options, withoutSolar, withSolar, selfConsumedKwh, surplusKwh, productionKwh, gridAnnualKwh, annualSavings, tariffTypeChanged, supplierChanged } or null without offers
+ */
+export function compareSolarScenario(offers, consumption, power, currentTariffType = 1, distribution = null, monthlyConsumption = null, solar = {}) {
+  const months = monthlyConsumption || Array(12).fill(consumption);
+  const without = compareTariffTypes(offers, consumption, power, currentTariffType, distribution, null, months);
+  if (!without) return null;
+  
+  const grid = applySolar(months, solar, distribution);
+  const gridAnnualKwh = grid.monthlyConsumption.reduce((sum, kwh) => sum + kwh, 0);
+  
+  const options = without.options.map(option => {
+    let ranked;
+    try {
+      ranked = rankOffersForTariff(offers, gridAnnualKwh / 12, power, option.tariffType, grid.distributions[option.tariffType], null, grid.monthlyConsumption);
+    } catch (error) {
+      return null;
+    }
+    
+    // Venda do excedente: só quando a oferta publica o preço e sabemos a produção
+    const withRevenue = ranked.map(offer => {
+      const price = offer.surplusBuyBack?.pricePerKwh;
+      const injectionRevenue = price && grid.surplusKwh ? grid.surplusKwh * price : 0;
+      return { offer, injectionRevenue, netAnnualCost: offer.annualCostEffective - injectionRevenue };
+    });
+    const best = withRevenue.reduce((a, b) => (b.netAnnualCost < a.netAnnualCost ? b : a));
+    
+    return {
+      tariffType: option.tariffType,
+      withoutSolar: option.best,
+      withSolar: best.offer,
+      injectionRevenue: best.injectionRevenue,
+      netAnnualCost: best.netAnnualCost
+    };
+  }).filter(Boolean);
+  
+  if (options.length === 0) return null;
+  
+  const withoutSolar = options.reduce((a, b) => (b.withoutSolar.annualCostEffective < a.withoutSolar.annualCostEffective ? b : a));
+  const withSolar = options.reduce((a, b) => (b.netAnnualCost < a.netAnnualCost ? b : a));
+  
+  return {
+    options,
+    withoutSolar,
+    withSolar,
+    productionKwh: grid.productionKwh,
+    selfConsumedKwh: grid.selfConsumedKwh,
+    surplusKwh: grid.surplusKwh,
+    gridAnnualKwh,
+    annualSavings: withoutSolar.withoutSolar.annualCostEffective - withSolar.netAnnualCost,
+    tariffTypeChanged: withSolar.tariffType !== withoutSolar.tariffType,
+    supplierChanged: withSolar.withSolar.COM !== withoutSolar.withoutSolar.COM ||
+                     withSolar.withSolar.COD_Proposta !== withoutSolar.withoutSolar.COD_Proposta
+  };
+}
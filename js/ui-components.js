@@ -200,18 +200,24 @@ export function initTabs(setCurrentMode, getTabResult) {
       // Move indicator
       moveIndicator(tab);
       
-      // CRITICAL: Toggle preciso-mode class on input-slot
+      // CRITICAL: Toggle preciso-mode / household-mode class on input-slot
       if (inputSlot) {
         if (mode === 'estimate') {
           inputSlot.classList.remove('preciso-mode');
           inputSlot.classList.remove('manual-mode');
+          inputSlot.classList.remove('household-mode');
         } else if (mode === 'precise') {
           inputSlot.classList.add('preciso-mode');
+          inputSlot.classList.remove('household-mode');
           // Don't add manual-mode here - that's only for the manual form link
+        } else if (mode === 'household') {
+          inputSlot.classList.remove('preciso-mode');
+          inputSlot.classList.remove('manual-mode');
+          inputSlot.classList.add('household-mode');
         }
       }
       
-      // CSS now handles all visibility via parent .preciso-mode and .manual-mode classes
+      // CSS now handles all visibility via parent .preciso-mode, .manual-mode and .household-mode classes
       // No need to toggle .active on individual elements
       
       // Mostrar/esconder resultado da tab atual
@@ -366,6 +366,7 @@ export function hideResults() {
   const manualForm = document.getElementById('manual-form');
   const tabEstimado = document.getElementById('tab-estimado');
   const tabPreciso = document.getElementById('tab-preciso');
+  const tabCasa = document.getElementById('tab-casa');
   const tabsIndicator = document.getElementById('tabs-indicator');
   const tabsWrapper = document.getElementById('tabs-wrapper');
   const resultDiv = document.getElementById('result');
@@ -387,6 +388,7 @@ export function hideResults() {
   if (inputSlot) {
     inputSlot.classList.remove('preciso-mode');
     inputSlot.classList.remove('manual-mode');
+    inputSlot.classList.remove('household-mode');
   }
   
   // Show estimado input group, hide others
@@ -407,6 +409,10 @@ export function hideResults() {
     tabPreciso.classList.remove('active');
     tabPreciso.setAttribute('aria-selected', 'false');
   }
+  if (tabCasa) {
+    tabCasa.classList.remove('active');
+    tabCasa.setAttribute('aria-selected', 'false');
+  }
   
   // Move indicator to estimado tab
   if (tabsIndicator && tabsWrapper && tabEstimado) {
@@ -564,7 +570,7 @@ export function clearInvoiceData() {
   // Restore original drop area content
   if (dropAreaText) {
     dropAreaText.innerHTML = `
-      <p>Clica ou arrasta a tua fatura PDF</p>
+      <p>Clica ou arrasta as tuas faturas PDF</p>
       <a href="#" id="manual-link" aria-label="Introduzir dados da fatura manualmente">Adicionar dados manualmente</a>
     `;
   }
@@ -585,6 +591,18 @@ export function getPillMode() {
   return currentPillMode;
 }
 
+/**
+ * Read the preferences panel (checkboxes with data-preference)
+ * @returns {Object} Preference flags for filterOffersByPreferences, e.g. { excludeDirectDebitOnly: true }
+ */
+export function getOfferPreferences() {
+  const preferences = {};
+  document.querySelectorAll('#preferences-panel input[data-preference]').forEach(input => {
+    preferences[input.dataset.preference] = input.checked;
+  });
+  return preferences;
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -4,10 +4,12 @@
  * Uses design system classes for proper styling
  */
 
-import { PROVIDERS } from './config.js';
-import { formatPhone, toTitleCase, formatTariffName } from './utils.js';
+import { PROVIDERS, TOP_OFFERS_COUNT, SOCIAL_TARIFF_DISCOUNT, SOCIAL_TARIFF_MAX_POWER, POWER_STEPS, EV_CHARGER_KW } from './config.js';
+import { formatPhone, toTitleCase, formatTariffName, loadPriceHistory, escapeHTML } from './utils.js';
+import { compareTariffTypes, comparePowerLevels, calculatePriceChange } from './calculator.js';
+import { buildPriceTrends } from './price-trends.js';
 import { initTooltips } from './ui-components.js';
-import { showResults, getPillMode } from './ui-handlers.js';
+import { showResults, getPillMode, getOfferPreferences } from './ui-handlers.js';
 
 /**
  * Extract domain from website URL
@@ -93,6 +95,889 @@ function initProviderLogoFallbacks() {
   });
 }
 
+/**
+ * Build the "risco de variação" label for an indexed offer
+ * @param {Object} offer - Ranked offer (isIndexed, marketRange)
+ * @returns {string} Label text, empty for fixed-price offers
+ */
+function buildMarketRiskText(offer) {
+  if (!offer.isIndexed) return '';
+  if (!offer.marketRange) return 'Indexada ao OMIE';
+  return `Indexada · €${offer.marketRange.min.toFixed(0)}–€${offer.marketRange.max.toFixed(0)}/ano`;
+}
+
+/**
+ * Build the lock-in label for an offer (commitment length and exit penalty)
+ * @param {Object} offer - Ranked offer (hasLockIn, commitmentMonths, exitPenalty)
+ * @returns {string} Label text, empty for offers without lock-in
+ */
+function buildLockInText(offer) {
+  if (!offer.hasLockIn) return '';
+  const months = offer.commitmentMonths || offer.lockInMonths;
+  const monthsText = months ? `Fidelização ${months} meses` : 'Com fidelização';
+  if (offer.exitPenalty === undefined) return monthsText;
+  const penaltyText = offer.exitPenalty === null ? 'penalização não indicada' : `penalização até €${offer.exitPenalty.toFixed(0)}`;
+  return `${monthsText} · ${penaltyText}`;
+}
+
+/**
+ * Build the consumption band label for offers limited to an annual consumption range
+ * @param {Object} offer - Ranked offer (consumptionBand)
+ * @returns {string} Label text, empty for offers open to any consumption
+ */
+function buildConsumptionBandText(offer) {
+  const band = offer.consumptionBand;
+  if (!band) return '';
+  const formatKwh = kwh => kwh.toLocaleString('pt-PT');
+  if (band.minKwh && band.maxKwh !== null) return `Só para ${formatKwh(band.minKwh)}–${formatKwh(band.maxKwh)} kWh/ano`;
+  if (band.maxKwh !== null) return `Só até ${formatKwh(band.maxKwh)} kWh/ano`;
+  return `Só a partir de ${formatKwh(band.minKwh)} kWh/ano`;
+}
+
+/**
+ * Build a single ranked offer row
+ * @param {Object} offer - Ranked offer (from rankOffersForTariff)
+ * @returns {string} HTML string for the row
+ */
+function buildOfferRowHTML(offer) {
+  const providerName = toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  const tariffName = toTitleCase(formatTariffName(offer.tariffName || 'Tarifa Simples', offer.Contagem || 1, offer.cycleType || null));
+  const isBest = offer.rank === 1;
+  const diffText = isBest ? 'Melhor' : `+€${offer.gapAnnual.toFixed(2)}/ano`;
+  const riskText = buildMarketRiskText(offer);
+  const lockInText = buildLockInText(offer);
+  const bandText = buildConsumptionBandText(offer);
+  
+  return `
+    <li class="offer-row${isBest ? ' is-best' : ''}">
+      <span class="offer-rank">${offer.rank}</span>
+      <span class="offer-row-provider">
+        ${providerName}
+        <span class="offer-row-tariff">${tariffName}</span>
+        ${riskText ? `<span class="offer-row-risk" title="Preço de energia indexado ao mercado grossista (OMIE)">${riskText}</span>` : ''}
+        ${lockInText ? `<span class="offer-row-risk" title="${escapeHTML(offer.lockInPenalty?.text || 'Penalização por rescisão antecipada')}">${lockInText}</span>` : ''}
+        ${bandText ? `<span class="offer-row-risk" title="O comercializador só aceita consumos anuais neste escalão">${bandText}</span>` : ''}
+      </span>
+      <span class="offer-row-price">€${offer.monthlyCost.toFixed(2)}</span>
+      <span class="offer-row-diff">${diffText}</span>
+    </li>
+  `;
+}
+
+/**
+ * Build ranked offers list: top N visible, remaining offers behind <details>
+ * @param {Array<Object>} rankedOffers - Offers sorted by annual cost (from rankOffersForTariff)
+ * @returns {string} HTML string for the section body
+ */
+function buildRankingBodyHTML(rankedOffers) {
+  const topOffers = rankedOffers.slice(0, TOP_OFFERS_COUNT);
+  const remainingOffers = rankedOffers.slice(TOP_OFFERS_COUNT);
+  
+  let moreHTML = '';
+  if (remainingOffers.length > 0) {
+    moreHTML = `
+      <details class="offers-more">
+        <summary class="offers-more-toggle">Ver todas as ${rankedOffers.length} ofertas</summary>
+        <ol class="offers-list" start="${TOP_OFFERS_COUNT + 1}">
+          ${remainingOffers.map(buildOfferRowHTML).join('')}
+        </ol>
+      </details>
+    `;
+  }
+  
+  const horizonMonths = rankedOffers[0].horizonMonths;
+  const horizonHTML = horizonMonths
+    ? `<p class="ranking-lock-in-note">Ordenado pelo custo em ${horizonMonths} meses, com a penalização provável de sair a meio da fidelização. Diferenças por ano.</p>`
+    : '';
+  
+  return `
+    <div class="info-row-inner">
+      <span class="info-row-label">Top ${topOffers.length} propostas</span>
+      <span class="info-row-value">Custo mensal · diferença anual</span>
+    </div>
+    <ol class="offers-list">
+      ${topOffers.map(buildOfferRowHTML).join('')}
+    </ol>
+    ${moreHTML}
+    ${horizonHTML}
+  `;
+}
+
+/**
+ * Build ranked offers section with the lock-in toggle
+ * @param {Array<Object>|null} rankedOffers - Offers sorted by annual cost (from rankOffersForTariff)
+ * @param {string} mode - Current mode (key for the comparison context)
+ * @returns {string} HTML string, empty if there is nothing to compare
+ */
+function buildRankingHTML(rankedOffers, mode) {
+  if (!rankedOffers || rankedOffers.length < 2) return '';
+  
+  // Sem contexto não há como recalcular o resultado com fidelização (main.js ouve o toggle)
+  const context = comparisonContexts[mode];
+  const toggleHTML = context ? `
+      <label class="ranking-lock-in-toggle">
+        <input type="checkbox" class="ranking-lock-in-input"${context.includeLockIn ? ' checked' : ''}>
+        <span>Incluir ofertas com fidelização</span>
+      </label>
+    ` : '';
+  
+  return `
+    <div class="info-row ranking" data-mode="${mode}">
+      <div class="ranking-body">
+        ${buildRankingBodyHTML(rankedOffers)}
+      </div>
+      ${toggleHTML}
+    </div>
+  `;
+}
+
+// Tariff type labels for the comparison section
+const TARIFF_TYPE_NAMES = { 1: 'Simples', 2: 'Bi-horária', 3: 'Tri-horária' };
+
+// Comparison context per mode, so the valley slider also works on cached tab results
+const comparisonContexts = {};
+let comparisonControlsBound = false;
+
+// Histórico de preços por potência e tipo de tarifa ("6.9-1"): só é pedido quando o painel é aberto, e uma vez por perfil
+const priceHistoryRequests = new Map();
+
+/**
+ * Build tariff type comparison rows and advice (simples vs bi vs tri)
+ * @param {Object} comparison - Result of compareTariffTypes
+ * @returns {string} HTML string for the section body
+ */
+function buildTariffComparisonBodyHTML(comparison) {
+  const cheapest = comparison.options.find(option => option.tariffType === comparison.bestTariffType);
+  
+  const rowsHTML = comparison.options.map(option => {
+    const isBest = option.tariffType === comparison.bestTariffType;
+    const isCurrent = option.tariffType === comparison.currentTariffType;
+    const gap = option.best.annualCostEffective - cheapest.best.annualCostEffective;
+    const diffText = isBest ? 'Melhor' : `+€${gap.toFixed(2)}/ano`;
+    const providerName = toTitleCase(PROVIDERS[option.best.COM] || option.best.COM);
+    
+    return `
+      <li class="offer-row${isBest ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          ${TARIFF_TYPE_NAMES[option.tariffType]}${isCurrent ? ' <span class="muted">(atual)</span>' : ''}
+          <span class="offer-row-tariff">${providerName}${option.best.tariffName ? ` · ${toTitleCase(option.best.tariffName)}` : ''}</span>
+        </span>
+        <span class="offer-row-price">€${option.best.annualCostEffective.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">${diffText}</span>
+      </li>
+    `;
+  }).join('');
+  
+  const currentName = TARIFF_TYPE_NAMES[comparison.currentTariffType].toLowerCase();
+  const bestName = TARIFF_TYPE_NAMES[comparison.bestTariffType].toLowerCase();
+  let adviceText;
+  if (comparison.recommendChange) {
+    adviceText = `Compensa mudar para ${bestName}: poupas €${comparison.annualSavings.toFixed(2)}/ano face à melhor ${currentName}.`;
+  } else if (comparison.bestTariffType === comparison.currentTariffType) {
+    adviceText = `Com este perfil, a ${currentName} continua a ser a opção mais barata.`;
+  } else {
+    adviceText = `A ${bestName} é ligeiramente mais barata (€${comparison.annualSavings.toFixed(2)}/ano), não compensa mudar.`;
+  }
+  
+  const breakEven = comparison.breakEvenValleyShare;
+  let breakEvenText;
+  if (breakEven === null) {
+    breakEvenText = 'A bi-horária não compensa face à simples, mesmo com todo o consumo em vazio.';
+  } else if (breakEven === 0) {
+    breakEvenText = 'A bi-horária compensa face à simples mesmo sem consumo em vazio.';
+  } else {
+    breakEvenText = `A bi-horária compensa a partir de ${Math.ceil(breakEven * 100)}% do consumo em vazio (22h–8h).`;
+  }
+  
+  return `
+    <ol class="offers-list">
+      ${rowsHTML}
+    </ol>
+    <p class="tariff-comparison-note${comparison.recommendChange ? ' is-highlight' : ''}">${adviceText} ${breakEvenText}</p>
+  `;
+}
+
+/**
+ * Build tariff type comparison section with valley share slider
+ * @param {Object|null} comparison - Result of compareTariffTypes
+ * @param {string} mode - Current mode (key for the comparison context)
+ * @param {boolean} isRealSplit - Whether the valley share comes from the invoice
+ * @returns {string} HTML string, empty without comparison
+ */
+function buildTariffComparisonHTML(comparison, mode, isRealSplit) {
+  if (!comparison || comparison.options.length < 2) return '';
+  
+  const valleyPct = Math.round(comparison.valleyShare * 100);
+  let sourceText = isRealSplit ? 'da tua fatura' : 'estimado';
+  if (mode === 'household') sourceText = 'pelos teus equipamentos';
+  
+  return `
+    <div class="info-row tariff-comparison" data-mode="${mode}">
+      <div class="info-row-inner">
+        <span class="info-row-label">Tipo de tarifa</span>
+        <span class="info-row-value">Melhor oferta de cada tipo</span>
+      </div>
+      <div class="tariff-comparison-body">
+        ${buildTariffComparisonBodyHTML(comparison)}
+      </div>
+      <label class="tariff-comparison-valley">
+        <span>Consumo em vazio: <strong class="tariff-comparison-valley-value">${valleyPct}%</strong> <span class="muted">(${sourceText})</span></span>
+        <input type="range" class="tariff-comparison-valley-input" min="0" max="100" step="1" value="${valleyPct}" aria-label="Percentagem do consumo em vazio">
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * Bind valley share slider (once, event delegation)
+ * Re-runs compareTariffTypes with the chosen share and updates the section in place
+ */
+function initTariffComparisonControls() {
+  if (comparisonControlsBound) return;
+  comparisonControlsBound = true;
+  
+  document.addEventListener('input', (e) => {
+    const slider = e.target.closest('.tariff-comparison-valley-input');
+    if (!slider) return;
+    
+    const section = slider.closest('.tariff-comparison');
+    const context = comparisonContexts[section?.dataset.mode];
+    if (!context) return;
+    
+    const vazio = parseInt(slider.value) / 100;
+    const comparison = compareTariffTypes(
+      context.offers,
+      context.consumption,
+      context.power,
+      context.tariffType,
+      { ...context.distribution, vazio },
+      context.billingPeriod,
+      context.monthlyConsumption
+    );
+    if (!comparison) return;
+    
+    section.querySelector('.tariff-comparison-valley-value').textContent = `${slider.value}%`;
+    section.querySelector('.tariff-comparison-body').innerHTML = buildTariffComparisonBodyHTML(comparison);
+  });
+  
+  // Evolução dos preços: carrega o arquivo ao abrir e recalcula quando o perfil muda
+  // (toggle não faz bubbling, por isso a escuta é na fase de captura)
+  document.addEventListener('toggle', (e) => {
+    const panel = e.target;
+    if (!panel.classList?.contains('price-trends-panel') || !panel.open) return;
+    updatePriceTrends(panel.closest('.price-trends'));
+  }, true);
+  
+  document.addEventListener('change', (e) => {
+    const control = e.target.closest('.price-trends-control');
+    if (!control) return;
+    updatePriceTrends(control.closest('.price-trends'));
+  });
+}
+
+/**
+ * Recalculate the price trends section with its current controls
+ * @param {HTMLElement|null} section - .price-trends element
+ * @returns {Promise<void>}
+ */
+async function updatePriceTrends(section) {
+  const body = section?.querySelector('.price-trends-body');
+  if (!body) return;
+  
+  const powerSelect = section.querySelector('.price-trends-power');
+  const tariffSelect = section.querySelector('.price-trends-tariff');
+  const power = parseFloat(powerSelect.value);
+  const tariffType = parseInt(tariffSelect.value);
+  const sliceKey = `${power}-${tariffType}`;
+  
+  body.innerHTML = '<p class="price-trends-note">A carregar o histórico de preços...</p>';
+  if (!priceHistoryRequests.has(sliceKey)) {
+    priceHistoryRequests.set(sliceKey, loadPriceHistory(power, tariffType));
+  }
+  const history = await priceHistoryRequests.get(sliceKey);
+  
+  // O perfil mudou enquanto o histórico carregava: o pedido mais recente trata do resultado
+  if (parseFloat(powerSelect.value) !== power || parseInt(tariffSelect.value) !== tariffType) return;
+  
+  const trends = buildPriceTrends(history, {
+    power,
+    tariffType,
+    consumption: parseFloat(section.querySelector('.price-trends-consumption').value)
+  });
+  body.innerHTML = buildPriceTrendsBodyHTML(trends, history.length);
+}
+
+/**
+ * Build social tariff section: discount applied and who is eligible
+ * @param {Object} enrichedBest - Recommended offer (socialTariffApplied from applySocialTariff)
+ * @param {number} power - Contracted power in kVA
+ * @returns {string} HTML string, empty unless "Tenho tarifa social" is ticked
+ */
+function buildSocialTariffHTML(enrichedBest, power) {
+  if (!getOfferPreferences().socialTariff) return '';
+  
+  const discountPct = Math.round(SOCIAL_TARIFF_DISCOUNT * 1000) / 10;
+  const maxPowerText = `${String(SOCIAL_TARIFF_MAX_POWER).replace('.', ',')} kVA`;
+  const statusText = enrichedBest.socialTariffApplied
+    ? `Aplicámos o desconto regulado (${String(discountPct).replace('.', ',')}% da tarifa regulada da ERSE, igual em €/dia e €/kWh em todos os comercializadores) e deixámos de fora as ofertas que não aceitam tarifa social.`
+    : power > SOCIAL_TARIFF_MAX_POWER
+      ? `A tarifa social só existe para potências até ${maxPowerText}, por isso estes preços não têm desconto.`
+      : 'Esta oferta não tem o desconto da tarifa social.';
+  
+  return `
+    <div class="info-row social-tariff">
+      <div class="info-row-inner">
+        <span class="info-row-label">Tarifa social</span>
+        <span class="info-row-value">${enrichedBest.socialTariffApplied ? 'Desconto incluído' : 'Sem desconto'}</span>
+      </div>
+      <p class="tariff-comparison-note${enrichedBest.socialTariffApplied ? ' is-highlight' : ''}">${statusText}</p>
+      <p class="tariff-comparison-note">Tens direito se o titular do contrato recebe complemento solidário para idosos, rendimento social de inserção, subsídio social de desemprego, abono de família (1.º escalão), pensão social de invalidez ou de velhice ou prestação social para a inclusão, ou se o rendimento anual do agregado não passa de €6.272,64 (mais 50% por cada membro sem rendimentos, até 10). A potência contratada tem de ser até ${maxPowerText}. O desconto é atribuído automaticamente, em qualquer comercializador que o aceite: não precisas de o pedir.</p>
+    </div>
+  `;
+}
+
+const MONTH_LABELS = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+const MONTH_NAMES = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+
+/**
+ * Build month-by-month cost chart for the recommended offer (CSS bars)
+ * @param {Array<number>|null} monthlyCosts - Cost per month (jan-dez) from rankOffersForTariff
+ * @param {Array<number>|null} monthlyConsumption - kWh per month (jan-dez), for the bar tooltips
+ * @returns {string} HTML string, empty without monthly costs
+ */
+function buildMonthlyChartHTML(monthlyCosts, monthlyConsumption) {
+  if (!monthlyCosts || monthlyCosts.length !== 12) return '';
+  
+  const maxCost = Math.max(...monthlyCosts);
+  const annualCost = monthlyCosts.reduce((sum, cost) => sum + cost, 0);
+  
+  const barsHTML = monthlyCosts.map((cost, monthIndex) => {
+    const kwh = monthlyConsumption ? ` · ${Math.round(monthlyConsumption[monthIndex])} kWh` : '';
+    const height = maxCost > 0 ? Math.round((cost / maxCost) * 100) : 0;
+    return `
+      <li class="monthly-chart-bar" style="--bar-height: ${height}%" title="${MONTH_LABELS[monthIndex]}: €${cost.toFixed(2)}${kwh}">
+        <span class="monthly-chart-fill"></span>
+        <span class="monthly-chart-label">${MONTH_LABELS[monthIndex]}</span>
+      </li>
+    `;
+  }).join('');
+  
+  return `
+    <div class="info-row monthly-chart">
+      <div class="info-row-inner">
+        <span class="info-row-label">Custo mês a mês</span>
+        <span class="info-row-value">€${annualCost.toFixed(0)}/ano</span>
+      </div>
+      <ol class="monthly-chart-bars">
+        ${barsHTML}
+      </ol>
+      <p class="monthly-chart-note">Entre €${Math.min(...monthlyCosts).toFixed(2)} e €${maxCost.toFixed(2)} por mês, conforme a época do ano.</p>
+    </div>
+  `;
+}
+
+/**
+ * Build estimate range section (estimate mode: ranking at the low and high consumption)
+ * @param {Object|null} estimateRange - Result of compareEstimateRange
+ * @param {Object} expectedBest - Best offer at the expected consumption
+ * @param {number} consumption - Expected consumption (kWh/month)
+ * @param {number} monthlyBill - Monthly bill amount in euros
+ * @returns {string} HTML string, empty without a range
+ */
+function buildEstimateRangeHTML(estimateRange, expectedBest, consumption, monthlyBill) {
+  if (!estimateRange || !estimateRange.low.best || !estimateRange.high.best) return '';
+  
+  const nameOf = offer => toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  const rows = [
+    { label: 'Consumo baixo', consumption: estimateRange.low.consumption, best: estimateRange.low.best },
+    { label: 'Mais provável', consumption, best: expectedBest, isExpected: true },
+    { label: 'Consumo alto', consumption: estimateRange.high.consumption, best: estimateRange.high.best }
+  ];
+  
+  const rowsHTML = rows.map(row => {
+    const yearlySavings = (monthlyBill - row.best.monthlyCost) * 12;
+    return `
+      <li class="offer-row${row.isExpected ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          ${row.consumption} kWh <span class="muted">(${row.label.toLowerCase()})</span>
+          <span class="offer-row-tariff">${nameOf(row.best)}</span>
+        </span>
+        <span class="offer-row-price">€${row.best.monthlyCost.toFixed(2)}/mês</span>
+        <span class="offer-row-diff">${yearlySavings > 0 ? `Poupas €${yearlySavings.toFixed(0)}/ano` : 'Sem poupança'}</span>
+      </li>
+    `;
+  }).join('');
+  
+  const rangeText = `entre ${estimateRange.low.consumption} e ${estimateRange.high.consumption} kWh por mês`;
+  const noteText = estimateRange.bestChanges
+    ? `O teu consumo deve estar ${rangeText}, conforme os preços do teu contrato atual. Nesse intervalo a melhor oferta muda: carrega a fatura no modo Preciso para confirmar.`
+    : `O teu consumo deve estar ${rangeText}, conforme os preços do teu contrato atual. A melhor oferta é a mesma em todo o intervalo.`;
+  
+  return `
+    <div class="info-row estimate-range">
+      <div class="info-row-inner">
+        <span class="info-row-label">Margem da estimativa</span>
+        <span class="info-row-value">Melhor oferta por consumo</span>
+      </div>
+      <ol class="offers-list">
+        ${rowsHTML}
+      </ol>
+      <p class="estimate-range-note${estimateRange.bestChanges ? ' is-highlight' : ''}">${noteText}</p>
+    </div>
+  `;
+}
+
+/**
+ * Format a snapshot date for the trends axis ("2025-12-08" → "Dez 2025")
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @returns {string} Month label and year
+ */
+function formatSnapshotMonth(date) {
+  return `${MONTH_LABELS[Number(date.slice(5, 7)) - 1]} ${date.slice(0, 4)}`;
+}
+
+/**
+ * Build price trends body: one sparkline per supplier (same scale for all)
+ * @param {Object|null} trends - Result of buildPriceTrends
+ * @param {number} snapshotCount - Number of snapshots in the archive
+ * @returns {string} HTML string
+ */
+function buildPriceTrendsBodyHTML(trends, snapshotCount) {
+  if (!trends) {
+    const reason = snapshotCount < 2
+      ? 'Ainda não há histórico suficiente: são precisas pelo menos duas atualizações da ERSE com preços diferentes.'
+      : 'Introduz um consumo válido para comparar os preços.';
+    return `<p class="price-trends-note">${reason}</p>`;
+  }
+  
+  const series = trends.series.filter(entry => entry.latest !== null);
+  if (series.length === 0) {
+    return '<p class="price-trends-note">Não há ofertas sem fidelização para esta potência e tipo de tarifa.</p>';
+  }
+  
+  const allCosts = series.flatMap(entry => entry.costs).filter(cost => cost !== null);
+  const minCost = Math.min(...allCosts);
+  const range = Math.max(...allCosts) - minCost || 1;
+  const lastIndex = trends.dates.length - 1;
+  const formatChange = change => (change === null || Math.abs(change) < 0.01 ? '=' : `${change > 0 ? '+' : '−'}€${Math.abs(change).toFixed(2)}`);
+  
+  const rowsHTML = series.map(entry => {
+    const points = entry.costs
+      .map((cost, index) => (cost === null ? null : `${(index / lastIndex * 100).toFixed(1)},${(22 - (cost - minCost) / range * 20).toFixed(1)}`))
+      .filter(Boolean)
+      .join(' ');
+    return `
+      <li class="offer-row">
+        <span class="offer-row-provider">${toTitleCase(PROVIDERS[entry.COM] || entry.COM)}</span>
+        <svg class="price-trends-spark" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+          <polyline points="${points}" />
+        </svg>
+        <span class="offer-row-price">€${entry.latest.toFixed(2)}/mês</span>
+        <span class="offer-row-diff">${formatChange(entry.change)}</span>
+      </li>
+    `;
+  }).join('');
+  
+  const since = formatSnapshotMonth(trends.dates[0]);
+  let trendText = `A oferta mais barata do mercado manteve-se estável desde ${since}.`;
+  if (trends.cheapestChange !== null && trends.cheapestChange <= -0.5) {
+    trendText = `Os preços estão a descer: a oferta mais barata custa menos €${Math.abs(trends.cheapestChange).toFixed(2)}/mês do que em ${since}.`;
+  } else if (trends.cheapestChange !== null && trends.cheapestChange >= 0.5) {
+    trendText = `Os preços estão a subir: a oferta mais barata custa mais €${trends.cheapestChange.toFixed(2)}/mês do que em ${since}. Mudar agora evita novos aumentos.`;
+  }
+  
+  return `
+    <ol class="offers-list">
+      ${rowsHTML}
+    </ol>
+    <p class="price-trends-axis"><span>${since}</span><span>${formatSnapshotMonth(trends.dates[lastIndex])}</span></p>
+    <p class="price-trends-note">${trendText}</p>
+  `;
+}
+
+/**
+ * Build price trends section (cheapest offer per supplier over the snapshot archive)
+ * The history of the chosen power and tariff type is only loaded when the panel is opened (updatePriceTrends)
+ * @param {number} power - Contracted power (kVA), initial value
+ * @param {number} tariffType - Tariff type (1-3), initial value
+ * @param {number} consumption - Reference consumption (kWh/month), initial value
+ * @returns {string} HTML string
+ */
+function buildPriceTrendsHTML(power, tariffType, consumption) {
+  const powerOptions = POWER_STEPS.map(step => `<option value="${step}"${Math.abs(step - power) < 0.01 ? ' selected' : ''}>${String(step).replace('.', ',')} kVA</option>`).join('');
+  const tariffOptions = Object.entries(TARIFF_TYPE_NAMES).map(([type, name]) => `<option value="${type}"${Number(type) === tariffType ? ' selected' : ''}>${name}</option>`).join('');
+  
+  return `
+    <div class="info-row price-trends">
+      <div class="info-row-inner">
+        <span class="info-row-label">Evolução dos preços</span>
+        <span class="info-row-value">Oferta mais barata por operador</span>
+      </div>
+      <details class="price-trends-panel">
+        <summary class="price-trends-toggle">Ver histórico de preços</summary>
+        <div class="price-trends-controls">
+          <select class="price-trends-control price-trends-power" aria-label="Potência contratada">${powerOptions}</select>
+          <select class="price-trends-control price-trends-tariff" aria-label="Tipo de tarifa">${tariffOptions}</select>
+          <label class="price-trends-consumption-label">
+            <input type="number" class="price-trends-control price-trends-consumption" min="1" max="5000" value="${Math.round(consumption)}" aria-label="Consumo de referência (kWh por mês)">
+            <span>kWh/mês</span>
+          </label>
+        </div>
+        <div class="price-trends-body"></div>
+      </details>
+    </div>
+  `;
+}
+
+/**
+ * Build contracted power advisor section (current power ± two steps)
+ * @param {Object|null} powerComparison - Result of comparePowerLevels
+ * @returns {string} HTML string, empty without alternatives
+ */
+function buildPowerAdvisorHTML(powerComparison) {
+  if (!powerComparison || powerComparison.options.length < 2) return '';
+  
+  const formatKva = value => `${String(value).replace('.', ',')} kVA`;
+  
+  const rowsHTML = powerComparison.options.map(option => {
+    const isSuggested = option.power === powerComparison.suggestedPower;
+    const providerName = toTitleCase(PROVIDERS[option.best.COM] || option.best.COM);
+    const detailText = option.isPlausible ? providerName : 'Pode não chegar para os teus picos';
+    const diffText = option.isCurrent ? 'Atual' :
+                     option.annualDifference < 0 ? `−€${Math.abs(option.annualDifference).toFixed(2)}/ano` :
+                     `+€${option.annualDifference.toFixed(2)}/ano`;
+    
+    return `
+      <li class="offer-row${isSuggested ? ' is-best' : ''}${option.isPlausible ? '' : ' is-risky'}">
+        <span class="offer-row-provider">
+          ${formatKva(option.power)}${option.isCurrent ? ' <span class="muted">(atual)</span>' : ''}
+          <span class="offer-row-tariff">${detailText}</span>
+        </span>
+        <span class="offer-row-price">€${option.best.annualCostEffective.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">${diffText}</span>
+      </li>
+    `;
+  }).join('');
+  
+  const current = powerComparison.options.find(option => option.isCurrent);
+  const peakText = `pico estimado de ~${powerComparison.estimatedPeakKw.toFixed(1).replace('.', ',')} kW`;
+  let adviceText;
+  if (powerComparison.suggestedPower < powerComparison.currentPower) {
+    adviceText = `Com o teu consumo (${peakText}), ${formatKva(powerComparison.suggestedPower)} deve chegar: poupas €${powerComparison.annualSavings.toFixed(2)}/ano. Confirma que não ligas muitos aparelhos potentes ao mesmo tempo antes de baixar.`;
+  } else if (!current.isPlausible) {
+    adviceText = `O teu consumo sugere picos acima da potência atual (${peakText}). Se o disjuntor dispara com frequência, considera subir um escalão.`;
+  } else {
+    adviceText = `A potência atual parece adequada ao teu consumo (${peakText}).`;
+  }
+  
+  return `
+    <div class="info-row power-advisor">
+      <div class="info-row-inner">
+        <span class="info-row-label">Potência contratada</span>
+        <span class="info-row-value">Melhor oferta por escalão</span>
+      </div>
+      <ol class="offers-list">
+        ${rowsHTML}
+      </ol>
+      <p class="power-advisor-note">${adviceText}</p>
+    </div>
+  `;
+}
+
+/**
+ * Build electricity + gas section (best separate pair vs best dual-fuel offer)
+ * @param {Object|null} dualFuel - Result of compareDualFuel, or { unavailable: true } without gas prices
+ * @returns {string} HTML string, empty without gas consumption
+ */
+function buildDualFuelHTML(dualFuel) {
+  if (!dualFuel) return '';
+  
+  if (dualFuel.unavailable) {
+    return `
+    <div class="info-row dual-fuel">
+      <div class="info-row-inner">
+        <span class="info-row-label">Eletricidade e gás</span>
+        <span class="info-row-value">Indisponível</span>
+      </div>
+      <p class="dual-fuel-note is-highlight">Não conseguimos carregar os preços de gás, por isso esta comparação ficou de fora. O resultado de eletricidade não é afetado. Tenta mais tarde.</p>
+    </div>
+  `;
+  }
+  
+  const { separate, dual } = dualFuel;
+  const nameOf = offer => toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  const separateBest = !dual || !dualFuel.recommendDual;
+  
+  const separateRowHTML = `
+      <li class="offer-row${separateBest ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          Separado
+          <span class="offer-row-tariff">Luz ${nameOf(separate.electricity)} · Gás ${nameOf(separate.gas)}</span>
+        </span>
+        <span class="offer-row-price">€${separate.annualCost.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">€${separate.electricity.annualCostEffective.toFixed(0)} + €${separate.gas.annualCost.toFixed(0)}</span>
+      </li>
+  `;
+  const dualRowHTML = dual ? `
+      <li class="offer-row${separateBest ? '' : ' is-best'}">
+        <span class="offer-row-provider">
+          Dual
+          <span class="offer-row-tariff">${nameOf(dual.offer)} · ${toTitleCase(dual.offer.tariffName || 'luz + gás')}</span>
+        </span>
+        <span class="offer-row-price">€${dual.annualCost.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">€${dual.electricityAnnual.toFixed(0)} + €${dual.gasAnnual.toFixed(0)}</span>
+      </li>
+  ` : '';
+  
+  let adviceText;
+  if (!dual) {
+    adviceText = 'Não há ofertas duais para a tua potência e tarifa, por isso compara luz e gás em separado.';
+  } else if (dualFuel.recommendDual) {
+    adviceText = `Juntar luz e gás na ${nameOf(dual.offer)} poupa €${dualFuel.annualSavings.toFixed(2)}/ano face às melhores ofertas em separado.`;
+  } else if (dualFuel.annualSavings > 0) {
+    adviceText = `A oferta dual é só €${dualFuel.annualSavings.toFixed(2)}/ano mais barata: ter luz e gás em comercializadores diferentes dá-te mais liberdade para mudar.`;
+  } else {
+    adviceText = `Fica mais barato ter luz e gás em separado: poupas €${Math.abs(dualFuel.annualSavings).toFixed(2)}/ano face à melhor oferta dual.`;
+  }
+  
+  return `
+    <div class="info-row dual-fuel">
+      <div class="info-row-inner">
+        <span class="info-row-label">Eletricidade e gás</span>
+        <span class="info-row-value">Custo anual <span class="muted">(luz + gás)</span></span>
+      </div>
+      <ol class="offers-list">
+        ${separateRowHTML}
+        ${dualRowHTML}
+      </ol>
+      <p class="dual-fuel-note">${adviceText} O custo do gás inclui ISP e IVA.</p>
+    </div>
+  `;
+}
+
+/**
+ * Build rooftop solar section (best offer per tariff type with and without solar)
+ * @param {Object|null} solarScenario - Result of compareSolarScenario
+ * @returns {string} HTML string, empty without solar input
+ */
+function buildSolarHTML(solarScenario) {
+  if (!solarScenario) return '';
+  
+  const nameOf = offer => toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  
+  const rowsHTML = solarScenario.options.map(option => {
+    const isBest = option.tariffType === solarScenario.withSolar.tariffType;
+    const revenueText = option.injectionRevenue > 0 ? ` <span class="muted">(−€${option.injectionRevenue.toFixed(0)} excedente)</span>` : '';
+    return `
+      <li class="offer-row${isBest ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          ${TARIFF_TYPE_NAMES[option.tariffType]}
+          <span class="offer-row-tariff">${nameOf(option.withSolar)}${revenueText}</span>
+        </span>
+        <span class="offer-row-price">€${option.netAnnualCost.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">sem solar €${option.withoutSolar.annualCostEffective.toFixed(0)}</span>
+      </li>
+    `;
+  }).join('');
+  
+  const withoutBest = solarScenario.withoutSolar;
+  const withBest = solarScenario.withSolar;
+  const selfConsumedText = `Os painéis cobrem ~${Math.round(solarScenario.selfConsumedKwh)} kWh/ano`;
+  const surplusText = solarScenario.surplusKwh > 0
+    ? ` e sobram ~${Math.round(solarScenario.surplusKwh)} kWh/ano para a rede${withBest.injectionRevenue > 0 ? `, vendidos por €${withBest.injectionRevenue.toFixed(2)}` : ' (nenhuma oferta publica preço de compra do excedente)'}.`
+    : '.';
+  
+  let adviceText;
+  if (solarScenario.tariffTypeChanged) {
+    adviceText = `Com solar, a ${TARIFF_TYPE_NAMES[withBest.tariffType].toLowerCase()} passa a ser a mais barata (${nameOf(withBest.withSolar)}), em vez da ${TARIFF_TYPE_NAMES[withoutBest.tariffType].toLowerCase()}.`;
+  } else if (solarScenario.supplierChanged) {
+    adviceText = `Com solar, a melhor ${TARIFF_TYPE_NAMES[withBest.tariffType].toLowerCase()} passa a ser da ${nameOf(withBest.withSolar)}.`;
+  } else {
+    adviceText = 'Com solar, a melhor oferta continua a ser a mesma.';
+  }
+  
+  return `
+    <div class="info-row solar-scenario">
+      <div class="info-row-inner">
+        <span class="info-row-label">Com painéis solares</span>
+        <span class="info-row-value">Poupas €${solarScenario.annualSavings.toFixed(0)}/ano</span>
+      </div>
+      <ol class="offers-list">
+        ${rowsHTML}
+      </ol>
+      <p class="solar-scenario-note">${selfConsumedText}${surplusText} ${adviceText}</p>
+    </div>
+  `;
+}
+
+/**
+ * Build electric car section (best offer per tariff type before and after charging at home)
+ * @param {Object|null} evScenario - Result of compareEVScenario
+ * @returns {string} HTML string, empty without an electric car
+ */
+function buildEVHTML(evScenario) {
+  if (!evScenario) return '';
+  
+  const nameOf = offer => toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  const formatKva = value => `${String(value).replace('.', ',')} kVA`;
+  
+  const rowsHTML = evScenario.options.map(option => `
+      <li class="offer-row${option.tariffType === evScenario.after.tariffType ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          ${TARIFF_TYPE_NAMES[option.tariffType]}${option === evScenario.current ? ' <span class="muted">(atual)</span>' : ''}
+          <span class="offer-row-tariff">${nameOf(option.after)}</span>
+        </span>
+        <span class="offer-row-price">€${option.after.annualCostEffective.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">sem carro €${option.before.annualCostEffective.toFixed(0)}</span>
+      </li>
+    `).join('');
+  
+  const bestName = TARIFF_TYPE_NAMES[evScenario.after.tariffType].toLowerCase();
+  const notes = [
+    `O carro acrescenta ~${Math.round(evScenario.evMonthlyKwh)} kWh/mês: a melhor oferta passa de €${evScenario.before.before.annualCostEffective.toFixed(0)} para €${evScenario.after.after.annualCostEffective.toFixed(0)}/ano (${nameOf(evScenario.after.after)}, ${bestName}).`
+  ];
+  if (evScenario.recommendTariffChange) {
+    const savings = evScenario.current.after.annualCostEffective - evScenario.after.after.annualCostEffective;
+    notes.push(`Com o carro, compensa mudar para ${bestName}: poupas €${savings.toFixed(2)}/ano face à tua tarifa atual.`);
+  }
+  if (evScenario.requiredPower === null) {
+    notes.push(`Carregar a ${String(EV_CHARGER_KW).replace('.', ',')} kW com a casa ligada pede mais de ${formatKva(POWER_STEPS[POWER_STEPS.length - 1])}: carrega à noite ou com menos potência.`);
+  } else if (evScenario.raisePower) {
+    notes.push(`Para carregar a ${String(EV_CHARGER_KW).replace('.', ',')} kW sem o disjuntor disparar, precisas de pelo menos ${formatKva(evScenario.requiredPower)} (pico estimado de ~${evScenario.peakKw.toFixed(1).replace('.', ',')} kW). Os custos com o carro já contam com essa potência.`);
+  }
+  
+  return `
+    <div class="info-row ev-scenario">
+      <div class="info-row-inner">
+        <span class="info-row-label">Com carro elétrico</span>
+        <span class="info-row-value">+€${evScenario.annualCostIncrease.toFixed(0)}/ano</span>
+      </div>
+      <ol class="offers-list">
+        ${rowsHTML}
+      </ol>
+      <p class="ev-scenario-note${evScenario.recommendTariffChange || evScenario.raisePower ? ' is-highlight' : ''}">${notes.join(' ')}</p>
+    </div>
+  `;
+}
+
+/**
+ * Build electric heating section (best offer per power level and tariff type with the new load)
+ * @param {Object|null} heatingScenario - Result of compareHeatingScenario
+ * @returns {string} HTML string, empty without a heating system
+ */
+function buildHeatingHTML(heatingScenario) {
+  if (!heatingScenario) return '';
+  
+  const nameOf = offer => toTitleCase(PROVIDERS[offer.COM] || offer.COM);
+  const formatKva = value => `${String(value).replace('.', ',')} kVA`;
+  
+  const rowsHTML = heatingScenario.options.map(option => `
+      <li class="offer-row${option === heatingScenario.best ? ' is-best' : ''}">
+        <span class="offer-row-provider">
+          ${formatKva(option.power)} · ${TARIFF_TYPE_NAMES[option.tariffType]}
+          <span class="offer-row-tariff">${nameOf(option.best)}</span>
+        </span>
+        <span class="offer-row-price">€${option.best.annualCostEffective.toFixed(0)}/ano</span>
+        <span class="offer-row-diff">+€${(option.best.annualCostEffective - heatingScenario.before.best.annualCostEffective).toFixed(0)}</span>
+      </li>
+    `).join('');
+  
+  const winterKwh = Math.max(...heatingScenario.heatingMonthlyKwh);
+  const loadText = `O aquecimento gasta ~${Math.round(heatingScenario.heatingAnnualKwh)} kWh/ano (até ${Math.round(winterKwh)} kWh no mês mais frio).`;
+  let powerText;
+  if (heatingScenario.requiredPower === null) {
+    powerText = `Com a casa ligada, o pico estimado (~${heatingScenario.peakKw.toFixed(1).replace('.', ',')} kW) passa os ${formatKva(POWER_STEPS[POWER_STEPS.length - 1])} da baixa tensão normal.`;
+  } else if (heatingScenario.raisePower) {
+    powerText = `Precisas de pelo menos ${formatKva(heatingScenario.requiredPower)} (pico estimado de ~${heatingScenario.peakKw.toFixed(1).replace('.', ',')} kW).`;
+  } else {
+    powerText = `A potência atual chega (pico estimado de ~${heatingScenario.peakKw.toFixed(1).replace('.', ',')} kW).`;
+  }
+  const best = heatingScenario.best;
+  const bestText = `A melhor opção é ${TARIFF_TYPE_NAMES[best.tariffType].toLowerCase()} a ${formatKva(best.power)} na ${nameOf(best.best)}.`;
+  
+  return `
+    <div class="info-row heating-scenario">
+      <div class="info-row-inner">
+        <span class="info-row-label">Com aquecimento elétrico</span>
+        <span class="info-row-value">+€${heatingScenario.annualCostIncrease.toFixed(0)}/ano</span>
+      </div>
+      <ol class="offers-list">
+        ${rowsHTML}
+      </ol>
+      <p class="heating-scenario-note${heatingScenario.raisePower ? ' is-highlight' : ''}">${loadText} ${powerText} ${bestText}</p>
+    </div>
+  `;
+}
+
+/**
+ * Build plain-text switching pack (data the new supplier asks for)
+ * Missing fields are left for the user to fill in from the invoice
+ * @param {Object} enrichedBest - Recommended offer (enriched)
+ * @param {Object} invoiceData - Extracted invoice data (cpe, nif, address, power, tariffType, cycleType)
+ * @returns {string} Switching pack text
+ */
+function buildSwitchingPackText(enrichedBest, invoiceData) {
+  const missing = '(confirma na fatura)';
+  const tariffNameRaw = invoiceData.tariffType === 3 ? 'Tri-horária' :
+                        invoiceData.tariffType === 2 ? 'Bi-horária' : 'Simples';
+  const providerName = toTitleCase(PROVIDERS[enrichedBest.COM] || enrichedBest.COM);
+  const phone = formatPhone(enrichedBest.phone);
+  
+  const lines = [
+    'Pedido de mudança de comercializador (eletricidade)',
+    '',
+    `Comercializador: ${providerName}${phone ? ` (${phone})` : ''}`,
+    `Tarifa: ${toTitleCase(enrichedBest.tariffName || 'Tarifa Simples')}`,
+    '',
+    `CPE: ${invoiceData.cpe || missing}`,
+    `NIF: ${invoiceData.nif || missing}`,
+    `Morada do local de consumo: ${invoiceData.address || missing}`,
+    `Potência contratada: ${invoiceData.power} kVA`,
+    `Opção horária: ${formatTariffName(tariffNameRaw, invoiceData.tariffType, invoiceData.cycleType)}`
+  ];
+  
+  return lines.join('\n');
+}
+
+/**
+ * Build switching pack HTML (PDF mode only)
+ * Copy/download happen locally (see main.js); nothing is sent anywhere
+ * @param {Object} enrichedBest - Recommended offer (enriched)
+ * @param {Object|null} invoiceData - Extracted invoice data
+ * @returns {string} HTML string (empty without invoice data)
+ */
+function buildSwitchingPackHTML(enrichedBest, invoiceData) {
+  if (!invoiceData) return '';
+  
+  const packText = escapeHTML(buildSwitchingPackText(enrichedBest, invoiceData));
+  const foundCount = [invoiceData.cpe, invoiceData.nif, invoiceData.address].filter(Boolean).length;
+  
+  return `
+    <div class="info-row switching-pack">
+      <div class="info-row-inner">
+        <span class="info-row-label">Pacote de mudança</span>
+        <span class="info-row-value">${foundCount} de 3 dados lidos da fatura</span>
+      </div>
+      <pre class="switching-pack-text">${packText}</pre>
+      <div class="switching-pack-actions">
+        <button class="btn switching-pack-copy" type="button">
+          <span class="btn-icon">
+            <i class="ph-duotone ph-copy"></i>
+          </span>
+          <span>Copiar</span>
+        </button>
+        <button class="btn switching-pack-download" type="button">
+          <span class="btn-icon">
+            <i class="ph-duotone ph-download-simple"></i>
+          </span>
+          <span>Descarregar</span>
+        </button>
+      </div>
+      <p class="switching-pack-note">Gerado no teu browser: os teus dados não saem deste dispositivo.</p>
+    </div>
+  `;
+}
+
 /**
  * Render calculation result with design system structure
  * @param {Object} enrichedBest - Enriched best offer object
@@ -101,10 +986,14 @@ function initProviderLogoFallbacks() {
  * @param {number|null} monthlyBill - Monthly bill amount (for estimate mode)
  * @param {Object|null} savings - Savings object with monthly/yearly properties
  * @param {boolean} isEstimate - Whether this is estimate mode
- * @param {string} currentMode - Current mode ('estimate' or 'precise')
+ * @param {string} currentMode - Current mode ('estimate', 'precise' or 'household')
  * @param {Function} setTabResult - Function to set tab result for a mode
+ * @param {Array<Object>|null} rankedOffers - Optional: full ranking (from rankOffersForTariff) for the top N list
+ * @param {Object|null} reconciliation - Optional: invoice reconciliation (PDF mode) with invoiceTotal, modelTotal, differencePct, isReliable
+ * @param {Object|null} invoiceData - Optional: extracted invoice data (PDF mode) for the switching pack (cpe, nif, address)
+ * @param {Object|null} comparisonContext - Optional: { offers, tariffType, distribution, billingPeriod, monthlyConsumption, includeLockIn } for the tariff type comparison, power advisor and monthly chart
  */
-export function renderResult(enrichedBest, consumption, power, monthlyBill = null, savings = null, isEstimate = false, currentMode, setTabResult) {
+export function renderResult(enrichedBest, consumption, power, monthlyBill = null, savings = null, isEstimate = false, currentMode, setTabResult, rankedOffers = null, reconciliation = null, invoiceData = null, comparisonContext = null) {
   const resultDiv = document.getElementById('result');
   const resultsView = document.getElementById('results-view');
   const pageWrapper = document.getElementById('page-wrapper');
@@ -132,6 +1021,15 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
   
   const displaySavings = savings || estimateSavings;
   
+  // Estimativa: poupança entre os extremos do intervalo de consumo (o consumo não é exato)
+  const estimateRange = isEstimate && monthlyBill ? comparisonContext?.estimateRange : null;
+  let savingsRangeText = null;
+  if (estimateRange?.low.best && estimateRange?.high.best) {
+    const minSavings = Math.min(estimateRange.low.yearlySavings, estimateRange.high.yearlySavings);
+    const maxSavings = Math.max(estimateRange.low.yearlySavings, estimateRange.high.yearlySavings);
+    savingsRangeText = minSavings > 0 ? `€${minSavings.toFixed(0)}–€${maxSavings.toFixed(0)}/ano` : `até €${maxSavings.toFixed(0)}/ano`;
+  }
+  
   // Build campaign badge HTML
   let campaignBadgeHTML = '';
   if (enrichedBest.isCampaignActive === true || enrichedBest.promotion) {
@@ -146,18 +1044,167 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
   // Build savings bar HTML
   let savingsBarHTML = '';
   if (displaySavings && displaySavings.yearly > 0) {
+    const savingsAmountHTML = savingsRangeText
+      ? `<span>${savingsRangeText}</span>`
+      : `<span>€${displaySavings.monthly.toFixed(2)}/mês,</span>
+          <span>€${displaySavings.yearly.toFixed(2)}/ano</span>`;
     savingsBarHTML = `
       <div class="savings-bar">
         <div class="savings-bar-inner">
           <i class="ph-duotone ph-lightbulb"></i>
           <span>Poupas</span>
-          <span>€${displaySavings.monthly.toFixed(2)}/mês,</span>
-          <span>€${displaySavings.yearly.toFixed(2)}/ano</span>
+          ${savingsAmountHTML}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Build "com descontos" row (new-customer discounts + refunds, opt-in, not used in ranking)
+  let discountsRowHTML = '';
+  const withDiscounts = enrichedBest.monthlyCostWithDiscounts;
+  if (typeof withDiscounts === 'number' && enrichedBest.monthlyCost - withDiscounts >= 0.01) {
+    const discountYearly = (enrichedBest.monthlyCost - withDiscounts) * 12;
+    discountsRowHTML = `
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ph-tag"></i>
+            <span>Com descontos <span class="muted">(−€${discountYearly.toFixed(2)}/ano)</span></span>
+          </div>
+          <span class="data-row-value">€${withDiscounts.toFixed(2)}</span>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Build market risk row (indexed offers: expected cost plus OMIE min/max band)
+  let marketRiskHTML = '';
+  if (enrichedBest.isIndexed) {
+    const rangeText = enrichedBest.marketRange
+      ? `€${enrichedBest.marketRange.min.toFixed(0)}–€${enrichedBest.marketRange.max.toFixed(0)}/ano`
+      : 'Varia com o mercado';
+    marketRiskHTML = `
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ph-chart-line-up"></i>
+            <span>Risco de variação <span class="muted">(indexada ao OMIE)</span></span>
+          </div>
+          <span class="data-row-value">${rangeText}</span>
         </div>
       </div>
     `;
   }
   
+  // Build lock-in row (best offer has lock-in only when the user included those offers)
+  let lockInHTML = '';
+  if (enrichedBest.hasLockIn) {
+    const months = enrichedBest.commitmentMonths || enrichedBest.lockInMonths;
+    const penaltyText = typeof enrichedBest.exitPenalty === 'number' ? `penalização até €${enrichedBest.exitPenalty.toFixed(0)}` : 'penalização não indicada';
+    lockInHTML = `
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ph-lock"></i>
+            <span>Fidelização <span class="muted">(${penaltyText})</span></span>
+          </div>
+          <span class="data-row-value">${months ? `${months} meses` : 'Sim'}</span>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Build price change row (offer prices vs the previous ERSE snapshot, same consumption)
+  let priceChangeHTML = '';
+  const priceChange = calculatePriceChange(enrichedBest, consumption, power, comparisonContext?.distribution || null, comparisonContext?.billingPeriod || null);
+  if (priceChange && Math.abs(priceChange.monthlyDifference) >= 0.01) {
+    const isUp = priceChange.monthlyDifference > 0;
+    const sinceMonth = MONTH_NAMES[Number(priceChange.since.slice(5, 7)) - 1];
+    priceChangeHTML = `
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ${isUp ? 'ph-trend-up' : 'ph-trend-down'}"></i>
+            <span>Preço ${isUp ? 'subiu' : 'desceu'} <span class="muted">(desde ${sinceMonth})</span></span>
+          </div>
+          <span class="data-row-value">${isUp ? '+' : '−'}€${Math.abs(priceChange.monthlyDifference).toFixed(2)}/mês</span>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Build invoice reconciliation HTML ("pagaste €X, pagarias €Y")
+  let reconciliationHTML = '';
+  if (reconciliation) {
+    let noteText;
+    if (reconciliation.modelTotal === null) {
+      noteText = 'Não conseguimos ler os preços da tua fatura para confirmar o cálculo.';
+    } else if (reconciliation.isReliable) {
+      noteText = `Recalculámos a tua fatura em €${reconciliation.modelTotal.toFixed(2)} (diferença de ${Math.abs(reconciliation.differencePct).toFixed(1)}%), por isso a comparação é fiável.`;
+    } else {
+      noteText = `Recalculámos a tua fatura em €${reconciliation.modelTotal.toFixed(2)}, ${Math.abs(reconciliation.differencePct).toFixed(0)}% diferente do total. A fatura pode incluir outros valores (acertos, serviços, gás), por isso a poupança é indicativa.`;
+    }
+    
+    reconciliationHTML = `
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ph-receipt"></i>
+            <span>Pagaste <span class="muted">(fatura)</span></span>
+          </div>
+          <span class="data-row-value">€${reconciliation.invoiceTotal.toFixed(2)}</span>
+        </div>
+      </div>
+      <div class="data-row">
+        <div class="data-row-inner">
+          <div class="data-row-label">
+            <i class="ph-duotone ph-arrows-left-right"></i>
+            <span>Pagarias <span class="muted">(mesmo período)</span></span>
+          </div>
+          <span class="data-row-value">€${reconciliation.bestTotal.toFixed(2)}</span>
+        </div>
+      </div>
+      <p class="invoice-check-note${reconciliation.isReliable ? '' : ' is-warning'}">${noteText}</p>
+    `;
+  }
+  
+  // Build cost breakdown HTML (ADR-012: detalhes expansíveis)
+  let breakdownHTML = '';
+  const breakdown = enrichedBest.costBreakdown;
+  if (breakdown) {
+    const servicesRow = breakdown.services > 0 ? `
+          <li><span>Serviços obrigatórios${enrichedBest.serviceDescription ? ` <span class="muted">(${escapeHTML(enrichedBest.serviceDescription)})</span>` : ''}</span><span>€${breakdown.services.toFixed(2)}</span></li>` : '';
+    breakdownHTML = `
+      <details class="cost-breakdown">
+        <summary class="cost-breakdown-toggle">Ver detalhe do custo</summary>
+        <ul class="cost-breakdown-list">
+          <li><span>Termo fixo (potência)</span><span>€${breakdown.fixedTerm.toFixed(2)}</span></li>
+          <li><span>Energia</span><span>€${breakdown.energyTerm.toFixed(2)}</span></li>
+          <li><span>Impostos e taxas <span class="muted">(IEC + CAV)</span></span><span>€${breakdown.taxes.toFixed(2)}</span></li>
+          <li><span>IVA</span><span>€${breakdown.vat.toFixed(2)}</span></li>${servicesRow}
+        </ul>
+      </details>
+    `;
+  }
+  
+  // Build tariff type comparison (simples vs bi vs tri), same household and power
+  let tariffComparisonHTML = '';
+  if (comparisonContext) {
+    const context = { ...comparisonContext, consumption, power };
+    const comparison = compareTariffTypes(context.offers, consumption, power, context.tariffType, context.distribution, context.billingPeriod, context.monthlyConsumption);
+    comparisonContexts[currentMode] = context;
+    tariffComparisonHTML = buildTariffComparisonHTML(comparison, currentMode, Boolean(context.distribution));
+  } else {
+    delete comparisonContexts[currentMode];
+  }
+  
+  // Build contracted power advisor (same tariff type, one or two steps below/above)
+  let powerAdvisorHTML = '';
+  if (comparisonContext) {
+    const powerComparison = comparePowerLevels(comparisonContext.offers, consumption, power, comparisonContext.tariffType, comparisonContext.distribution, comparisonContext.billingPeriod, comparisonContext.monthlyConsumption);
+    powerAdvisorHTML = buildPowerAdvisorHTML(powerComparison);
+  }
+  
   // Build phone button HTML
   let phoneButtonHTML = '';
   if (formattedPhone) {
@@ -212,7 +1259,7 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
         <div class="data-row-inner">
           <div class="data-row-label">
             <i class="ph-duotone ph-chart-line"></i>
-            <span>Consumo estimado <span class="muted">(mês)</span></span>
+            <span>Consumo estimado <span class="muted">(${estimateRange ? `mês, ${estimateRange.low.consumption}–${estimateRange.high.consumption} kWh` : 'mês'})</span></span>
           </div>
           <span class="data-row-value">${consumption} kWh</span>
         </div>
@@ -238,6 +1285,12 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
           </div>
         </div>
       </div>
+      ${discountsRowHTML}
+      ${marketRiskHTML}
+      ${lockInHTML}
+      ${priceChangeHTML}
+      ${breakdownHTML}
+      ${reconciliationHTML}
 
       ${savingsBarHTML}
     </div>
@@ -246,6 +1299,17 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
   // Build info section HTML
   const infoHTML = `
     <div class="result-info">
+      ${buildSocialTariffHTML(enrichedBest, power)}
+      ${buildRankingHTML(rankedOffers, currentMode)}
+      ${buildEstimateRangeHTML(estimateRange, enrichedBest, consumption, monthlyBill)}
+      ${buildMonthlyChartHTML(enrichedBest.monthlyCosts, comparisonContext?.monthlyConsumption)}
+      ${buildPriceTrendsHTML(power, comparisonContext?.tariffType || enrichedBest.Contagem || 1, consumption)}
+      ${tariffComparisonHTML}
+      ${powerAdvisorHTML}
+      ${buildDualFuelHTML(comparisonContext?.dualFuel)}
+      ${buildSolarHTML(comparisonContext?.solarScenario)}
+      ${buildEVHTML(comparisonContext?.evScenario)}
+      ${buildHeatingHTML(comparisonContext?.heatingScenario)}
       <div class="info-row">
         <div class="info-row-inner">
           <span class="info-row-label">Como mudar</span>
@@ -283,6 +1347,7 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
           </div>
         </div>
       </div>
+      ${buildSwitchingPackHTML(enrichedBest, invoiceData)}
       <div class="info-row">
         <div class="info-row-inner">
           <span class="info-row-label">Quanto tempo demora</span>
@@ -321,6 +1386,8 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
   if (resultsSubtitle) {
     if (isEstimate) {
       resultsSubtitle.textContent = `Estimativa feita tendo por base uma tarifa simples, uma família de 2 adultos e 1 criança, com uma potência contratada de ${power} kVA.`;
+    } else if (currentMode === 'household') {
+      resultsSubtitle.textContent = `Estimativa a partir da tua casa e equipamentos: ${consumption} kWh de consumo mensal e ${power} kVA de potência sugerida.`;
     } else {
       resultsSubtitle.textContent = `Cálculo preciso com base nos teus dados: ${consumption} kWh de consumo mensal e ${power} kVA de potência contratada.`;
     }
@@ -351,6 +1418,9 @@ export function renderResult(enrichedBest, consumption, power, monthlyBill = nul
   
   // Initialize electrical sparks animation
   initElectricalSparks();
+  
+  // Valley share slider for the tariff type comparison
+  initTariffComparisonControls();
 }
 
 /**
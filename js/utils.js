@@ -3,6 +3,8 @@
  * Generic helper functions for CSV parsing, phone formatting, etc.
  */
 
+import { buildMarketScenarios, attachMarketScenarios } from './market-prices.js';
+
 /**
  * Parse CSV text into array of objects
  * @param {string} text - CSV text content
@@ -46,6 +48,102 @@ export async function loadCSV(url) {
   return parseCSV(text);
 }
 
+/**
+ * Load OMIE price history (data/omie-history.json) for indexed offers
+ * @returns {Promise<Object|null>} Monthly market scenarios (buildMarketScenarios) or null if unavailable
+ */
+export async function loadMarketScenarios() {
+  try {
+    const response = await fetch('data/omie-history.json');
+    if (!response.ok) return null;
+    return buildMarketScenarios(await response.json());
+  } catch (error) {
+    console.warn('⚠️  Could not load omie-history.json, indexed offers use published prices:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load the regulated tariff prices (meta.json regulatedPrices, written by build-offers.js)
+ * @returns {Promise<Array<Object>|null>} Rows [{ power, tariffType, TF, TV|TVFV|TVP, TVV|TVC, TVVz }] or null if unavailable
+ */
+export async function loadRegulatedPrices() {
+  try {
+    const response = await fetch('data/meta.json');
+    if (!response.ok) return null;
+    return (await response.json()).regulatedPrices || null;
+  } catch (error) {
+    console.warn('⚠️  Could not load regulated prices from meta.json, the social tariff is not applied:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Attach the regulated prices of each offer's power and tariff type (base of the social tariff discount)
+ * @param {Array<Object>} offers - Offers from offers.json
+ * @param {Array<Object>|null} regulatedPrices - Result of loadRegulatedPrices
+ * @returns {Array<Object>} Offers; those with a regulated row gain regulatedPrices { TF, TV|TVFV|TVP, TVV|TVC, TVVz }
+ */
+function attachRegulatedPrices(offers, regulatedPrices) {
+  if (!regulatedPrices) return offers;
+  
+  const byProfile = new Map(regulatedPrices.map(({ power, tariffType, ...prices }) => [`${power}|${tariffType}`, prices]));
+  return offers.map(offer => {
+    const prices = byProfile.get(`${offer.Pot_Cont}|${offer.Contagem}`);
+    return prices ? { ...offer, regulatedPrices: prices } : offer;
+  });
+}
+
+/**
+ * Load the price history of one power and tariff type
+ * (data/history/trends/<power>-<tariffType>.json, written by build-offers.js with each snapshot)
+ * @param {number} power - Contracted power (kVA)
+ * @param {number} tariffType - Tariff type (1=simples, 2=bi-horária, 3=tri-horária)
+ * @returns {Promise<Array<Object>>} Snapshots [{ date, offers }], oldest first; empty without history
+ */
+export async function loadPriceHistory(power, tariffType) {
+  try {
+    const response = await fetch(`data/history/trends/${power}-${tariffType}.json`);
+    if (!response.ok) return [];
+    const { snapshots } = await response.json();
+    
+    // Linhas compactas [COM, TF, TV|TVFV|TVP, TVV|TVC, TVVz, serviceCostAnnual?] → ofertas
+    return snapshots.map(snapshot => ({
+      date: snapshot.date,
+      offers: snapshot.offers.map(([COM, TF, TV, TVV, TVVz, serviceCostAnnual]) => ({
+        COM,
+        Pot_Cont: power,
+        Contagem: tariffType,
+        TF,
+        'TV|TVFV|TVP': TV,
+        'TVV|TVC': TVV,
+        TVVz,
+        requiresServices: serviceCostAnnual !== undefined,
+        serviceCostAnnual: serviceCostAnnual || 0
+      }))
+    }));
+  } catch (error) {
+    console.warn('⚠️  Could not load price history, trends disabled:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Load gas and dual-fuel offers (data/gas-offers.json)
+ * A missing file does not stop the electricity result; the UI says gas prices are unavailable
+ * @returns {Promise<Array<Object>|null>} Gas offers, or null if the file could not be loaded
+ */
+export async function loadGasOffers() {
+  try {
+    const response = await fetch('data/gas-offers.json');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('⚠️  Could not load gas-offers.json, dual-fuel comparison unavailable:', error.message);
+    return null;
+  }
+}
+
 /**
  * Load offers.json (preferred) or fallback to CSV files
  * @returns {Promise<{prices: Array<Object>, conditions: Array<Object>}>} Parsed data
@@ -55,7 +153,8 @@ export async function loadOffers() {
     // Try to load offers.json first
     const response = await fetch('data/offers.json');
     if (response.ok) {
-      const offers = await response.json();
+      // Indexadas: preço de energia simulado com o histórico OMIE; tarifa social: preços regulados por potência
+      const offers = attachRegulatedPrices(attachMarketScenarios(await response.json(), await loadMarketScenarios()), await loadRegulatedPrices());
       console.log(`✅ Loaded ${offers.length} offers from offers.json`);
       
       // Convert offers.json format back to prices/conditions format for compatibility
@@ -100,13 +199,26 @@ export async function loadOffers() {
               validFrom: offer.validFrom,
               validTo: offer.validTo,
               isIndexed: offer.isIndexed,
+              indexation: offer.indexation || null,
               hasLockIn: offer.hasLockIn,
               lockInMonths: offer.lockInMonths,
               lockInSource: offer.lockInSource,
+              lockInPenalty: offer.lockInPenalty || null,
+              surplusBuyBack: offer.surplusBuyBack || null,
               promotion: offer.promotion,
+              newCustomerDiscount: offer.newCustomerDiscount || null,
+              refunds: offer.refunds || null,
+              requiresServices: offer.requiresServices || false,
+              serviceCostAnnual: offer.serviceCostAnnual || 0,
+              serviceDescription: offer.serviceDescription || '',
               newCustomerOnly: offer.newCustomerOnly,
               requiresDirectDebit: offer.requiresDirectDebit,
               requiresEBill: offer.requiresEBill,
+              requiresOnlineSignup: offer.requiresOnlineSignup || false,
+              acceptsSocialTariff: offer.acceptsSocialTariff || false,
+              hasPhoneSupport: offer.hasPhoneSupport !== false,
+              hasRestrictions: offer.hasRestrictions || false,
+              restrictionText: offer.restrictionText || '',
               campaignSummary: offer.campaignSummary,
               isCampaignActive: offer.isCampaignActive
             }
@@ -148,6 +260,60 @@ export function formatPhone(phone) {
   return phoneStr;
 }
 
+// Letras de controlo do CPE (mesmo algoritmo do CUPS espanhol)
+const CPE_CHECK_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * Validate a Portuguese CPE (Código de Ponto de Entrega)
+ * Format: PT + 16 digits + 2 check letters, optionally followed by a
+ * digit + letter suffix (e.g. "0F"). Check letters come from the 16 digits mod 529.
+ * @param {string} cpe - CPE (spaces allowed)
+ * @returns {boolean} True if format and check letters are valid
+ */
+export function isValidCPE(cpe) {
+  const match = String(cpe || '').replace(/\s/g, '').toUpperCase().match(/^PT(\d{16})([A-Z]{2})(?:\d[A-Z])?$/);
+  if (!match) return false;
+  
+  // 16 dígitos excedem Number.MAX_SAFE_INTEGER: resto calculado dígito a dígito
+  const remainder = [...match[1]].reduce((acc, digit) => (acc * 10 + Number(digit)) % 529, 0);
+  const expected = CPE_CHECK_LETTERS[Math.floor(remainder / 23)] + CPE_CHECK_LETTERS[remainder % 23];
+  
+  return match[2] === expected;
+}
+
+/**
+ * Validate a Portuguese NIF (mod-11 check digit)
+ * @param {string} nif - NIF (9 digits, spaces allowed)
+ * @returns {boolean} True if prefix and check digit are valid
+ */
+export function isValidNIF(nif) {
+  const clean = String(nif || '').replace(/\s/g, '');
+  if (!/^\d{9}$/.test(clean)) return false;
+  
+  // Pessoas singulares (1-3), colectivas (5, 6, 8, 9) e prefixos especiais (45, 7x)
+  if (!/^(?:[1235689]|45|7[0-9])/.test(clean)) return false;
+  
+  const sum = [...clean.slice(0, 8)].reduce((acc, digit, i) => acc + Number(digit) * (9 - i), 0);
+  const remainder = sum % 11;
+  const checkDigit = remainder < 2 ? 0 : 11 - remainder;
+  
+  return Number(clean[8]) === checkDigit;
+}
+
+/**
+ * Escape text for use inside innerHTML (CSV and invoice text are not trusted)
+ * @param {string} text - Raw text
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+export function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Convert all-caps names to title case (e.g., "ENIPLENITUDE" → "Eniplenitude")
  * @param {string} name - Name to convert
@@ -3,6 +3,9 @@
  * 
  * Reads Precos_ELEGN.csv and CondComerciais.csv, joins them,
  * normalizes data, and outputs offers.json for runtime use.
+ * Natural gas (GN) and dual-fuel (DUAL) offers go to gas-offers.json.
+ * Builds that change offers or prices also keep a dated price snapshot in data/history/
+ * (see diff-offers.js) and add that date to the price trend files in data/history/trends/.
  * 
  * Usage:
  *   node scripts/build-offers.js
@@ -10,12 +13,27 @@
 
 const fs = require('fs');
 const path = require('path');
+const { PRICE_FIELDS, getOfferKey, readSnapshotIndex, readSnapshot, toSnapshot, hasPriceChange, diffSnapshots, hasChanges } = require('./diff-offers');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const PRECOS_PATH = path.join(DATA_DIR, 'Precos_ELEGN.csv');
-const COND_PATH = path.join(DATA_DIR, 'CondComerciais.csv');
-const OUTPUT_PATH = path.join(DATA_DIR, 'offers.json');
-const META_PATH = path.join(DATA_DIR, 'meta.json');
+
+/**
+ * Input and output paths of a build in dataDir
+ * Returns: { precos, cond, output, gasOutput, meta, history }
+ */
+function getBuildPaths(dataDir) {
+  return {
+    precos: path.join(dataDir, 'Precos_ELEGN.csv'),
+    cond: path.join(dataDir, 'CondComerciais.csv'),
+    output: path.join(dataDir, 'offers.json'),
+    gasOutput: path.join(dataDir, 'gas-offers.json'),
+    meta: path.join(dataDir, 'meta.json'),
+    history: path.join(dataDir, 'history')
+  };
+}
+
+// Tarifa regulada (TUR) do comercializador de último recurso: base do desconto da tarifa social
+const REGULATED_OFFER = { COM: 'EDPSU', COD_Proposta: 'TUR' };
 
 /**
  * Parse CSV text into array of objects
@@ -254,8 +272,10 @@ function detectLockIn(condition) {
   
   const lockInKeywords = ['fideliza', 'permanência', 'permanencia', 'penaliza', 'obrigatória', 'obrigatoria'];
   const hasLockInKeyword = lockInKeywords.some(keyword => textFields.includes(keyword));
+  // "Não tem fidelização" / "sem fidelização" não é fidelização
+  const deniesLockIn = /\b(?:nao tem|sem)\s+(?:periodo de\s+)?fideliza/.test(normalizeTextForTokens(condition.TxTFidelização));
   
-  if (hasLockInKeyword) {
+  if (hasLockInKeyword && !deniesLockIn) {
     // Try to extract months
     let months = null;
     const monthMatch = textFields.match(/(\d+)\s*(?:meses?|mês|mês)/i);
@@ -282,6 +302,38 @@ function detectLockIn(condition) {
   };
 }
 
+/**
+ * Classify the early-exit penalty described in TxTFidelização
+ * Types (so the frontend can estimate the amount):
+ * - 'fixedTerm': monthly power charge × months remaining
+ * - 'services': add-on service fee × months remaining
+ * - 'benefits': discounts/benefits received are charged back
+ * - 'formula': supplier-specific formula (not modelled)
+ * - 'unspecified': lock-in without penalty terms
+ * Returns: { type: string, text: string }
+ */
+function extractLockInPenalty(condition) {
+  const text = normalizeString(condition.TxTFidelização || '');
+  const normalized = normalizeTextForTokens(text);
+  const remainingMonths = /(?:meses|dias) remanescentes|meses em falta/.test(normalized);
+  
+  let type = 'unspecified';
+  if (remainingMonths && normalized.includes('potencia contratada')) {
+    type = 'fixedTerm';
+  } else if (remainingMonths && normalized.includes('servicos adicionais')) {
+    type = 'services';
+  } else if (/descontos?|beneficios|bonificac/.test(normalized) && /perdera|cobrad|condicionad|devolu|denunciar/.test(normalized)) {
+    type = 'benefits';
+  } else if (normalized.includes('formula')) {
+    type = 'formula';
+  }
+  
+  return {
+    type,
+    text: text.substring(0, 200)
+  };
+}
+
 /**
  * Extract promotion from text fields
  * Uses prioritized column list based on discovery
@@ -405,6 +457,163 @@ function extractPromotion(condition, prioritizedColumns = null) {
   };
 }
 
+/**
+ * Extract structured new-customer discounts and refunds (ELE columns only)
+ * Percent columns are fractions in the CSV (0,02 = 2%), amounts per year include VAT
+ * Returns: { newCustomerDiscount: Object, refunds: Object }
+ */
+function extractDiscounts(condition) {
+  return {
+    newCustomerDiscount: {
+      annualEuro: normalizeNumber(condition['DescontNovoCliente_c/IVA (€/ano)']),
+      fixedTermPct: normalizeNumber(condition['Desc. TF_ELE (%) - Novo Cliente']),
+      energyTermPct: normalizeNumber(condition['Desc. TW_ELE (%) - Novo Cliente']),
+      energyEuroKwh: normalizeNumber(condition['Desc. W_ELE (€/kWh) - Novo Cliente'])
+    },
+    refunds: {
+      annualEuro: normalizeNumber(condition['ReembFixo (€/ano)']),
+      fixedTermPct: normalizeNumber(condition['ReembTF_ELE (%)']),
+      energyTermPct: normalizeNumber(condition['ReembTW_ELE (%)']),
+      energyEuroKwh: normalizeNumber(condition['ReembW_ELE (€/kWh)'])
+    }
+  };
+}
+
+/**
+ * Extract indexed-price parameters (FiltroPrecosIndex=S)
+ * ERSE publishes indexed offers priced at the 12-month OMIE futures average, stated
+ * in TxTERSE; the network loss factor is only given by some suppliers in TxTAtualizaPrecos
+ * Returns: { referencePrice: number|null (€/kWh), lossFactor: number|null (fraction) }
+ */
+function extractIndexation(condition) {
+  const erseText = normalizeString(condition.TxTERSE || '');
+  const updateText = normalizeString(condition.TxTAtualizaPrecos || '');
+  
+  // "...produtos futuros para os próximos 12 meses (0,06456 €/kWh..."
+  const referenceMatch = erseText.match(/futuros[^(]*\((\d+,\d+)\s*€\/kWh/i);
+  // "FP – Perfil de Perda (16%, ...)" / "Perdas ... (16,39%)"
+  const lossMatch = updateText.match(/perda[^%]{0,120}?(\d{1,2}(?:[.,]\d+)?)\s*%/i);
+  
+  return {
+    referencePrice: referenceMatch ? normalizeNumber(referenceMatch[1]) : null,
+    lossFactor: lossMatch ? Number((normalizeNumber(lossMatch[1]) / 100).toFixed(4)) : null
+  };
+}
+
+/**
+ * Decode a CondComerciais bit filter ('101') into the list of available channels
+ * Each position is one channel, in the order of the matching TxT column
+ * @param {string} value - Filter value (e.g. FiltroContratacao)
+ * @param {Array<string>} channels - Channel names by position
+ * @returns {Array<string>|null} Available channels, or null if the value is not a bit string
+ */
+function decodeChannelFilter(value, channels) {
+  const flags = normalizeString(value || '');
+  if (!/^[01]+$/.test(flags) || flags.length !== channels.length) return null;
+  return channels.filter((channel, index) => flags[index] === '1');
+}
+
+/**
+ * Extract eligibility requirements from the CondComerciais filters
+ * FiltroContratacao: eletrónica, presencial, telefónica (TxTContratação)
+ * Filtrofaturacao: eletrónica, papel (TxTFatura)
+ * FiltroPagamento: débito direto, multibanco, numerário (TxTPagamento)
+ * FiltroAtendimento: escrito, presencial, telefone, eletrónico (TxTAtendimento)
+ * Unknown values leave the requirement off (same as before these columns were read)
+ * Returns: { requiresDirectDebit, requiresEBill, requiresOnlineSignup, newCustomerOnly, acceptsSocialTariff, hasPhoneSupport, hasRestrictions, restrictionText }
+ */
+function extractEligibility(condition) {
+  const signup = decodeChannelFilter(condition.FiltroContratacao, ['online', 'inPerson', 'phone']);
+  const billing = decodeChannelFilter(condition.Filtrofaturacao, ['electronic', 'paper']);
+  const payment = decodeChannelFilter(condition.FiltroPagamento, ['directDebit', 'atm', 'cash']);
+  const support = decodeChannelFilter(condition.FiltroAtendimento, ['written', 'inPerson', 'phone', 'online']);
+  const onlyChannel = (channels, channel) => channels !== null && channels.length === 1 && channels[0] === channel;
+  
+  const hasRestrictions = normalizeString(condition['FiltroRestrições'] || '') === 'S';
+  
+  return {
+    requiresDirectDebit: onlyChannel(payment, 'directDebit'),
+    requiresEBill: onlyChannel(billing, 'electronic'),
+    requiresOnlineSignup: onlyChannel(signup, 'online'),
+    newCustomerOnly: normalizeString(condition.FiltroNovosClientes || '') === 'S',
+    acceptsSocialTariff: normalizeString(condition.FiltroTarifaSocial || '') === 'S',
+    hasPhoneSupport: support === null || support.includes('phone'),
+    hasRestrictions: hasRestrictions,
+    restrictionText: hasRestrictions ? normalizeString(condition.TxTRestricoesAdic || '').substring(0, 200) : ''
+  };
+}
+
+/**
+ * Parse a consumption band limit (empty = open-ended)
+ */
+function parseBandLimit(value) {
+  return normalizeString(value || '') === '' ? null : normalizeNumber(value);
+}
+
+/**
+ * Extract the annual consumption band an offer can be contracted for (ConsIni_ELE/ConsFim_ELE)
+ * Empty limits mean open-ended; offers without any limit return null
+ * Returns: { minKwh: number|null, maxKwh: number|null } (kWh/ano) or null
+ */
+function extractConsumptionBand(condition) {
+  const minKwh = parseBandLimit(condition.ConsIni_ELE);
+  const maxKwh = parseBandLimit(condition.ConsFim_ELE);
+  
+  if ((minKwh === null || minKwh === 0) && maxKwh === null) return null;
+  return { minKwh, maxKwh };
+}
+
+/**
+ * Extract the gas consumption band (ConsIni_GN/ConsFim_GN)
+ * Gas limits follow the low-pressure escalões, published in m³ ("BP< 10000")
+ * Returns: { minM3: number|null, maxM3: number|null } (m³/ano) or null
+ */
+function extractGasBand(condition) {
+  const minM3 = parseBandLimit(condition.ConsIni_GN);
+  const maxM3 = parseBandLimit(condition.ConsFim_GN);
+  
+  if ((minM3 === null || minM3 === 0) && maxM3 === null) return null;
+  return { minM3, maxM3 };
+}
+
+/**
+ * Extract surplus buy-back terms for self-consumption (UPAC) households
+ * Some suppliers buy the solar surplus injected into the grid; the terms are
+ * free text in the add-on services and offer descriptions
+ * Returns: { pricePerKwh: number|null (€/kWh), text: string } or null if not mentioned
+ */
+function extractSurplusBuyBack(condition) {
+  const text = ['TxTServicoAdic', 'TxToutrosServicoAdic', 'TxTOferta', 'DetalheOutrosDesc/benefi']
+    .map(column => normalizeString(condition[column] || ''))
+    .filter(Boolean)
+    .join(' ');
+  const normalized = normalizeTextForTokens(text);
+  
+  if (!/excedente|energia injetada|injecao na rede/.test(normalized)) return null;
+  
+  // "...excedente a 0,05 €/kWh" / "...energia injetada a 45 €/MWh"
+  const kwhMatch = text.match(/(?:excedente|injeta|injeç|injec)[^€]{0,80}?(\d+[.,]\d+)\s*€\/kWh/i);
+  const mwhMatch = text.match(/(?:excedente|injeta|injeç|injec)[^€]{0,80}?(\d+(?:[.,]\d+)?)\s*€\/MWh/i);
+  let pricePerKwh = null;
+  if (kwhMatch) {
+    pricePerKwh = normalizeNumber(kwhMatch[1]);
+  } else if (mwhMatch) {
+    pricePerKwh = Number((normalizeNumber(mwhMatch[1]) / 1000).toFixed(5));
+  }
+  
+  return {
+    pricePerKwh,
+    text: text.substring(0, 200)
+  };
+}
+
+/**
+ * Check if a discounts/refunds object has any non-zero value
+ */
+function hasAnyDiscount(discount) {
+  return !!discount && Object.values(discount).some(value => value > 0);
+}
+
 /**
  * Detect cycle type from tariff name
  * @param {string} tariffName - Tariff name from NomeProposta
@@ -441,6 +650,8 @@ function detectCycleType(tariffName) {
 function extractCampaignMetadata(condition, prioritizedColumns = null) {
   const lockIn = detectLockIn(condition);
   const promotion = extractPromotion(condition, prioritizedColumns);
+  const { newCustomerDiscount, refunds } = extractDiscounts(condition);
+  const isIndexed = normalizeString(condition.FiltroPrecosIndex || '') === 'S';
   
   const tariffName = normalizeString(condition.NomeProposta || condition.COD_Proposta);
   const cycleType = detectCycleType(tariffName);
@@ -454,14 +665,21 @@ function extractCampaignMetadata(condition, prioritizedColumns = null) {
     segmento: normalizeString(condition.Segmento || ''),
     validFrom: normalizeString(condition['Data ini'] || ''),
     validTo: normalizeString(condition['Data fim'] || ''),
-    isIndexed: normalizeString(condition.FiltroPrecosIndex || '') === 'S',
+    isIndexed: isIndexed,
+    indexation: isIndexed ? extractIndexation(condition) : null,
     hasLockIn: lockIn.hasLockIn,
     lockInMonths: lockIn.lockInMonths,
     lockInSource: lockIn.lockInSource,
+    lockInPenalty: lockIn.hasLockIn ? extractLockInPenalty(condition) : null,
+    consumptionBand: extractConsumptionBand(condition),
+    surplusBuyBack: extractSurplusBuyBack(condition),
     promotion: promotion,
-    newCustomerOnly: false, // Not directly in CSV, could be inferred from conditions
-    requiresDirectDebit: false, // Not directly in CSV
-    requiresEBill: false, // Not directly in CSV
+    newCustomerDiscount: newCustomerDiscount,
+    refunds: refunds,
+    requiresServices: normalizeString(condition.FiltroServicosAdic || '') === 'S',
+    serviceCostAnnual: normalizeNumber(condition['CustoServicos_c/IVA (€/ano)']), // €/ano com IVA
+    serviceDescription: normalizeString(condition.TxTServicoAdic || '').substring(0, 120),
+    ...extractEligibility(condition), // newCustomerOnly, requiresDirectDebit, requiresEBill, ...
     campaignSummary: ''
   };
   
@@ -522,23 +740,211 @@ function parseDate(dateStr) {
   throw new Error(`Invalid date format: ${dateStr}`);
 }
 
+/**
+ * Build natural gas and dual-fuel offers (one entry per offer)
+ * Precos_ELEGN.csv packs both fuels in the same rows: Pot_Cont/Contagem/TF/TV for
+ * electricity and Escalao/TFGN/TVGN for gas, so each row can feed either price list
+ * Returns: Array<{ COM, COD_Proposta, ...metadata, gasPrices: [{ Escalao, TFGN, TVGN }], electricityPrices: [{ Pot_Cont, Contagem, TF, ... }] }>
+ */
+function buildGasOffers(prices, conditionsMap, prioritizedColumns) {
+  const byOffer = new Map();
+  
+  prices.forEach(price => {
+    const key = `${price.COM}|${price.COD_Proposta}`;
+    const condition = conditionsMap.get(key);
+    if (!condition || (condition.Fornecimento !== 'GN' && condition.Fornecimento !== 'DUAL')) return;
+    
+    if (!byOffer.has(key)) {
+      byOffer.set(key, {
+        COM: normalizeString(price.COM),
+        COD_Proposta: normalizeString(price.COD_Proposta),
+        ...extractCampaignMetadata(condition, prioritizedColumns),
+        gasBand: extractGasBand(condition),
+        gasPrices: [],
+        electricityPrices: []
+      });
+    }
+    const offer = byOffer.get(key);
+    
+    const escalao = normalizeNumber(price.Escalao || 0);
+    const tfgn = normalizeNumber(price.TFGN || 0);
+    const tvgn = normalizeNumber(price.TVGN || 0);
+    if (escalao > 0 && tfgn > 0 && tvgn > 0 && !offer.gasPrices.some(p => p.Escalao === escalao)) {
+      offer.gasPrices.push({ Escalao: escalao, TFGN: tfgn, TVGN: tvgn });
+    }
+    
+    // Parte elétrica das ofertas DUAL (mesma estrutura das ofertas de offers.json)
+    const tf = normalizeNumber(price.TF || 0);
+    const tvField = normalizeNumber(price['TV|TVFV|TVP'] || 0);
+    const potCont = normalizeNumber(price.Pot_Cont || 0);
+    const contagem = normalizeNumber(price.Contagem || 1);
+    if (condition.Fornecimento === 'DUAL' && tf > 0 && tvField > 0 && potCont > 0 &&
+        !offer.electricityPrices.some(p => p.Pot_Cont === potCont && p.Contagem === contagem)) {
+      offer.electricityPrices.push({
+        Pot_Cont: potCont,
+        Contagem: contagem,
+        TF: tf,
+        'TV|TVFV|TVP': tvField,
+        'TVV|TVC': normalizeNumber(price['TVV|TVC'] || 0),
+        TVVz: normalizeNumber(price.TVVz || 0)
+      });
+    }
+  });
+  
+  return Array.from(byOffer.values()).filter(offer => offer.gasPrices.length > 0);
+}
+
+/**
+ * Regulated tariff prices (TUR) by power and tariff type, from the built offers
+ * The social tariff discount is a share of these prices (applySocialTariff in js/calculator.js)
+ * Returns: [{ power, tariffType, TF, 'TV|TVFV|TVP', 'TVV|TVC', TVVz }] (€/day and €/kWh, before VAT)
+ */
+function extractRegulatedPrices(offers) {
+  return offers
+    .filter(offer => offer.COM === REGULATED_OFFER.COM && offer.COD_Proposta === REGULATED_OFFER.COD_Proposta)
+    .map(offer => ({
+      power: offer.Pot_Cont,
+      tariffType: offer.Contagem,
+      ...Object.fromEntries(PRICE_FIELDS.map(field => [field, offer[field]]))
+    }))
+    .sort((a, b) => a.tariffType - b.tariffType || a.power - b.power);
+}
+
+/**
+ * Date of the ERSE data being built (YYYY-MM-DD)
+ * Uses meta.json updatedAt (written by download-erse.js), else today
+ */
+function getSnapshotDate(metaPath) {
+  if (fs.existsSync(metaPath)) {
+    try {
+      const updatedAt = JSON.parse(fs.readFileSync(metaPath, 'utf8')).updatedAt;
+      if (updatedAt) return updatedAt.slice(0, 10);
+    } catch (e) {
+      // meta.json inválido: usa a data de hoje
+    }
+  }
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Attach last month's prices to offers whose TF/TV changed since
+ * The reference is the most recent snapshot dated before the first day of
+ * snapshotDate's month, i.e. the prices in force at the end of the previous
+ * calendar month. Weekly builds in the same month keep the same comparison
+ * Returns: { previousDate, count } (previousDate null without an older snapshot)
+ */
+function attachPreviousPrices(offers, snapshotDate, historyDir) {
+  const monthStart = `${snapshotDate.slice(0, 7)}-01`;
+  const previousEntry = readSnapshotIndex(historyDir).snapshots.filter(snapshot => snapshot.date < monthStart).pop();
+  let previousByKey = new Map();
+  if (previousEntry) {
+    previousByKey = new Map(readSnapshot(previousEntry.date, historyDir).map(offer => [getOfferKey(offer), offer]));
+  }
+  
+  let count = 0;
+  offers.forEach(offer => {
+    const before = previousByKey.get(getOfferKey(offer));
+    offer.previousPrices = null;
+    if (!before || !hasPriceChange(before, offer)) return;
+    
+    offer.previousPrices = { date: previousEntry.date };
+    PRICE_FIELDS.forEach(field => {
+      offer.previousPrices[field] = before[field];
+    });
+    count++;
+  });
+  
+  return { previousDate: previousEntry ? previousEntry.date : null, count };
+}
+
+/**
+ * Write the dated price snapshot and update data/history/index.json
+ * Only when offers or prices changed since the latest snapshot, so unchanged
+ * ERSE updates add nothing. A rebuild on the same date replaces that date's snapshot
+ * Returns: true if a snapshot was written
+ */
+function archiveSnapshot(offers, snapshotDate, historyDir) {
+  const index = readSnapshotIndex(historyDir);
+  const latest = index.snapshots[index.snapshots.length - 1];
+  if (latest && !hasChanges(diffSnapshots(readSnapshot(latest.date, historyDir), offers))) {
+    console.log(`🗄️  No offer or price changes since ${latest.date}, nothing archived`);
+    return false;
+  }
+  
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir, { recursive: true });
+  }
+  
+  const file = `offers-${snapshotDate}.json`;
+  fs.writeFileSync(path.join(historyDir, file), JSON.stringify(toSnapshot(offers)));
+  
+  index.snapshots = index.snapshots
+    .filter(snapshot => snapshot.date !== snapshotDate)
+    .concat({ date: snapshotDate, file, offersCount: offers.length })
+    .sort((a, b) => a.date.localeCompare(b.date));
+  fs.writeFileSync(path.join(historyDir, 'index.json'), JSON.stringify(index, null, 2));
+  console.log(`🗄️  Archived ${file} (${index.snapshots.length} snapshots in ${historyDir})`);
+  return true;
+}
+
+/**
+ * Add the current prices to the per-slice trend files in data/history/trends/
+ * One file per power and tariff type (<Pot_Cont>-<Contagem>.json, { snapshots: [{ date, offers }] }),
+ * without lock-in offers, so the price trends panel only fetches the profile it shows.
+ * Offers are [COM, TF, TV|TVFV|TVP, TVV|TVC, TVVz], plus serviceCostAnnual with mandatory services.
+ * Called with each archived snapshot; a rebuild on the same date replaces that date
+ */
+function archiveTrendSlices(offers, snapshotDate, historyDir) {
+  const trendsDir = path.join(historyDir, 'trends');
+  if (!fs.existsSync(trendsDir)) {
+    fs.mkdirSync(trendsDir, { recursive: true });
+  }
+  
+  // Fatias sem ofertas nesta data também recebem a data, para o mais barato do mercado ficar a null
+  const slices = new Map(fs.readdirSync(trendsDir).filter(file => file.endsWith('.json')).map(file => [file, []]));
+  offers.filter(offer => !offer.hasLockIn).forEach(offer => {
+    const file = `${offer.Pot_Cont}-${offer.Contagem}.json`;
+    if (!slices.has(file)) slices.set(file, []);
+    
+    // [COM, ...PRICE_FIELDS, custo anual dos serviços obrigatórios (só se existirem)]
+    const row = [offer.COM, ...PRICE_FIELDS.map(field => offer[field] ?? null)];
+    if (offer.requiresServices) {
+      row.push(offer.serviceCostAnnual || 0);
+    }
+    slices.get(file).push(row);
+  });
+  
+  slices.forEach((rows, file) => {
+    const slicePath = path.join(trendsDir, file);
+    const slice = fs.existsSync(slicePath) ? JSON.parse(fs.readFileSync(slicePath, 'utf8')) : { snapshots: [] };
+    slice.snapshots = slice.snapshots
+      .filter(snapshot => snapshot.date !== snapshotDate)
+      .concat({ date: snapshotDate, offers: rows })
+      .sort((a, b) => a.date.localeCompare(b.date));
+    fs.writeFileSync(slicePath, JSON.stringify(slice));
+  });
+  console.log(`📈 Updated ${slices.size} price trend files in ${trendsDir}`);
+}
+
 /**
  * Main build function
+ * dataDir holds the CSVs and receives offers.json, gas-offers.json, meta.json and history/
  */
-function buildOffers() {
+function buildOffers(dataDir = DATA_DIR) {
   console.log('🔨 Building offers.json...');
+  const paths = getBuildPaths(dataDir);
   
   // Read CSVs
-  if (!fs.existsSync(PRECOS_PATH)) {
-    throw new Error(`Missing ${PRECOS_PATH}`);
+  if (!fs.existsSync(paths.precos)) {
+    throw new Error(`Missing ${paths.precos}`);
   }
-  if (!fs.existsSync(COND_PATH)) {
-    throw new Error(`Missing ${COND_PATH}`);
+  if (!fs.existsSync(paths.cond)) {
+    throw new Error(`Missing ${paths.cond}`);
   }
   
   console.log('📖 Reading CSVs...');
-  const precosText = fs.readFileSync(PRECOS_PATH, 'utf8');
-  const condText = fs.readFileSync(COND_PATH, 'utf8');
+  const precosText = fs.readFileSync(paths.precos, 'utf8');
+  const condText = fs.readFileSync(paths.cond, 'utf8');
   
   const prices = parseCSV(precosText);
   const conditions = parseCSV(condText);
@@ -591,8 +997,10 @@ function buildOffers() {
       continue;
     }
     
-    // Create unique key for deduplication
-    const uniqueKey = `${price.COM}|${price.COD_Proposta}|${potCont}|${contagem}`;
+    // Create unique key for deduplication (same key as the history snapshots, see diff-offers.js)
+    // Escalao fica de fora: é o escalão de gás (só em linhas GN/DUAL, ver buildGasOffers); o escalão de
+    // consumo de eletricidade vem das CondComerciais (consumptionBand), igual em todas as linhas da oferta
+    const uniqueKey = getOfferKey({ COM: price.COM, COD_Proposta: price.COD_Proposta, Pot_Cont: potCont, Contagem: contagem });
     if (seen.has(uniqueKey)) {
       continue;
     }
@@ -609,10 +1017,24 @@ function buildOffers() {
       validFrom: '',
       validTo: '',
       isIndexed: false,
+      indexation: null,
       hasLockIn: false,
+      lockInPenalty: null,
+      consumptionBand: null,
+      surplusBuyBack: null,
+      newCustomerDiscount: null,
+      refunds: null,
+      requiresServices: false,
+      serviceCostAnnual: 0,
+      serviceDescription: '',
       newCustomerOnly: false,
       requiresDirectDebit: false,
       requiresEBill: false,
+      requiresOnlineSignup: false,
+      acceptsSocialTariff: false,
+      hasPhoneSupport: true,
+      hasRestrictions: false,
+      restrictionText: '',
       campaignSummary: '',
       isOfferActive: null,
       isCampaignActive: null, // Backwards compatibility
@@ -646,6 +1068,22 @@ function buildOffers() {
   const lockInCount = offers.filter(o => o.hasLockIn === true).length;
   const promotionMetadataCount = offers.filter(o => o.promotion !== null).length;
   const activeOffersCount = offers.filter(o => o.isOfferActive === true).length;
+  const newCustomerDiscountCount = offers.filter(o => hasAnyDiscount(o.newCustomerDiscount)).length;
+  const refundsCount = offers.filter(o => hasAnyDiscount(o.refunds)).length;
+  const mandatoryServicesCount = offers.filter(o => o.requiresServices && o.serviceCostAnnual > 0).length;
+  const indexedCount = offers.filter(o => o.isIndexed === true).length;
+  const indexedWithLossFactorCount = offers.filter(o => o.indexation?.lossFactor !== null && o.indexation?.lossFactor !== undefined).length;
+  const consumptionBandCount = offers.filter(o => o.consumptionBand !== null).length;
+  const surplusBuyBackCount = offers.filter(o => o.surplusBuyBack !== null).length;
+  const eligibilityCounts = {
+    requiresDirectDebit: offers.filter(o => o.requiresDirectDebit).length,
+    requiresEBill: offers.filter(o => o.requiresEBill).length,
+    requiresOnlineSignup: offers.filter(o => o.requiresOnlineSignup).length,
+    newCustomerOnly: offers.filter(o => o.newCustomerOnly).length,
+    acceptsSocialTariff: offers.filter(o => o.acceptsSocialTariff).length,
+    withoutPhoneSupport: offers.filter(o => !o.hasPhoneSupport).length,
+    hasRestrictions: offers.filter(o => o.hasRestrictions).length
+  };
   
   // Lock-in totals by source (across ALL offers, not just samples)
   const lockInBySourceTotals = { field: 0, text: 0 };
@@ -712,13 +1150,20 @@ function buildOffers() {
   });
   
   console.log(`✅ Built ${offers.length} offers`);
-  console.log(`   - Lock-in offers (excluded): ${lockInCount}`);
+  console.log(`   - Lock-in offers (excluded unless the user opts in): ${lockInCount}`);
   console.log(`   - Lock-in by source: field=${lockInBySourceTotals.field}, text=${lockInBySourceTotals.text}`);
   console.log(`   - Active offers: ${activeOffersCount}`);
   console.log(`   - Offers with promotion metadata: ${promotionMetadataCount} (not applied to calculations)`);
   console.log(`   - Promotions with known active status: ${promotionsWithKnownActiveStatus}`);
   console.log(`   - Promotions active: ${promotionsActiveCount}`);
   console.log(`   - Promotions applied: ${promotionAppliedCount} (promotions not used in ranking)`);
+  console.log(`   - Offers with new-customer discounts: ${newCustomerDiscountCount}`);
+  console.log(`   - Offers with refunds: ${refundsCount}`);
+  console.log(`   - Offers with mandatory paid services: ${mandatoryServicesCount} (included in cost)`);
+  console.log(`   - Indexed offers: ${indexedCount} (${indexedWithLossFactorCount} with stated loss factor)`);
+  console.log(`   - Offers limited to a consumption band: ${consumptionBandCount}`);
+  console.log(`   - Offers buying solar surplus: ${surplusBuyBackCount}`);
+  console.log(`   - Eligibility: direct debit only=${eligibilityCounts.requiresDirectDebit}, e-invoice only=${eligibilityCounts.requiresEBill}, online signup only=${eligibilityCounts.requiresOnlineSignup}, new customers only=${eligibilityCounts.newCustomerOnly}, social tariff=${eligibilityCounts.acceptsSocialTariff}`);
   
   // Print discovery summary
   if (discovery.promotionFieldHits.length > 0) {
@@ -735,15 +1180,42 @@ function buildOffers() {
     console.log(`   This may indicate pattern matching needs refinement.`);
   }
   
+  // Tarifa regulada para a tarifa social (lida no browser a partir do meta.json)
+  const regulatedPrices = extractRegulatedPrices(offers);
+  if (regulatedPrices.length === 0) {
+    console.log(`\n⚠️  WARNING: No regulated tariff rows (${REGULATED_OFFER.COM}/${REGULATED_OFFER.COD_Proposta}) found, the social tariff cannot be applied.`);
+  } else {
+    console.log(`   - Regulated tariff prices: ${regulatedPrices.length} power/tariff type rows`);
+  }
+  
+  // Preços do fim do mês anterior (para "preço subiu/desceu desde {mês}") antes de arquivar o snapshot atual
+  const snapshotDate = getSnapshotDate(paths.meta);
+  const priceChanges = attachPreviousPrices(offers, snapshotDate, paths.history);
+  if (priceChanges.previousDate) {
+    console.log(`   - Price changes since ${priceChanges.previousDate}: ${priceChanges.count} offers`);
+  }
+  
   // Write offers.json
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(offers, null, 2));
-  console.log(`💾 Wrote ${OUTPUT_PATH}`);
+  fs.writeFileSync(paths.output, JSON.stringify(offers, null, 2));
+  console.log(`💾 Wrote ${paths.output}`);
+  
+  const snapshotArchived = archiveSnapshot(offers, snapshotDate, paths.history);
+  if (snapshotArchived) {
+    archiveTrendSlices(offers, snapshotDate, paths.history);
+  }
+  
+  // Gás natural e ofertas duais (eletricidade + gás)
+  const gasOffers = buildGasOffers(prices, conditionsMap, prioritizedColumns);
+  const gasOnlyCount = gasOffers.filter(o => o.fornecimento === 'GN').length;
+  const dualCount = gasOffers.filter(o => o.fornecimento === 'DUAL').length;
+  fs.writeFileSync(paths.gasOutput, JSON.stringify(gasOffers, null, 2));
+  console.log(`💾 Wrote ${paths.gasOutput} (${gasOnlyCount} gas, ${dualCount} dual-fuel offers)`);
   
   // Update meta.json with build info
   let meta = {};
-  if (fs.existsSync(META_PATH)) {
+  if (fs.existsSync(paths.meta)) {
     try {
-      meta = JSON.parse(fs.readFileSync(META_PATH, 'utf8'));
+      meta = JSON.parse(fs.readFileSync(paths.meta, 'utf8'));
     } catch (e) {
       // If meta.json is invalid, start fresh
       meta = {};
@@ -762,7 +1234,7 @@ function buildOffers() {
       conditions: conditions.length
     },
     filtersApplied: {
-      fornecimento: 'ELE only (excluded GN and DUAL)',
+      fornecimento: 'ELE only (GN and DUAL in gas-offers.json)',
       lockInExcluded: false // Note: lock-in filtering happens at runtime
     },
     statistics: {
@@ -772,11 +1244,28 @@ function buildOffers() {
       promotionsWithMetadataCount: promotionMetadataCount,
       promotionsWithKnownActiveStatusCount: promotionsWithKnownActiveStatus,
       promotionsActiveCount: promotionsActiveCount,
-      promotionsAppliedCount: promotionAppliedCount
+      promotionsAppliedCount: promotionAppliedCount,
+      newCustomerDiscountCount: newCustomerDiscountCount,
+      refundsCount: refundsCount,
+      mandatoryServicesCount: mandatoryServicesCount,
+      indexedCount: indexedCount,
+      indexedWithLossFactorCount: indexedWithLossFactorCount,
+      eligibilityCounts: eligibilityCounts,
+      consumptionBandCount: consumptionBandCount,
+      surplusBuyBackCount: surplusBuyBackCount,
+      gasOffersCount: gasOnlyCount,
+      dualOffersCount: dualCount,
+      snapshotDate: snapshotDate,
+      snapshotArchived: snapshotArchived,
+      previousSnapshotDate: priceChanges.previousDate,
+      priceChangeCount: priceChanges.count
     },
-    scriptVersion: '2.1.0' // Version tracking for build script
+    scriptVersion: '2.4.0' // Version tracking for build script
   };
   
+  // Tarifas reguladas (TUR), referência do desconto da tarifa social
+  meta.regulatedPrices = regulatedPrices;
+  
   // Store discovery results
   meta.discovery = {
     promotionFieldHits: discovery.promotionFieldHits,
@@ -786,8 +1275,8 @@ function buildOffers() {
     promotionParsedSamples: promotionParsedSamples
   };
   
-  fs.writeFileSync(META_PATH, JSON.stringify(meta, null, 2));
-  console.log(`📝 Updated ${META_PATH}`);
+  fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2));
+  console.log(`📝 Updated ${paths.meta}`);
   
   return offers;
 }
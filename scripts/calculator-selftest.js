@@ -0,0 +1,510 @@
+/**
+ * Calculator Self-test
+ *
+ * Runs the ranking and cost functions (js/calculator.js) against small
+ * hand-made offers, so each expectation can be checked on paper:
+ * - Tariff types: best simples / bi / tri-horária and the valley break-even
+ * - Power levels: cheapest plausible power step
+ * - Seasonal profile: 12-month consumption and the cost of each calendar month
+ * - Indexed offers: monthly cost under each OMIE market scenario
+ * - Lock-in ranking: expected exit penalty in the sort key
+ * - Social tariff: same €/day and €/kWh deduction for every offer,
+ *   33.8% of ERSE's regulated tariff (TUR)
+ * - Electric car: charging window, best tariff type and power after the car
+ * - Electric heating: seasonal load, best power and tariff type after the system,
+ *   and the power an extra load needs
+ * - Household estimate: annual kWh, valley share and power from home and appliances
+ * - Estimate range: kWh the same bill buys at cheap and dear prices, and the
+ *   best offer at each end
+ * - Price trends: cheapest offer per supplier over hand-made snapshots
+ *
+ * Usage:
+ *   node scripts/calculator-selftest.js
+ */
+
+const path = require('path');
+
+const CALCULATOR_PATH = path.join(__dirname, '..', 'js', 'calculator.js');
+const EV_CALCULATOR_PATH = path.join(__dirname, '..', 'js', 'ev-calculator.js');
+const HEATING_CALCULATOR_PATH = path.join(__dirname, '..', 'js', 'heating-calculator.js');
+const HOUSEHOLD_ESTIMATOR_PATH = path.join(__dirname, '..', 'js', 'household-estimator.js');
+const PRICE_TRENDS_PATH = path.join(__dirname, '..', 'js', 'price-trends.js');
+
+/**
+ * Build a simple-tariff offer (6,9 kVA) with the given prices
+ */
+function makeOffer(COM, TF, TV, extra = {}) {
+  return { COM, COD_Proposta: `${COM}-1`, tariffName: COM, Pot_Cont: 6.9, Contagem: 1, TF, 'TV|TVFV|TVP': TV, ...extra };
+}
+
+/**
+ * Run calculator self-tests
+ */
+async function runCalculatorSelftest() {
+  console.log('🧪 Running calculator self-tests...\n');
+  
+  // ES modules (js/) are loaded dynamically from CommonJS
+  const { compareTariffTypes, comparePowerLevels, buildMonthlyConsumption, calculateMonthlyCosts, rankOffersForTariff, estimateExpectedExitPenalty, applySocialTariff, getSocialTariffDeductions, estimateRequiredPower, estimateConsumptionRange, compareEstimateRange, calculateMonthlyCost } = await import(CALCULATOR_PATH);
+  const { compareEVScenario } = await import(EV_CALCULATOR_PATH);
+  const { estimateHeatingLoad, compareHeatingScenario } = await import(HEATING_CALCULATOR_PATH);
+  const { estimateHouseholdConsumption } = await import(HOUSEHOLD_ESTIMATOR_PATH);
+  const { buildPriceTrends } = await import(PRICE_TRENDS_PATH);
+  
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function assertEqual(field, actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  
+  // Test 1: Tariff types
+  // 6,9 kVA, mesmo termo fixo: só o preço médio da energia conta
+  // Simples 0,16; bi 0,20 fora de vazio / 0,10 vazio; tri 0,25 ponta / 0,18 cheias / 0,11 vazio (€/kWh)
+  const tariffOffers = [
+    makeOffer('SIMPLES', 0.30, 0.16),
+    makeOffer('BI', 0.30, 0.20, { Contagem: 2, 'TVV|TVC': 0.10 }),
+    makeOffer('TRI', 0.30, 0.25, { Contagem: 3, 'TVV|TVC': 0.18, TVVz: 0.11 })
+  ];
+  // Diferença de preço médio (€/kWh) → diferença anual a 250 kWh/mês, com IVA
+  const annualGap = priceGap => (priceGap * 250 * 12 * 1.23).toFixed(2);
+  
+  test('Simples wins with the default valley share', () => {
+    // Bi: 0,35 × 0,10 + 0,65 × 0,20 = 0,165; tri: 0,30 × 0,11 + 0,50 × 0,18 + 0,20 × 0,25 = 0,173
+    const comparison = compareTariffTypes(tariffOffers, 250, 6.9, 2);
+    assertEqual('options', comparison.options.map(option => option.best.COM), ['SIMPLES', 'BI', 'TRI']);
+    assertEqual('bestTariffType', comparison.bestTariffType, 1);
+    assertEqual('annualSavings', comparison.annualSavings.toFixed(2), annualGap(0.005));
+    assertEqual('recommendChange', comparison.recommendChange, true);
+    assertEqual('valleyShare', comparison.valleyShare, 0.35);
+  });
+  
+  test('Bi-horária wins with half the consumption in the valley', () => {
+    // Bi: 0,5 × 0,10 + 0,5 × 0,20 = 0,15; tri mantém a proporção cheias/ponta por omissão (5:2)
+    const comparison = compareTariffTypes(tariffOffers, 250, 6.9, 1, { vazio: 0.5 });
+    assertEqual('bestTariffType', comparison.bestTariffType, 2);
+    assertEqual('annualSavings', comparison.annualSavings.toFixed(2), annualGap(0.01));
+    assertEqual('recommendChange', comparison.recommendChange, true);
+    assertEqual('tri distribution', comparison.options[2].distribution.cheias.toFixed(4), (0.5 * 5 / 7).toFixed(4));
+  });
+  
+  test('Savings below the minimum do not recommend a change', () => {
+    // Bi: 0,3 × 0,065 + 0,7 × 0,20 = 0,1595 contra simples 0,16: €1,85/ano
+    const close = [tariffOffers[0], makeOffer('BI', 0.30, 0.20, { Contagem: 2, 'TVV|TVC': 0.065 })];
+    const comparison = compareTariffTypes(close, 250, 6.9, 1, { vazio: 0.3 });
+    assertEqual('bestTariffType', comparison.bestTariffType, 2);
+    assertEqual('annualSavings', comparison.annualSavings.toFixed(2), annualGap(0.0005));
+    assertEqual('recommendChange', comparison.recommendChange, false);
+    assertEqual('current missing', compareTariffTypes([tariffOffers[0]], 250, 6.9, 2).recommendChange, false);
+    assertEqual('no offers', compareTariffTypes(tariffOffers, 250, 3.45, 1), null);
+  });
+  
+  test('Valley break-even is where bi-horária matches the best simples', () => {
+    // 0,20 − 0,10 × v = 0,16 → v = 0,4
+    assertEqual('break-even', compareTariffTypes(tariffOffers, 250, 6.9, 1).breakEvenValleyShare.toFixed(4), '0.4000');
+    // Mais barata que a simples mesmo sem vazio
+    const cheapBi = [tariffOffers[0], makeOffer('BI', 0.30, 0.155, { Contagem: 2, 'TVV|TVC': 0.10 })];
+    assertEqual('always cheaper', compareTariffTypes(cheapBi, 250, 6.9, 1).breakEvenValleyShare, 0);
+    // Vazio mais caro que a simples: nunca compensa
+    const dearBi = [tariffOffers[0], makeOffer('BI', 0.30, 0.20, { Contagem: 2, 'TVV|TVC': 0.17 })];
+    assertEqual('never', compareTariffTypes(dearBi, 250, 6.9, 1).breakEvenValleyShare, null);
+    assertEqual('without simples', compareTariffTypes(tariffOffers.slice(1), 250, 6.9, 2).breakEvenValleyShare, null);
+  });
+  
+  // Test 2: Power levels
+  // Mesma energia em todos os escalões; o termo fixo sobe com a potência
+  const powerOffers = [
+    makeOffer('P345', 0.18, 0.15, { Pot_Cont: 3.45 }),
+    makeOffer('P46', 0.23, 0.15, { Pot_Cont: 4.6 }),
+    makeOffer('P575', 0.28, 0.15, { Pot_Cont: 5.75 }),
+    makeOffer('P69', 0.34, 0.15),
+    makeOffer('P1035', 0.50, 0.15, { Pot_Cont: 10.35 })
+  ];
+  
+  test('Power comparison suggests the cheapest step that covers the peak', () => {
+    // Pico estimado: 250 kWh / (30 × 24 h) × 8 = 2,78 kW; escalões 4,6 a 13,8 kVA (dois abaixo, dois acima)
+    const comparison = comparePowerLevels(powerOffers, 250, 6.9, 1);
+    assertEqual('steps', comparison.options.map(option => option.power), [4.6, 5.75, 6.9, 10.35]);
+    assertEqual('estimatedPeakKw', comparison.estimatedPeakKw.toFixed(2), '2.78');
+    assertEqual('suggestedPower', comparison.suggestedPower, 4.6);
+    // (0,34 − 0,23) €/dia × 30 × 12 × 1,23
+    assertEqual('annualSavings', comparison.annualSavings.toFixed(2), (0.11 * 30 * 12 * 1.23).toFixed(2));
+    assertEqual('10,35 difference', comparison.options[3].annualDifference.toFixed(2), (0.16 * 30 * 12 * 1.23).toFixed(2));
+  });
+  
+  test('Power comparison keeps the current step when lower ones cannot cover the peak', () => {
+    // 800 kWh: pico de 8,89 kW, acima de 6,9 kVA; 10,35 cobre mas é mais cara
+    const comparison = comparePowerLevels(powerOffers, 800, '6,9', 1);
+    assertEqual('plausible', comparison.options.map(option => option.isPlausible), [false, false, false, true]);
+    assertEqual('suggestedPower', comparison.suggestedPower, 6.9);
+    assertEqual('annualSavings', comparison.annualSavings, 0);
+  });
+  
+  test('Power comparison uses the closest step and needs offers at the current one', () => {
+    assertEqual('closest step', comparePowerLevels(powerOffers, 250, 7, 1).currentPower, 6.9);
+    assertEqual('no current offers', comparePowerLevels(powerOffers, 250, 13.8, 1), null);
+  });
+  
+  // Test 3: Seasonal profile
+  // Perfil por omissão: janeiro pesa 1,18 e julho 0,93 (soma dos pesos 11,90)
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  
+  test('Annual or typical monthly consumption follows the profile shape', () => {
+    const fromAnnual = buildMonthlyConsumption({ annualKwh: 3000 });
+    assertEqual('annual total', sum(fromAnnual).toFixed(6), '3000.000000');
+    assertEqual('january', fromAnnual[0].toFixed(4), (3000 * 1.18 / 11.9).toFixed(4));
+    const fromMonthly = buildMonthlyConsumption({ monthlyKwh: 250 }, 'heating');
+    assertEqual('monthly average', (sum(fromMonthly) / 12).toFixed(6), '250.000000');
+    assertEqual('unknown profile', buildMonthlyConsumption({ annualKwh: 3000 }, 'unknown'), fromAnnual);
+  });
+  
+  test('Known months keep their value and the others follow the profile', () => {
+    const monthly = buildMonthlyConsumption({ months: [{ month: 0, kwh: 354 }, { month: 13, kwh: 100 }] });
+    assertEqual('january', monthly[0], 354);
+    // 354 kWh em janeiro → 354 × 0,93 / 1,18 = 279 kWh em julho
+    assertEqual('july', monthly[6].toFixed(4), '279.0000');
+    assertEqual('empty', buildMonthlyConsumption({ months: [] }), null);
+  });
+  
+  test('Monthly costs use the real days of each month', () => {
+    // 100 kWh todos os meses: (0,30 × dias + 100 × 0,15 + 100 × 0,001 + 2,85) × 1,23
+    const offer = makeOffer('MONTHS', 0.30, 0.15);
+    const monthCost = days => (0.30 * days + 100 * 0.151 + 2.85) * 1.23;
+    const costs = calculateMonthlyCosts(offer, new Array(12).fill(100), 6.9);
+    assertEqual('january', costs[0].toFixed(4), monthCost(31).toFixed(4));
+    assertEqual('february', costs[1].toFixed(4), monthCost(28).toFixed(4));
+    assertEqual('year', sum(costs).toFixed(2), ((0.30 * 365 + 1200 * 0.151 + 12 * 2.85) * 1.23).toFixed(2));
+  });
+  
+  // Test 4: Indexed offers
+  test('Indexed offers use the market scenario of each month', () => {
+    // +0,02 €/kWh em janeiro no cenário máximo: +100 × 0,02 × 1,23 = +€2,46
+    const shifts = new Array(12).fill(0);
+    const indexed = makeOffer('INDEX', 0.30, 0.15, { marketScenarios: { expected: shifts, min: shifts, max: [0.02, ...shifts.slice(1)] } });
+    const monthly = new Array(12).fill(100);
+    const expected = calculateMonthlyCosts(indexed, monthly, 6.9);
+    const max = calculateMonthlyCosts(indexed, monthly, 6.9, null, 'max');
+    assertEqual('january', (max[0] - expected[0]).toFixed(2), '2.46');
+    assertEqual('february', max[1] - expected[1], 0);
+  });
+  
+  // Test 5: Lock-in ranking
+  // 12 meses, penalização = termo de potência dos meses em falta: 0,30 €/dia × 30 × 1,23 × 6 = €66,42
+  const lockedIn = makeOffer('LOCK', 0.30, 0.1500, { hasLockIn: true, lockInMonths: 12, lockInPenalty: { type: 'fixedTerm' } });
+  
+  test('Expected exit penalty is the fixed term of half the commitment', () => {
+    assertEqual('penalty', estimateExpectedExitPenalty(lockedIn, 12).toFixed(2), '66.42');
+  });
+  
+  test('Cheaper lock-in offer loses to a slightly dearer one without lock-in', () => {
+    // +0,002 €/kWh × 250 kWh × 12 × 1,23 = €7,38/ano a mais, bem abaixo da penalização esperada
+    const free = makeOffer('FREE', 0.30, 0.1520);
+    const withoutLockIn = rankOffersForTariff([lockedIn, free], 250, 6.9, 1);
+    assertEqual('without lock-in', withoutLockIn.map(o => o.COM), ['FREE']);
+    
+    const ranked = rankOffersForTariff([lockedIn, free], 250, 6.9, 1, null, null, null, true);
+    assertEqual('order', ranked.map(o => o.COM), ['FREE', 'LOCK']);
+    assertEqual('annual cost', ranked[1].annualCostEffective < ranked[0].annualCostEffective, true);
+    assertEqual('gapAnnual', ranked[1].gapAnnual.toFixed(2), (66.42 - 7.38).toFixed(2));
+  });
+  
+  test('Lock-in offer wins when it saves more than the expected penalty', () => {
+    // −0,03 €/kWh × 250 kWh × 12 × 1,23 = €110,70/ano a menos
+    const dear = makeOffer('DEAR', 0.30, 0.1800);
+    const ranked = rankOffersForTariff([lockedIn, dear], 250, 6.9, 1, null, null, null, true);
+    assertEqual('order', ranked.map(o => o.COM), ['LOCK', 'DEAR']);
+    assertEqual('exitPenalty', ranked[0].exitPenalty.toFixed(2), '132.84');
+  });
+  
+  test('Unmodelled penalty terms are not treated as free', () => {
+    const unspecified = { ...lockedIn, lockInPenalty: { type: 'unspecified' } };
+    assertEqual('penalty', estimateExpectedExitPenalty(unspecified, 12).toFixed(2), '66.42');
+  });
+  
+  // Test 6: Social tariff
+  // TUR da ERSE a 6,9 kVA, simples: 0,3396 €/dia e 0,1658 €/kWh → dedução de 0,1148 €/dia e 0,0560 €/kWh
+  // (no browser vem do meta.json regulatedPrices, escrito pelo build)
+  const regulatedPrices = { TF: 0.3396, 'TV|TVFV|TVP': 0.1658, 'TVV|TVC': 0, TVVz: 0 };
+  
+  test('Social tariff deduction is 33.8% of the regulated tariff', () => {
+    const deductions = getSocialTariffDeductions(6.9, regulatedPrices);
+    assertEqual('TF', deductions.TF.toFixed(4), '0.1148');
+    assertEqual('TV', deductions['TV|TVFV|TVP'].toFixed(4), '0.0560');
+    assertEqual('above 6,9 kVA', getSocialTariffDeductions(10.35, { ...regulatedPrices, TF: 0.5004 }), null);
+    assertEqual('without regulated prices', getSocialTariffDeductions(6.9, undefined), null);
+  });
+  
+  test('Social tariff takes the same amount off every offer', () => {
+    const [regulated, retail, refused, highPower, csvFallback] = applySocialTariff([
+      makeOffer('EDPSU', 0.3396, 0.1658, { regulatedPrices }),
+      makeOffer('DEAR', 0.4000, 0.2000, { regulatedPrices }),
+      makeOffer('NOSOCIAL', 0.4000, 0.2000, { regulatedPrices, acceptsSocialTariff: false }),
+      makeOffer('BIG', 0.5004, 0.1658, { Pot_Cont: 10.35, regulatedPrices: { ...regulatedPrices, TF: 0.5004 } }),
+      makeOffer('CSV', 0.4000, 0.2000)
+    ]);
+    // Na tarifa regulada o desconto é exatamente 33,8%
+    assertEqual('regulated TF', regulated.TF.toFixed(4), (0.3396 * 0.662).toFixed(4));
+    assertEqual('regulated TV', regulated['TV|TVFV|TVP'].toFixed(4), (0.1658 * 0.662).toFixed(4));
+    // Numa oferta mais cara, a mesma dedução (menos de 33,8% do preço dela)
+    assertEqual('retail TF', retail.TF.toFixed(4), (0.4000 - 0.3396 * 0.338).toFixed(4));
+    assertEqual('retail TV', retail['TV|TVFV|TVP'].toFixed(4), (0.2000 - 0.1658 * 0.338).toFixed(4));
+    assertEqual('unused periods', retail['TVV|TVC'], undefined);
+    assertEqual('applied', [regulated, retail, refused, highPower, csvFallback].map(o => o.socialTariffApplied === true), [true, true, false, false, false]);
+  });
+  
+  // Test 7: Electric car
+  // 250 kWh/mês em casa + 1000 km × 15 kWh/100 km = 150 kWh/mês de carregamento (tarifas do Test 1)
+  const car = { monthlyKm: 1000, efficiency: 15 };
+  
+  test('Night charging makes bi-horária the cheapest', () => {
+    // Vazio: (3000 × 0,35 + 1800) / 4800 = 0,59375 → bi a 0,140625 €/kWh contra simples a 0,16
+    const scenario = compareEVScenario(tariffOffers, 250, 6.9, 1, null, null, { ...car, window: 'night' });
+    assertEqual('evMonthlyKwh', scenario.evMonthlyKwh, 150);
+    assertEqual('before', scenario.before.tariffType, 1);
+    assertEqual('after', scenario.after.tariffType, 2);
+    assertEqual('recommendTariffChange', scenario.recommendTariffChange, true);
+    // O termo fixo é igual antes e depois: só energia e IEC mudam
+    assertEqual('annualCostIncrease', scenario.annualCostIncrease.toFixed(2), ((400 * 0.140625 - 250 * 0.16 + 150 * 0.001) * 12 * 1.23).toFixed(2));
+    // Pico da casa em fevereiro (2,98 kW), metade à noite, mais o carregador de 3,7 kW
+    assertEqual('peakKw', scenario.peakKw.toFixed(2), '5.19');
+    assertEqual('raisePower', scenario.raisePower, false);
+  });
+  
+  test('Daytime charging keeps simples', () => {
+    // Fora de vazio: (3000 × 0,65 + 1800) / 4800 = 0,78125 → bi a 0,178125 €/kWh
+    const scenario = compareEVScenario(tariffOffers, 250, 6.9, 1, null, null, { ...car, window: 'day' });
+    assertEqual('after', scenario.after.tariffType, 1);
+    assertEqual('recommendTariffChange', scenario.recommendTariffChange, false);
+    assertEqual('peakKw', scenario.peakKw.toFixed(2), '6.68');
+  });
+  
+  test('Charger above the contracted power ranks offers at the required power', () => {
+    // 600 kWh/mês: pico de 7,14 kW em fevereiro → 3,7 + 3,57 = 7,27 kW à noite, acima de 6,9 kVA
+    const offers = [makeOffer('P69', 0.34, 0.16), makeOffer('P1035', 0.50, 0.16, { Pot_Cont: 10.35 })];
+    const scenario = compareEVScenario(offers, 600, 6.9, 1, null, null, { ...car, window: 'night' });
+    assertEqual('requiredPower', scenario.requiredPower, 10.35);
+    assertEqual('raisePower', scenario.raisePower, true);
+    assertEqual('before', scenario.before.before.COM, 'P69');
+    assertEqual('after', scenario.after.after.COM, 'P1035');
+    assertEqual('no offers', compareEVScenario(offers, 250, 3.45, 1, null, null, car), null);
+  });
+  
+  // Test 8: Electric heating
+  // Bomba de calor de 7 kW térmicos (COP 3,5 → 2 kW elétricos), 8 h/dia no mês mais frio:
+  // 2 × 8 × 30 = 480 kWh em janeiro; soma do perfil 4,55 → 2184 kWh/ano
+  const heatPump = { system: 'heatPump', sizeKw: 7, hoursPerDay: 8 };
+  
+  test('Heating load follows the system profile', () => {
+    const load = estimateHeatingLoad(heatPump);
+    assertEqual('loadKw', load.loadKw, 2);
+    assertEqual('january', load.monthlyKwh[0], 480);
+    assertEqual('july', load.monthlyKwh[6], 0);
+    assertEqual('annual', sum(load.monthlyKwh).toFixed(2), '2184.00');
+  });
+  
+  test('Heating at any time adds its kWh at the simples price', () => {
+    // Pico: 2,98 kW da casa + 2 kW = 4,98 kW, coberto pelos 6,9 kVA actuais
+    const scenario = compareHeatingScenario(tariffOffers, 250, 6.9, 1, null, null, { ...heatPump, window: 'any' });
+    assertEqual('best', [scenario.best.power, scenario.best.tariffType], [6.9, 1]);
+    assertEqual('requiredPower', scenario.requiredPower, 5.75);
+    assertEqual('raisePower', scenario.raisePower, false);
+    assertEqual('annualCostIncrease', scenario.annualCostIncrease.toFixed(2), (2184 * 0.161 * 1.23).toFixed(2));
+  });
+  
+  test('Heating at night makes bi-horária the cheapest', () => {
+    // Vazio: (3000 × 0,35 + 2184) / 5184 = 0,624 → bi a 0,1376 €/kWh contra simples a 0,16
+    const scenario = compareHeatingScenario(tariffOffers, 250, 6.9, 1, null, null, { ...heatPump, window: 'night' });
+    assertEqual('before', scenario.before.tariffType, 1);
+    assertEqual('best', [scenario.best.power, scenario.best.tariffType], [6.9, 2]);
+  });
+  
+  test('Heating above the contracted power ranks the required power and the next step', () => {
+    // 17,5 kW térmicos → 5 kW elétricos de dia: 2,98 + 5 = 7,98 kW → 10,35 kVA
+    const offers = [makeOffer('P69', 0.34, 0.16), makeOffer('P1035', 0.50, 0.16, { Pot_Cont: 10.35 }), makeOffer('P138', 0.66, 0.16, { Pot_Cont: 13.8 })];
+    const scenario = compareHeatingScenario(offers, 250, 6.9, 1, null, null, { ...heatPump, sizeKw: 17.5, window: 'day' });
+    assertEqual('options', scenario.options.map(option => option.power), [10.35, 13.8]);
+    assertEqual('best', scenario.best.best.COM, 'P1035');
+    assertEqual('raisePower', scenario.raisePower, true);
+    // Acima do maior escalão BTN não há ofertas
+    assertEqual('above BTN', compareHeatingScenario(offers, 250, 6.9, 1, null, null, { ...heatPump, sizeKw: 70, window: 'day' }), null);
+  });
+  
+  test('Required power adds the load to the household peak', () => {
+    // 240 kWh/mês: pico em fevereiro, 240 / (28 × 24 h) × 8 = 2,857 kW
+    const monthly = new Array(12).fill(240);
+    const day = estimateRequiredPower(monthly, 3.7, 'day');
+    assertEqual('day peak', day.peakKw.toFixed(3), '6.557');
+    assertEqual('day power', day.requiredPower, 6.9);
+    // À noite só metade da casa está ligada (NIGHT_PEAK_SHARE)
+    const night = estimateRequiredPower(monthly, 3.7, 'night');
+    assertEqual('night peak', night.peakKw.toFixed(3), '5.129');
+    assertEqual('night power', night.requiredPower, 5.75);
+    assertEqual('above BTN', estimateRequiredPower(monthly, 20, 'day').requiredPower, null);
+  });
+  
+  // Test 9: Household estimate
+  // Apartamento: base 600 kWh (35% vazio, 2 kW) + 350 kWh por pessoa (15% vazio)
+  
+  test('Household without appliances: base and people only', () => {
+    // 600 + 2 × 350 = 1300 kWh/ano; vazio (210 + 105) / 1300 = 0,2423; pico 2 kW → 2,3 kVA
+    const estimate = estimateHouseholdConsumption({ occupants: 2, dwelling: 'apartment', appliances: [], ac: 'none', waterHeating: 'gas' });
+    assertEqual('annualKwh', estimate.annualKwh, 1300);
+    assertEqual('monthlyKwh', estimate.monthlyKwh, 108);
+    assertEqual('vazio', estimate.distribution.vazio.toFixed(4), '0.2423');
+    assertEqual('profile', estimate.profile, 'default');
+    assertEqual('peakKw', estimate.peakKw, 2);
+    assertEqual('suggestedPower', estimate.suggestedPower, 2.3);
+    assertEqual('months', sum(estimate.monthlyConsumption).toFixed(0), '1300');
+  });
+  
+  test('Household with appliances, AC and electric water heating', () => {
+    // Moradia, 3 pessoas: 900 + 1050 + máquina 3 × 60 + forno 350 + AC 500 + termoacumulador 3 × 700 = 5080 kWh/ano
+    // Vazio: (315 + 157,5 + 72 + 17,5 + 100 + 1260) / 5080 = 0,3783
+    // Pico: 2,5 kW + forno 3,5 + metade de 2 kW = 7 kW → 10,35 kVA
+    const estimate = estimateHouseholdConsumption({ occupants: 3, dwelling: 'house', appliances: ['washingMachine', 'electricOven', 'unknown'], ac: 'rooms', waterHeating: 'electric' });
+    assertEqual('annualKwh', estimate.annualKwh, 5080);
+    assertEqual('vazio', estimate.distribution.vazio.toFixed(4), '0.3783');
+    assertEqual('profile', estimate.profile, 'cooling');
+    assertEqual('peakKw', estimate.peakKw, 7);
+    assertEqual('suggestedPower', estimate.suggestedPower, 10.35);
+  });
+  
+  test('Household valley share drives the tariff type comparison', () => {
+    const estimate = estimateHouseholdConsumption({ occupants: 2, dwelling: 'apartment', appliances: [], ac: 'none', waterHeating: 'gas' });
+    const comparison = compareTariffTypes(tariffOffers, estimate.monthlyKwh, 6.9, 1, estimate.distribution, null, estimate.monthlyConsumption);
+    assertEqual('valleyShare', comparison.valleyShare.toFixed(4), '0.2423');
+    // Com 24% em vazio, a bi fica a 0,20 - 0,10 × 0,2423 = 0,1758 €/kWh: a simples continua a mais barata
+    assertEqual('bestTariffType', comparison.bestTariffType, 1);
+  });
+  
+  // Test 10: Estimate range
+  // Fatura de €60: 60 / 1,23 − 2,85 (CAV) = €45,93 para termo fixo e energia
+  // Ofertas simples a 4,6 kVA: preço por kWh = TF × 30 / 200 kWh + TV
+  const rangeOffers = [
+    makeOffer('R1', 0.20, 0.14, { Pot_Cont: 4.6 }), // 0,170 €/kWh, €6,00/mês fixo
+    makeOffer('R2', 0.24, 0.15, { Pot_Cont: 4.6 }), // 0,186 €/kWh, €7,20/mês fixo
+    makeOffer('R3', 0.28, 0.16, { Pot_Cont: 4.6 }), // 0,202 €/kWh, €8,40/mês fixo
+    makeOffer('R4', 0.32, 0.17, { Pot_Cont: 4.6 }), // 0,218 €/kWh, €9,60/mês fixo
+    makeOffer('OTHER', 0.90, 0.90) // 6,9 kVA: fora da estimativa
+  ];
+  
+  test('Estimate range without offers collapses to the default price', () => {
+    // (45,93 − 0,25 × 30) / 0,18 = 214 kWh
+    assertEqual('range', estimateConsumptionRange(60), { expected: 214, low: 214, high: 214 });
+  });
+  
+  test('Estimate range uses the offer quartiles', () => {
+    // Mediana (R3): (45,93 − 8,40) / 0,202 = 186; quartil superior (R4): (45,93 − 9,60) / 0,218 = 167;
+    // quartil inferior (R2): (45,93 − 7,20) / 0,186 = 208
+    assertEqual('range', estimateConsumptionRange(60, rangeOffers), { expected: 186, low: 167, high: 208 });
+  });
+  
+  // Termo fixo baixo contra energia barata: −6 €/mês de TF contra +0,04 €/kWh, empate perto de 150 kWh
+  const lowFixed = makeOffer('LOWTF', 0.15, 0.20, { Pot_Cont: 4.6 });
+  const lowEnergy = makeOffer('LOWTV', 0.35, 0.16, { Pot_Cont: 4.6 });
+  
+  test('Best offer changes across the estimate range', () => {
+    const comparison = compareEstimateRange([lowFixed, lowEnergy], { expected: 120, low: 100, high: 400 }, 4.6, 60, lowFixed);
+    assertEqual('low', comparison.low.best.COM, 'LOWTF');
+    assertEqual('high', comparison.high.best.COM, 'LOWTV');
+    assertEqual('bestChanges', comparison.bestChanges, true);
+    assertEqual('yearlySavings', comparison.low.yearlySavings.toFixed(2), ((60 - comparison.low.best.monthlyCost) * 12).toFixed(2));
+  });
+  
+  test('Same best offer at both ends, or no range at all', () => {
+    const comparison = compareEstimateRange([lowFixed, lowEnergy], { expected: 350, low: 300, high: 400 }, 4.6, 60, lowEnergy);
+    assertEqual('bestChanges', comparison.bestChanges, false);
+    assertEqual('no range', compareEstimateRange([lowFixed, lowEnergy], { expected: 168, low: 168, high: 168 }, 4.6, 60, lowEnergy), null);
+  });
+  
+  test('Estimate range follows the lock-in choice', () => {
+    // 0,02 €/kWh mais barata a 400 kWh: €118/ano, acima da penalização esperada (0,35 × 30 × 1,23 × 6 = €77,49)
+    const locked = makeOffer('LOCK', 0.35, 0.14, { Pot_Cont: 4.6, hasLockIn: true, lockInMonths: 12, lockInPenalty: { type: 'fixedTerm' } });
+    const offers = [lowFixed, lowEnergy, locked];
+    assertEqual('without lock-in', compareEstimateRange(offers, { expected: 350, low: 300, high: 400 }, 4.6, 60, lowEnergy).high.best.COM, 'LOWTV');
+    assertEqual('with lock-in', compareEstimateRange(offers, { expected: 350, low: 300, high: 400 }, 4.6, 60, lowEnergy, true).high.best.COM, 'LOCK');
+  });
+  
+  // Test 11: Price trends
+  // 6,9 kVA simples, 250 kWh/mês: +0,01 €/kWh = +0,01 × 250 × 1,23 = +€3,075/mês
+  const trendOptions = { power: 6.9, tariffType: 1, consumption: 250 };
+  const base = calculateMonthlyCost(makeOffer('BASE', 0.30, 0.15), 250, 6.9);
+  const costAt = tv => (base + (tv - 0.15) * 250 * 1.23).toFixed(2);
+  const fixed = values => values.map(value => (value === null ? null : value.toFixed(2)));
+  const history = [
+    { date: '2025-10-06', offers: [
+      makeOffer('A', 0.30, 0.15),
+      { ...makeOffer('A', 0.30, 0.16), COD_Proposta: 'A-2' },
+      makeOffer('B', 0.30, 0.14),
+      makeOffer('LOCK', 0.30, 0.10, { hasLockIn: true })
+    ] },
+    { date: '2025-11-03', offers: [
+      makeOffer('A', 0.30, 0.16),
+      makeOffer('A', 0.20, 0.10, { Pot_Cont: 3.45 }),
+      makeOffer('B', 0.30, 0.14),
+      makeOffer('C', 0.30, 0.13)
+    ] },
+    { date: '2025-12-08', offers: [
+      makeOffer('A', 0.30, 0.17),
+      makeOffer('B', 0.30, 0.13),
+      makeOffer('B', 0.30, 0.12, { Contagem: 2 })
+    ] }
+  ];
+  
+  test('Price trends need two snapshots', () => {
+    assertEqual('one snapshot', buildPriceTrends(history.slice(0, 1), trendOptions), null);
+    assertEqual('no consumption', buildPriceTrends(history, { ...trendOptions, consumption: 0 }), null);
+  });
+  
+  test('Price trends follow the cheapest offer of each supplier', () => {
+    const trends = buildPriceTrends(history, trendOptions);
+    assertEqual('dates', trends.dates, ['2025-10-06', '2025-11-03', '2025-12-08']);
+    // Ordenado pelo custo mais recente; C saiu no último snapshot e fica no fim
+    assertEqual('order', trends.series.map(line => line.COM), ['B', 'A', 'C']);
+    
+    const [b, a, c] = trends.series;
+    assertEqual('A costs', fixed(a.costs), [costAt(0.15), costAt(0.16), costAt(0.17)]);
+    assertEqual('A latest', a.latest.toFixed(2), costAt(0.17));
+    assertEqual('A change', a.change.toFixed(3), '6.150');
+    assertEqual('B costs', fixed(b.costs), [costAt(0.14), costAt(0.14), costAt(0.13)]);
+    assertEqual('B change', b.change.toFixed(3), '-3.075');
+    assertEqual('C costs', fixed(c.costs), [null, costAt(0.13), null]);
+    assertEqual('C latest', c.latest, null);
+    assertEqual('C change', c.change, null);
+    
+    assertEqual('cheapest', fixed(trends.cheapest), [costAt(0.14), costAt(0.13), costAt(0.13)]);
+    assertEqual('cheapestChange', trends.cheapestChange.toFixed(3), '-3.075');
+  });
+  
+  // Summary
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+  
+  if (failed > 0) {
+    console.error('\n❌ Calculator self-test failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+  }
+}
+
+// Run
+if (require.main === module) {
+  runCalculatorSelftest().catch(error => {
+    console.error('❌ Calculator self-test error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runCalculatorSelftest };
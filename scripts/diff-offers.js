@@ -0,0 +1,209 @@
+/**
+ * Offers Snapshot Diff
+ *
+ * Compares two dated price snapshots kept by build-offers.js in
+ * data/history/ and reports, per supplier:
+ * - New offers (in the newer snapshot only)
+ * - Withdrawn offers (in the older snapshot only)
+ * - TF / TV price changes
+ *
+ * An offer is one row of offers.json: supplier, proposal code, power and
+ * tariff type (COM|COD_Proposta|Pot_Cont|Contagem).
+ *
+ * Usage:
+ *   node scripts/diff-offers.js                         # two most recent snapshots
+ *   node scripts/diff-offers.js 2025-11-03 2025-12-08   # older, newer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = path.join(__dirname, '..', 'data', 'history');
+
+// Preços comparados entre snapshots (€/dia e €/kWh, sem IVA)
+const PRICE_FIELDS = ['TF', 'TV|TVFV|TVP', 'TVV|TVC', 'TVVz'];
+
+// Diferenças abaixo disto são arredondamentos do CSV
+const PRICE_EPSILON = 0.000001;
+
+/**
+ * Key identifying one offer row across snapshots
+ * Also the deduplication key of build-offers.js, so one offer maps to one snapshot row
+ */
+function getOfferKey(offer) {
+  return `${offer.COM}|${offer.COD_Proposta}|${offer.Pot_Cont}|${offer.Contagem}`;
+}
+
+/**
+ * Read the snapshot index
+ * Returns: { snapshots: [{ date, file, offersCount }] }, oldest first
+ */
+function readSnapshotIndex(historyDir = HISTORY_DIR) {
+  const indexPath = path.join(historyDir, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    return { snapshots: [] };
+  }
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Read one snapshot by date (YYYY-MM-DD)
+ * Returns the offer rows (see fromSnapshot)
+ */
+function readSnapshot(date, historyDir = HISTORY_DIR) {
+  const entry = readSnapshotIndex(historyDir).snapshots.find(snapshot => snapshot.date === date);
+  if (!entry) {
+    throw new Error(`No snapshot for ${date} in ${path.join(historyDir, 'index.json')}`);
+  }
+  return fromSnapshot(JSON.parse(fs.readFileSync(path.join(historyDir, entry.file), 'utf8')));
+}
+
+/**
+ * Reduce offers.json to a snapshot: { key: [TF, TV|TVFV|TVP, TVV|TVC, TVVz] }
+ * Only the prices are kept, in PRICE_FIELDS order
+ */
+function toSnapshot(offers) {
+  const snapshot = {};
+  offers.forEach(offer => {
+    snapshot[getOfferKey(offer)] = PRICE_FIELDS.map(field => offer[field] ?? null);
+  });
+  return snapshot;
+}
+
+/**
+ * Expand a snapshot into offer rows: COM, COD_Proposta, Pot_Cont, Contagem and PRICE_FIELDS
+ */
+function fromSnapshot(snapshot) {
+  return Object.entries(snapshot).map(([key, prices]) => {
+    // O código da proposta pode conter '|': potência e contagem são sempre os dois últimos campos
+    const parts = key.split('|');
+    const offer = {
+      COM: parts[0],
+      COD_Proposta: parts.slice(1, -2).join('|'),
+      Pot_Cont: Number(parts[parts.length - 2]),
+      Contagem: Number(parts[parts.length - 1])
+    };
+    PRICE_FIELDS.forEach((field, index) => {
+      offer[field] = prices[index];
+    });
+    return offer;
+  });
+}
+
+/**
+ * Whether any TF/TV price differs between two versions of an offer
+ */
+function hasPriceChange(before, after) {
+  return PRICE_FIELDS.some(field => Math.abs((after[field] || 0) - (before[field] || 0)) > PRICE_EPSILON);
+}
+
+/**
+ * Compare two snapshots
+ * Returns: { added, removed, changed: [{ key, before, after }], bySupplier }
+ * bySupplier: { COM: { added, removed, up, down, changed } } (counts; up/down by TF + TV|TVFV|TVP)
+ */
+function diffSnapshots(previous, current) {
+  const previousByKey = new Map(previous.map(offer => [getOfferKey(offer), offer]));
+  const currentByKey = new Map(current.map(offer => [getOfferKey(offer), offer]));
+  
+  const added = current.filter(offer => !previousByKey.has(getOfferKey(offer)));
+  const removed = previous.filter(offer => !currentByKey.has(getOfferKey(offer)));
+  const changed = [];
+  currentByKey.forEach((after, key) => {
+    const before = previousByKey.get(key);
+    if (before && hasPriceChange(before, after)) {
+      changed.push({ key, before, after });
+    }
+  });
+  
+  const bySupplier = {};
+  const supplier = com => {
+    bySupplier[com] = bySupplier[com] || { added: 0, removed: 0, changed: 0, up: 0, down: 0 };
+    return bySupplier[com];
+  };
+  added.forEach(offer => supplier(offer.COM).added++);
+  removed.forEach(offer => supplier(offer.COM).removed++);
+  changed.forEach(({ before, after }) => {
+    const stats = supplier(after.COM);
+    stats.changed++;
+    // Direção: termo fixo e preço de energia principal somados (valores por dia e por kWh)
+    const delta = (after.TF - before.TF) + (after['TV|TVFV|TVP'] - before['TV|TVFV|TVP']);
+    if (delta > PRICE_EPSILON) stats.up++;
+    if (delta < -PRICE_EPSILON) stats.down++;
+  });
+  
+  return { added, removed, changed, bySupplier };
+}
+
+/**
+ * Whether a diff has any new, withdrawn or repriced offer
+ */
+function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+/**
+ * Format a price change for the report (e.g. "TF 0.2010 → 0.2150")
+ */
+function formatPriceChange(before, after) {
+  return PRICE_FIELDS
+    .filter(field => Math.abs((after[field] || 0) - (before[field] || 0)) > PRICE_EPSILON)
+    .map(field => `${field} ${Number(before[field] || 0).toFixed(4)} → ${Number(after[field] || 0).toFixed(4)}`)
+    .join(', ');
+}
+
+/**
+ * Print the diff between two snapshots
+ */
+function runDiff(fromDate, toDate) {
+  const { snapshots } = readSnapshotIndex();
+  if (!fromDate || !toDate) {
+    if (snapshots.length < 2) {
+      throw new Error(`Need at least two snapshots in ${HISTORY_DIR} (found ${snapshots.length}). build-offers.js archives one when an ERSE update changes the offers.`);
+    }
+    fromDate = snapshots[snapshots.length - 2].date;
+    toDate = snapshots[snapshots.length - 1].date;
+  }
+  
+  console.log(`🔍 Comparing offers ${fromDate} → ${toDate}\n`);
+  const diff = diffSnapshots(readSnapshot(fromDate), readSnapshot(toDate));
+  
+  console.log(`📊 ${diff.added.length} new, ${diff.removed.length} withdrawn, ${diff.changed.length} with price changes\n`);
+  
+  Object.entries(diff.bySupplier)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([com, stats]) => {
+      console.log(`${com}: +${stats.added} new, −${stats.removed} withdrawn, ${stats.changed} changed (${stats.up} ↑, ${stats.down} ↓)`);
+      diff.changed
+        .filter(({ after }) => after.COM === com)
+        .slice(0, 5)
+        .forEach(({ after, before }) => {
+          console.log(`   ${after.COD_Proposta} ${after.Pot_Cont} kVA (${after.Contagem}): ${formatPriceChange(before, after)}`);
+        });
+    });
+  
+  return diff;
+}
+
+// Run
+if (require.main === module) {
+  try {
+    runDiff(process.argv[2], process.argv[3]);
+  } catch (error) {
+    console.error('❌ Diff failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  HISTORY_DIR,
+  PRICE_FIELDS,
+  getOfferKey,
+  readSnapshotIndex,
+  readSnapshot,
+  toSnapshot,
+  fromSnapshot,
+  hasPriceChange,
+  diffSnapshots,
+  hasChanges
+};
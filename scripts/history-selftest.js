@@ -0,0 +1,190 @@
+/**
+ * Price History Self-test
+ *
+ * Runs build-offers.js on a copy of the ERSE CSVs in a temporary directory,
+ * the second time with one price raised, then twice more without changes:
+ * - Builds that change prices are archived in history/ under their meta.json
+ *   dates, as prices per offer key; unchanged builds archive nothing
+ * - Only the changed offer gets previousPrices (last month's date and prices)
+ *   and keeps them until the next month
+ * - diff-offers.js reports the same single change
+ * - The price trend file of each power and tariff type gets the same dates
+ *
+ * Needs data/Precos_ELEGN.csv and data/CondComerciais.csv (download-erse.js).
+ * The real data/ folder is not touched.
+ *
+ * Usage:
+ *   node scripts/history-selftest.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildOffers } = require('./build-offers');
+const { getOfferKey, readSnapshotIndex, readSnapshot, diffSnapshots } = require('./diff-offers');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CSV_FILES = ['Precos_ELEGN.csv', 'CondComerciais.csv'];
+
+// Tarifa regulada a 6,9 kVA, simples: o termo fixo sobe de 0,3396 para 0,3500 €/dia no segundo build
+const CHANGED_ROW = 'EDPSU;6,9;;;TUR;1;0,3396;0,1658;;;;';
+const CHANGED_ROW_AFTER = 'EDPSU;6,9;;;TUR;1;0,35;0,1658;;;;';
+const CHANGED_KEY = 'EDPSU|TUR|6.9|1';
+const FIRST_DATE = '2025-11-03';
+const SECOND_DATE = '2025-12-08';
+// Sem alterações: uma semana depois (mesmo mês) e no mês seguinte
+const SAME_MONTH_DATE = '2025-12-15';
+const NEXT_MONTH_DATE = '2026-01-05';
+const CHANGED_TREND_FILE = path.join('trends', '6.9-1.json');
+
+/**
+ * Build dataDir with the given ERSE date, without the build's progress output
+ */
+function buildQuietly(dataDir, updatedAt) {
+  fs.writeFileSync(path.join(dataDir, 'meta.json'), JSON.stringify({ updatedAt: `${updatedAt}T09:00:00.000Z` }));
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return buildOffers(dataDir);
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Run price history self-tests
+ */
+function runHistorySelftest() {
+  console.log('🧪 Running price history self-tests...\n');
+  
+  CSV_FILES.forEach(file => {
+    if (!fs.existsSync(path.join(DATA_DIR, file))) {
+      throw new Error(`Missing ${path.join(DATA_DIR, file)}. Run download-erse.js first.`);
+    }
+  });
+  
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function assertEqual(field, actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guesswatt-history-'));
+  const historyDir = path.join(dataDir, 'history');
+  
+  try {
+    CSV_FILES.forEach(file => fs.copyFileSync(path.join(DATA_DIR, file), path.join(dataDir, file)));
+    buildQuietly(dataDir, FIRST_DATE);
+    
+    const precosPath = path.join(dataDir, 'Precos_ELEGN.csv');
+    const precos = fs.readFileSync(precosPath, 'utf8');
+    if (!precos.includes(CHANGED_ROW)) {
+      throw new Error(`Row not found in Precos_ELEGN.csv: ${CHANGED_ROW}`);
+    }
+    fs.writeFileSync(precosPath, precos.replace(CHANGED_ROW, CHANGED_ROW_AFTER));
+    const offers = buildQuietly(dataDir, SECOND_DATE);
+    
+    test('Both builds are archived', () => {
+      assertEqual('dates', readSnapshotIndex(historyDir).snapshots.map(snapshot => snapshot.date), [FIRST_DATE, SECOND_DATE]);
+    });
+    
+    test('Snapshots keep only prices per offer key', () => {
+      const { file } = readSnapshotIndex(historyDir).snapshots[1];
+      const snapshot = JSON.parse(fs.readFileSync(path.join(historyDir, file), 'utf8'));
+      assertEqual('entry', snapshot[CHANGED_KEY], [0.35, 0.1658, 0, 0]);
+      assertEqual('offers', Object.keys(snapshot).length, offers.length);
+      assertEqual('fields', readSnapshot(SECOND_DATE, historyDir).find(offer => getOfferKey(offer) === CHANGED_KEY), { COM: 'EDPSU', COD_Proposta: 'TUR', Pot_Cont: 6.9, Contagem: 1, TF: 0.35, 'TV|TVFV|TVP': 0.1658, 'TVV|TVC': 0, 'TVVz': 0 });
+    });
+    
+    test('Price change is attached to the changed offer only', () => {
+      const changed = offers.filter(offer => offer.previousPrices);
+      assertEqual('offers', changed.map(getOfferKey), [CHANGED_KEY]);
+      assertEqual('TF', changed[0].TF, 0.35);
+      assertEqual('previousPrices', changed[0].previousPrices, { date: FIRST_DATE, TF: 0.3396, 'TV|TVFV|TVP': 0.1658, 'TVV|TVC': 0, 'TVVz': 0 });
+    });
+    
+    test('Price change is in offers.json and meta.json', () => {
+      const written = JSON.parse(fs.readFileSync(path.join(dataDir, 'offers.json'), 'utf8'));
+      assertEqual('offers.json', written.filter(offer => offer.previousPrices).map(getOfferKey), [CHANGED_KEY]);
+      const { statistics } = JSON.parse(fs.readFileSync(path.join(dataDir, 'meta.json'), 'utf8')).build;
+      assertEqual('previousSnapshotDate', statistics.previousSnapshotDate, FIRST_DATE);
+      assertEqual('priceChangeCount', statistics.priceChangeCount, 1);
+    });
+    
+    test('Snapshot diff reports the same change', () => {
+      const diff = diffSnapshots(readSnapshot(FIRST_DATE, historyDir), readSnapshot(SECOND_DATE, historyDir));
+      assertEqual('added', diff.added.length, 0);
+      assertEqual('removed', diff.removed.length, 0);
+      assertEqual('changed', diff.changed.map(({ key }) => key), [CHANGED_KEY]);
+      assertEqual('EDPSU', diff.bySupplier.EDPSU, { added: 0, removed: 0, changed: 1, up: 1, down: 0 });
+    });
+    
+    test('Trend file holds the slice without lock-in offers', () => {
+      const { snapshots } = JSON.parse(fs.readFileSync(path.join(historyDir, CHANGED_TREND_FILE), 'utf8'));
+      assertEqual('dates', snapshots.map(snapshot => snapshot.date), [FIRST_DATE, SECOND_DATE]);
+      const slice = offers.filter(offer => offer.Pot_Cont === 6.9 && offer.Contagem === 1 && !offer.hasLockIn);
+      assertEqual('offers', snapshots[1].offers.length, slice.length);
+      assertEqual('EDPSU', snapshots.map(snapshot => snapshot.offers.find(([COM]) => COM === 'EDPSU')), [['EDPSU', 0.3396, 0.1658, 0, 0], ['EDPSU', 0.35, 0.1658, 0, 0]]);
+    });
+    
+    const sameMonthOffers = buildQuietly(dataDir, SAME_MONTH_DATE);
+    
+    test('Unchanged build archives nothing and keeps last month\'s prices', () => {
+      assertEqual('dates', readSnapshotIndex(historyDir).snapshots.map(snapshot => snapshot.date), [FIRST_DATE, SECOND_DATE]);
+      const changed = sameMonthOffers.filter(offer => offer.previousPrices);
+      assertEqual('offers', changed.map(getOfferKey), [CHANGED_KEY]);
+      assertEqual('date', changed[0].previousPrices.date, FIRST_DATE);
+      const { statistics } = JSON.parse(fs.readFileSync(path.join(dataDir, 'meta.json'), 'utf8')).build;
+      assertEqual('snapshotArchived', statistics.snapshotArchived, false);
+    });
+    
+    const nextMonthOffers = buildQuietly(dataDir, NEXT_MONTH_DATE);
+    
+    test('Price change is dropped once its month has passed', () => {
+      assertEqual('dates', readSnapshotIndex(historyDir).snapshots.map(snapshot => snapshot.date), [FIRST_DATE, SECOND_DATE]);
+      assertEqual('offers', nextMonthOffers.filter(offer => offer.previousPrices).length, 0);
+      const { statistics } = JSON.parse(fs.readFileSync(path.join(dataDir, 'meta.json'), 'utf8')).build;
+      assertEqual('previousSnapshotDate', statistics.previousSnapshotDate, SECOND_DATE);
+      const { snapshots } = JSON.parse(fs.readFileSync(path.join(historyDir, CHANGED_TREND_FILE), 'utf8'));
+      assertEqual('trend dates', snapshots.map(snapshot => snapshot.date), [FIRST_DATE, SECOND_DATE]);
+    });
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+  
+  // Summary
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+  
+  if (failed > 0) {
+    console.error('\n❌ Price history self-test failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+  }
+}
+
+// Run
+if (require.main === module) {
+  try {
+    runHistorySelftest();
+  } catch (error) {
+    console.error('❌ Price history self-test error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { runHistorySelftest };
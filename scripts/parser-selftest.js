@@ -0,0 +1,265 @@
+/**
+ * Invoice Parser Self-test
+ *
+ * Runs the parser registry (js/parsers/) against invoice text fixtures
+ * in scripts/fixtures/invoices/:
+ * - Provider detection for every PROVIDERS supplier (header lines below)
+ * - One fixture per supplier: total, kWh, power, period split and billing
+ *   period read through that supplier's extractors (js/parsers/<supplier>.js),
+ *   each of which the generic extractor alone gets wrong
+ * - Services and discounts lines, amount parsing (decimal comma or dot)
+ * - CPE / NIF extraction and check digits (invalid values are dropped)
+ * - Multi-invoice history: de-duplication and monthly timeline
+ *
+ * Fixtures are anonymized plain text in the shape pdf.js returns, one per
+ * supplier layout (placeholder names and addresses; CPE/NIF are made-up
+ * values with valid check digits, or placeholders that must be rejected).
+ *
+ * Usage:
+ *   node scripts/parser-selftest.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'invoices');
+const PARSERS_PATH = path.join(__dirname, '..', 'js', 'parsers', 'index.js');
+
+// Supplier header lines as printed on invoices, with the code they must be detected as
+const DETECTION = [
+  ['SU Eletricidade, S.A. · Operador de rede: E-REDES (antiga EDP Distribuição)', 'EDPSU'],
+  ['EDP Serviço Universal, S.A.', 'EDPSU'],
+  ['Endesa Energía, S.A. - Sucursal Portugal · Operador de rede: EDP Distribuição', 'END'],
+  ['Galp Power, S.A.', 'GALP'],
+  ['Goldenergy - Comercializadora de Energia, S.A.', 'GOLD'],
+  ['Iberdrola Clientes Portugal, Unipessoal Lda.', 'IBER'],
+  ['MEO Energia · Cliente MEO: serviços de energia', 'MEO'],
+  ['Cliente MEO: fatura de telecomunicações', null],
+  ['Repsol Gás Portugal, S.A. - Eletricidade', 'REPSOL'],
+  ['Acciona Energía - Eletricidade residencial', 'ACCIONA'],
+  ['Energia Naturalis - Comercialização de energia', 'ENAT'],
+  ['Luzboa - Comercializadora de Energia', 'LUZBOA'],
+  ['Muon - Energia 100% renovável', 'MUON'],
+  ['Plenitude (antiga Eni Gás e Luz)', 'PLEN'],
+  ['Eni Gas e Luz', 'PLEN'],
+  ['Aquila Energies Portugal', 'AQUILA'],
+  ['Coopérnico - Cooperativa de Desenvolvimento Sustentável CRL', 'COOPERNICO'],
+  ['Ylce Energia', 'YLCE'],
+  ['EDP Comercial - Comercialização de Energia, S.A.', 'EDPC'],
+  ['Operador de rede: EDP Distribuição', null],
+  ['Comercializadora Regional de Energia, Lda.', null]
+];
+
+// Expected extraction per fixture file: total, kWh, power, period split and billing period
+// for every supplier layout, plus unit prices where only the energy lines differ
+// and identification fields where the fixture has them
+const bi = (vazio, foraVazio) => ({ vazio: vazio / (vazio + foraVazio), foraVazio: foraVazio / (vazio + foraVazio) });
+const tri = (vazio, cheias, ponta) => {
+  const total = vazio + cheias + ponta;
+  return { vazio: vazio / total, cheias: cheias / total, ponta: ponta / total, foraVazio: (cheias + ponta) / total };
+};
+const EXPECTED = {
+  'su-eletricidade.txt': { provider: 'EDPSU', invoiceTotal: 37.02, consumption: 140, power: 3.45, tariffType: 1, distribution: null, billingPeriod: { start: '2025-07-03', end: '2025-08-02' } },
+  'edp-comercial.txt': { provider: 'EDPC', invoiceTotal: 70.15, consumption: 275, power: 6.9, tariffType: 2, cycleType: 'daily', distribution: bi(95, 180), billingPeriod: { start: '2025-08-12', end: '2025-09-11' }, unitPrices: { fixedTermDaily: 0.3519, energy: { foraVazio: 0.1912, vazio: 0.1034 } }, services: null, discounts: 1, cpe: 'PT0002000012345678MV0F', nif: '123456789', address: 'Rua XXXXXXXX, n.º 00, 1000-000 LISBOA' },
+  'endesa.txt': { provider: 'END', invoiceTotal: 52.90, consumption: 210, power: 4.6, tariffType: 2, distribution: bi(60, 150), billingPeriod: { start: '2025-09-01', end: '2025-09-30' } },
+  'galp.txt': { provider: 'GALP', invoiceTotal: 77.84, consumption: 300, power: 6.9, tariffType: 2, cycleType: 'weekly', distribution: bi(140, 160), billingPeriod: { start: '2025-05-15', end: '2025-06-14' }, unitPrices: { fixedTermDaily: 0.3361, energy: { foraVazio: 0.185, vazio: 0.102 } }, services: 3, discounts: null, cpe: 'PT0002000098765432ZP', nif: '123456789', address: 'Rua XXXXXXXX 00, 4000-000 VILA NOVA DE GAIA' },
+  'goldenergy.txt': { provider: 'GOLD', invoiceTotal: 72.10, consumption: 300, power: 6.9, tariffType: 3, distribution: tri(100, 140, 60), billingPeriod: { start: '2025-03-05', end: '2025-04-03' } },
+  'iberdrola.txt': { provider: 'IBER', invoiceTotal: 123.40, consumption: 500, power: 10.35, tariffType: 3, distribution: tri(180, 230, 90), billingPeriod: { start: '2025-02-01', end: '2025-02-28' }, cpe: null, nif: '123456789' },
+  'meo-energia.txt': { provider: 'MEO', invoiceTotal: 45.60, consumption: 180, power: 5.75, tariffType: 1, distribution: null, billingPeriod: { start: '2025-01-10', end: '2025-02-09' } },
+  'repsol.txt': { provider: 'REPSOL', invoiceTotal: 61.30, consumption: 260, power: 6.9, tariffType: 2, cycleType: 'weekly', distribution: bi(110, 150), billingPeriod: { start: '2025-04-01', end: '2025-04-30' } },
+  'acciona.txt': { provider: 'ACCIONA', invoiceTotal: 40.12, consumption: 160, power: 3.45, tariffType: 1, distribution: null, billingPeriod: { start: '2025-06-01', end: '2025-06-30' } },
+  'energia-naturalis.txt': { provider: 'ENAT', invoiceTotal: 51.20, consumption: 220, power: 4.6, tariffType: 2, distribution: bi(90, 130), billingPeriod: { start: '2025-07-01', end: '2025-07-31' } },
+  'luzboa.txt': { provider: 'LUZBOA', invoiceTotal: 70.02, consumption: 300, power: 6.9, tariffType: 2, cycleType: 'daily', distribution: bi(120, 180), billingPeriod: { start: '2025-11-01', end: '2025-11-30' } },
+  'muon.txt': { provider: 'MUON', invoiceTotal: 48.90, consumption: 200, power: 4.6, tariffType: 1, distribution: null, billingPeriod: { start: '2025-10-01', end: '2025-10-31' } },
+  'plenitude.txt': { provider: 'PLEN', invoiceTotal: 84.75, consumption: 350, power: 6.9, tariffType: 3, cycleType: 'weekly', distribution: tri(130, 150, 70), billingPeriod: { start: '2025-01-01', end: '2025-01-31' } },
+  'aquila.txt': { provider: 'AQUILA', invoiceTotal: 50.10, consumption: 205, power: 4.6, tariffType: 1, distribution: null, billingPeriod: { start: '2025-08-02', end: '2025-08-31' } },
+  'coopernico.txt': { provider: 'COOPERNICO', invoiceTotal: 58.40, consumption: 240, power: 3.45, tariffType: 2, cycleType: 'daily', distribution: bi(85, 155), billingPeriod: { start: '2025-05-01', end: '2025-05-31' } },
+  'ylce.txt': { provider: 'YLCE', invoiceTotal: 45.20, consumption: 190, power: 4.6, tariffType: 1, distribution: null, billingPeriod: { start: '2025-09-01', end: '2025-09-30' } },
+  'unknown.txt': { provider: null, invoiceTotal: 49.75, consumption: 200, power: 4.6, tariffType: 1, distribution: null, billingPeriod: { start: '2025-10-01', end: '2025-10-31' }, services: null, discounts: null, cpe: null, nif: null }
+};
+
+/**
+ * Run parser self-tests
+ */
+async function runParserSelftest() {
+  console.log('🧪 Running invoice parser self-tests...\n');
+  
+  // ES modules (js/) are loaded dynamically from CommonJS
+  const { parseInvoice, detectParser, getParsers, INVOICE_FIELDS } = await import(PARSERS_PATH);
+  const { default: genericParser, parseAmount } = await import(path.join(__dirname, '..', 'js', 'parsers', 'generic.js'));
+  const { PROVIDERS } = await import(path.join(__dirname, '..', 'js', 'config.js'));
+  const { isValidCPE, isValidNIF } = await import(path.join(__dirname, '..', 'js', 'utils.js'));
+  const { mergeInvoiceHistory } = await import(path.join(__dirname, '..', 'js', 'invoice-history.js'));
+  
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, fn) {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function assertEqual(field, actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  
+  // Test 1: Every supplier has a detection signature
+  test('Every PROVIDERS key has a parser', () => {
+    const codes = getParsers().map(parser => parser.code);
+    const missing = Object.keys(PROVIDERS).filter(code => !codes.includes(code));
+    if (missing.length > 0) {
+      throw new Error(`Missing parsers: ${missing.join(', ')}`);
+    }
+  });
+  
+  // Test 1b: Detection from supplier headers (and no false positives)
+  test('Provider detection signatures', () => {
+    DETECTION.forEach(([header, code]) => {
+      assertEqual(header, detectParser(header)?.code ?? null, code);
+    });
+  });
+  
+  // Test 2: Every fixture has expectations (and vice versa)
+  const fixtures = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.txt'));
+  test('Fixtures match expectations table', () => {
+    const missing = Object.keys(EXPECTED).filter(file => !fixtures.includes(file));
+    const unexpected = fixtures.filter(file => !EXPECTED[file]);
+    if (missing.length > 0 || unexpected.length > 0) {
+      throw new Error(`Missing: ${missing.join(', ') || '-'}; without expectations: ${unexpected.join(', ') || '-'}`);
+    }
+  });
+  
+  test('Every supplier has a fixture', () => {
+    const covered = Object.values(EXPECTED).map(expected => expected.provider);
+    const missing = Object.keys(PROVIDERS).filter(code => !covered.includes(code));
+    if (missing.length > 0) {
+      throw new Error(`No fixture for: ${missing.join(', ')}`);
+    }
+  });
+  
+  // Test 3: CPE and NIF check digits
+  test('CPE check letters', () => {
+    assertEqual('PT0002000012345678MV', isValidCPE('PT0002000012345678MV'), true);
+    assertEqual('PT 0002 0000 9876 5432 ZP 0F', isValidCPE('PT 0002 0000 9876 5432 ZP 0F'), true);
+    assertEqual('PT0002000012345678XX', isValidCPE('PT0002000012345678XX'), false);
+    assertEqual('PT000200001234567MV', isValidCPE('PT000200001234567MV'), false);
+  });
+  
+  test('NIF mod-11 check digit', () => {
+    assertEqual('123456789', isValidNIF('123456789'), true);
+    assertEqual('123456780', isValidNIF('123456780'), false);
+    assertEqual('000000000', isValidNIF('000000000'), false);
+    assertEqual('12345678', isValidNIF('12345678'), false);
+  });
+  
+  test('Amount parsing', () => {
+    assertEqual('1.234,56', parseAmount('1.234,56'), 1234.56);
+    assertEqual('64,23', parseAmount('64,23'), 64.23);
+    assertEqual('0,1543', parseAmount('0,1543'), 0.1543);
+    // Preços unitários com ponto decimal e três casas (texto de alguns PDFs)
+    assertEqual('0.123', parseAmount('0.123'), 0.123);
+  });
+  
+  // Test 4: Per-fixture extraction
+  fixtures.filter(file => EXPECTED[file]).forEach(file => {
+    test(`Parse ${file}`, () => {
+      const text = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+      const result = parseInvoice(text);
+      const expected = EXPECTED[file];
+      
+      Object.keys(expected).forEach(field => {
+        assertEqual(field, result[field], expected[field]);
+      });
+    });
+  });
+  
+  test('Supplier energy lines give the unit prices for the invoice check', () => {
+    const { unitPrices } = parseInvoice(fs.readFileSync(path.join(FIXTURES_DIR, 'goldenergy.txt'), 'utf8'));
+    const energy = {};
+    Object.entries(unitPrices.energy).forEach(([period, price]) => {
+      energy[period] = price.toFixed(4);
+    });
+    assertEqual('fixedTermDaily', unitPrices.fixedTermDaily, 0.332);
+    assertEqual('energy', energy, { ponta: '0.2310', cheia: '0.1650', vazio: '0.1010' });
+  });
+  
+  // Test 4b: Each supplier layout needs its own extractors (the generic one alone misreads it)
+  test('Supplier extractors cover what the generic extractor misses', () => {
+    const unneeded = fixtures.filter(file => EXPECTED[file]?.provider).filter(file => {
+      const text = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+      const generic = {};
+      INVOICE_FIELDS.forEach(field => {
+        generic[field] = genericParser.extract[field](text, generic);
+      });
+      return Object.keys(EXPECTED[file])
+        .filter(field => field !== 'provider')
+        .every(field => JSON.stringify(generic[field]) === JSON.stringify(EXPECTED[file][field]));
+    });
+    if (unneeded.length > 0) {
+      throw new Error(`Read correctly without supplier extractors: ${unneeded.join(', ')}`);
+    }
+  });
+  
+  // Test 5: Multi-invoice history
+  const invoice = (start, end, consumption, extra = {}) => ({ consumption, power: 6.9, tariffType: 1, billingPeriod: { start, end }, invoiceTotal: consumption / 4, ...extra });
+  
+  test('History de-duplicates by billing period', () => {
+    const history = mergeInvoiceHistory([
+      invoice('2025-02-01', '2025-02-28', 280),
+      invoice('2025-01-01', '2025-01-31', 310),
+      invoice('2025-02-01', '2025-02-28', 280)
+    ]);
+    assertEqual('invoices', history.invoices.length, 2);
+    assertEqual('latest', history.latest.billingPeriod.start, '2025-02-01');
+    assertEqual('months', history.months.map(m => [m.month, Math.round(m.kwh)]), [[0, 310], [1, 280]]);
+  });
+  
+  test('History spreads invoices over calendar months', () => {
+    // 20 dez - 18 fev em duas faturas: dezembro fica com menos de metade dos dias
+    const history = mergeInvoiceHistory([
+      invoice('2024-12-20', '2025-01-19', 310),
+      invoice('2025-01-20', '2025-02-18', 240)
+    ]);
+    assertEqual('months', history.months.map(m => [m.month, Math.round(m.kwh)]), [[0, 286], [1, 224]]);
+  });
+  
+  test('History ignores invoices from another CPE and weights splits by kWh', () => {
+    const split = (vazio, consumption) => ({ tariffType: 2, distribution: { vazio, foraVazio: 1 - vazio }, cpe: 'PT0002000012345678MV', consumption });
+    const history = mergeInvoiceHistory([
+      invoice('2025-02-01', '2025-02-28', 200, { cpe: 'PT0002000098765432ZP' }),
+      invoice('2025-03-01', '2025-03-31', 100, split(0.2, 100)),
+      invoice('2025-04-01', '2025-04-30', 300, split(0.4, 300))
+    ]);
+    assertEqual('ignored', history.ignored, 1);
+    assertEqual('latest', history.latest.billingPeriod.start, '2025-04-01');
+    assertEqual('vazio', history.distribution.vazio.toFixed(2), '0.35');
+  });
+  
+  // Summary
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+  
+  if (failed > 0) {
+    console.error('\n❌ Parser self-test failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+  }
+}
+
+// Run
+if (require.main === module) {
+  runParserSelftest().catch(error => {
+    console.error('❌ Parser self-test error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runParserSelftest };
@@ -6,6 +6,8 @@
  * - Required fields present
  * - No GN-only offers
  * - Calculation samples (no NaN, positive totals)
+ * - gas-offers.json escalões and dual-fuel price lists
+ * - Price history snapshots (data/history/) and previousPrices
  * 
  * Usage:
  *   node scripts/selftest.js
@@ -17,6 +19,9 @@ const path = require('path');
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const OFFERS_PATH = path.join(DATA_DIR, 'offers.json');
 const META_PATH = path.join(DATA_DIR, 'meta.json');
+const GAS_OFFERS_PATH = path.join(DATA_DIR, 'gas-offers.json');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const HISTORY_INDEX_PATH = path.join(HISTORY_DIR, 'index.json');
 
 // Constants for calculation (matching frontend)
 const VAT = 1.23;
@@ -124,10 +129,169 @@ function runSelftest() {
       throw new Error(`Found ${invalidLockIn.length} lock-in offers without lockInMonths or lockInSource`);
     }
     
+    // Penalty terms parsed from TxTFidelização (only for lock-in offers)
+    const penaltyTypes = ['fixedTerm', 'services', 'benefits', 'formula', 'unspecified'];
+    const invalidPenalty = withLockIn.filter(o => !o.lockInPenalty || !penaltyTypes.includes(o.lockInPenalty.type));
+    if (invalidPenalty.length > 0) {
+      throw new Error(`Found ${invalidPenalty.length} lock-in offers without a valid lockInPenalty`);
+    }
+    if (withoutLockIn.some(o => o.lockInPenalty)) {
+      throw new Error('Offers without lock-in should have lockInPenalty null');
+    }
+    
     console.log(`   Found ${withLockIn.length} lock-in offers, ${withoutLockIn.length} without lock-in`);
   });
   
-  // Test 5c: Promotion parsing
+  // Test 5b2: Indexed offers (OMIE simulation inputs)
+  test('indexed offers carry indexation parameters', () => {
+    const indexed = offers.filter(o => o.isIndexed === true);
+    
+    const missing = indexed.filter(o => !o.indexation || o.indexation.referencePrice === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Found ${missing.length} indexed offers without indexation field`);
+    }
+    
+    // Preço de referência (futuros OMIE) e perdas em unidades plausíveis
+    const implausible = indexed.filter(o =>
+      (o.indexation.referencePrice !== null && (o.indexation.referencePrice <= 0 || o.indexation.referencePrice > 0.5)) ||
+      (o.indexation.lossFactor !== null && (o.indexation.lossFactor <= 0 || o.indexation.lossFactor > 0.5))
+    );
+    if (implausible.length > 0) {
+      throw new Error(`Found ${implausible.length} indexed offers with implausible reference price or loss factor`);
+    }
+    
+    const historyPath = path.join(DATA_DIR, 'omie-history.json');
+    const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    const calendarMonths = new Set(history.months.map(entry => entry.month.slice(5)));
+    if (calendarMonths.size !== 12) {
+      throw new Error(`omie-history.json covers ${calendarMonths.size} calendar months, expected 12`);
+    }
+    
+    console.log(`   Found ${indexed.length} indexed offers, OMIE history with ${history.months.length} months`);
+  });
+  
+  // Test 5b3: Eligibility filters (FiltroContratacao, Filtrofaturacao, FiltroPagamento, ...)
+  test('eligibility requirements decoded', () => {
+    const flags = ['requiresDirectDebit', 'requiresEBill', 'requiresOnlineSignup', 'newCustomerOnly', 'acceptsSocialTariff', 'hasPhoneSupport', 'hasRestrictions'];
+    const invalid = offers.filter(o => flags.some(flag => typeof o[flag] !== 'boolean'));
+    if (invalid.length > 0) {
+      throw new Error(`Found ${invalid.length} offers without boolean eligibility flags`);
+    }
+    
+    // Os filtros deixaram de estar fixos a false: cada requisito aparece em algumas ofertas, nunca em todas
+    ['requiresDirectDebit', 'requiresEBill', 'newCustomerOnly', 'acceptsSocialTariff'].forEach(flag => {
+      const count = offers.filter(o => o[flag]).length;
+      if (count === 0 || count === offers.length) {
+        throw new Error(`${flag} is ${count === 0 ? 'never' : 'always'} set, filter columns not decoded`);
+      }
+    });
+    
+    console.log(`   Direct debit only: ${offers.filter(o => o.requiresDirectDebit).length}, e-invoice only: ${offers.filter(o => o.requiresEBill).length}, new customers only: ${offers.filter(o => o.newCustomerOnly).length}`);
+  });
+  
+  // Test 5b4: Consumption bands (ConsIni_ELE/ConsFim_ELE)
+  test('consumption bands are well formed', () => {
+    const banded = offers.filter(o => o.consumptionBand);
+    
+    const invalid = banded.filter(o => {
+      const { minKwh, maxKwh } = o.consumptionBand;
+      return (minKwh === null && maxKwh === null) ||
+             (minKwh !== null && minKwh < 0) ||
+             (minKwh !== null && maxKwh !== null && minKwh > maxKwh);
+    });
+    if (invalid.length > 0) {
+      throw new Error(`Found ${invalid.length} offers with an invalid consumption band`);
+    }
+    
+    console.log(`   Found ${banded.length} offers limited to a consumption band`);
+  });
+  
+  test('surplus buy-back prices are plausible', () => {
+    const buyBack = offers.filter(o => o.surplusBuyBack);
+    
+    // Preço de compra do excedente em €/kWh (um valor em €/MWh mal convertido dá dezenas)
+    const invalid = buyBack.filter(o => o.surplusBuyBack.pricePerKwh !== null &&
+      !(o.surplusBuyBack.pricePerKwh > 0 && o.surplusBuyBack.pricePerKwh < 0.5));
+    if (invalid.length > 0) {
+      throw new Error(`Found ${invalid.length} offers with an implausible surplus buy-back price`);
+    }
+    
+    console.log(`   Found ${buyBack.length} offers buying solar surplus`);
+  });
+  
+  // Test 5c: Gas and dual-fuel offers (gas-offers.json)
+  test('gas offers have escalão prices', () => {
+    if (!fs.existsSync(GAS_OFFERS_PATH)) {
+      return; // Skip if gas-offers.json doesn't exist
+    }
+    
+    const gasOffers = JSON.parse(fs.readFileSync(GAS_OFFERS_PATH, 'utf8'));
+    const errors = [];
+    
+    gasOffers.forEach(o => {
+      const id = `${o.COM} ${o.COD_Proposta}`;
+      if (!['GN', 'DUAL'].includes(o.fornecimento)) {
+        errors.push(`${id}: unexpected fornecimento ${o.fornecimento}`);
+      }
+      o.gasPrices.forEach(p => {
+        if (![1, 2, 3, 4].includes(p.Escalao)) errors.push(`${id}: invalid escalão ${p.Escalao}`);
+        if (!(p.TFGN > 0) || !(p.TVGN > 0)) errors.push(`${id}: non-positive gas price (escalão ${p.Escalao})`);
+      });
+      if (o.fornecimento === 'DUAL' && o.electricityPrices.length === 0) {
+        errors.push(`${id}: dual offer without electricity prices`);
+      }
+    });
+    
+    if (errors.length > 0) {
+      throw new Error(`Gas offer errors: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '...' : ''}`);
+    }
+    
+    const dualCount = gasOffers.filter(o => o.fornecimento === 'DUAL').length;
+    console.log(`   Found ${gasOffers.length - dualCount} gas offers and ${dualCount} dual-fuel offers`);
+  });
+  
+  // Test 5d: Price history archive (data/history/)
+  test('price history snapshots are consistent', () => {
+    if (!fs.existsSync(HISTORY_INDEX_PATH)) {
+      return; // Skip if no snapshot was archived yet
+    }
+    
+    const { snapshots } = JSON.parse(fs.readFileSync(HISTORY_INDEX_PATH, 'utf8'));
+    const dates = snapshots.map(snapshot => snapshot.date);
+    const errors = [];
+    
+    snapshots.forEach((snapshot, index) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(snapshot.date)) errors.push(`invalid date ${snapshot.date}`);
+      if (index > 0 && snapshot.date <= dates[index - 1]) errors.push(`${snapshot.date} out of order`);
+      if (!fs.existsSync(path.join(HISTORY_DIR, snapshot.file))) errors.push(`missing ${snapshot.file}`);
+    });
+    
+    // Ficheiros de tendência (um por potência e tipo de tarifa): só datas do índice
+    const trendsDir = path.join(HISTORY_DIR, 'trends');
+    if (fs.existsSync(trendsDir)) {
+      fs.readdirSync(trendsDir).filter(file => file.endsWith('.json')).forEach(file => {
+        JSON.parse(fs.readFileSync(path.join(trendsDir, file), 'utf8')).snapshots.forEach(({ date }) => {
+          if (!dates.includes(date)) errors.push(`trends/${file}: ${date} not in index.json`);
+        });
+      });
+    }
+    
+    // Preços anteriores vêm sempre de um snapshot de um mês anterior ao do último
+    offers.filter(o => o.previousPrices).forEach(o => {
+      const date = o.previousPrices.date;
+      if (!dates.includes(date) || date.slice(0, 7) >= dates[dates.length - 1].slice(0, 7)) {
+        errors.push(`${o.COM} ${o.COD_Proposta}: previousPrices from unknown snapshot ${date}`);
+      }
+    });
+    
+    if (errors.length > 0) {
+      throw new Error(`Price history errors: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '...' : ''}`);
+    }
+    
+    console.log(`   Found ${snapshots.length} snapshots, ${offers.filter(o => o.previousPrices).length} offers with a price change`);
+  });
+  
+  // Test 5e: Promotion parsing
   test('promotion parsing sanity checks', () => {
     const withPromotion = offers.filter(o => o.promotion !== null && o.promotion !== undefined);
     
@@ -481,6 +645,30 @@ function runSelftest() {
     console.log(`   - Promotions applied: ${stats.promotionsAppliedCount} (not used in ranking)`);
   });
   
+  // Test 10c: Regulated prices for the social tariff
+  test('meta.json has regulated prices for every social tariff power', () => {
+    const meta = JSON.parse(fs.readFileSync(META_PATH, 'utf8'));
+    if (!Array.isArray(meta.regulatedPrices)) {
+      throw new Error('meta.json missing regulatedPrices');
+    }
+    
+    // Tarifa social só até 6,9 kVA: tem de haver linha TUR para cada potência e tipo de tarifa
+    const errors = [];
+    [1.15, 2.3, 3.45, 4.6, 5.75, 6.9].forEach(power => {
+      [1, 2, 3].forEach(tariffType => {
+        const row = meta.regulatedPrices.find(r => r.power === power && r.tariffType === tariffType);
+        if (!row) errors.push(`${power} kVA, tariff ${tariffType}: missing`);
+        else if (!(row.TF > 0 && row['TV|TVFV|TVP'] > 0)) errors.push(`${power} kVA, tariff ${tariffType}: TF ${row.TF}, TV ${row['TV|TVFV|TVP']}`);
+        else if (tariffType > 1 && !(row['TVV|TVC'] > 0)) errors.push(`${power} kVA, tariff ${tariffType}: no valley/mid price`);
+      });
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid regulated prices: ${errors.slice(0, 5).join('; ')}`);
+    }
+    
+    console.log(`   Regulated prices: ${meta.regulatedPrices.length} power/tariff type rows`);
+  });
+  
   // Test 11: Promotion discovery validation
   test('promotion discovery validation', () => {
     if (!fs.existsSync(META_PATH)) {